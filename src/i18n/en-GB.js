@@ -46,10 +46,16 @@ const translations = {
   pathSimplify: 'Path Simplification',
   pathSmooth: 'Path Smoothing',
   removeSmallRegions: 'Remove Small Regions',
+  stencilBridges: 'Stencil Bridges',
+  bridgeWidth: 'Bridge Width',
   pathOutline: 'Path Outline',
+  kerfWidth: 'Kerf Width',
   colorQuantization: 'Colour Quantisation',
   pathGroupEnabled: 'Group Paths',
   pathEditorEnabled: 'Path Node Editor',
+  cuttingMode: 'Cutting Mode',
+  weedingBox: 'Weeding Box',
+  weedLines: 'Weed Lines',
   previewMode: 'Preview Mode',
   previewModeNormal: 'Normal',
   previewModeFillOnly: 'Fill Only',
@@ -58,6 +64,7 @@ const translations = {
   pathCount: 'Paths',
   nodeCount: 'Nodes',
   colorCount: 'Colours',
+  stitchCount: 'Stitches',
   edgeDetectionMode: 'Edge Detection',
   pathMerge: 'Path Merging',
   showAdvancedControls: 'Show Expert Options',
@@ -67,6 +74,12 @@ const translations = {
   steps: 'Steps',
   pixels: 'Pixels',
   segments: 'Segments',
+  bridges: 'Bridges',
+  mm: 'mm',
+  inch: 'in',
+  mmPerMinute: 'mm/min',
+  seconds: 's',
+  colors: 'Colours',
 
   reset: 'Reset',
   resetAll: 'Reset All',
@@ -74,16 +87,42 @@ const translations = {
   dropFileHere: 'Drop File Here',
   openImage: 'Open Image',
   saveSVG: 'Save SVG',
+  export: 'Export',
+  exportFormat: 'Export Format',
   exportPNG: 'Export PNG',
   exportedPNG: 'Exported as PNG',
+  exportedICO: 'Exported as ICO',
+  exportedICNS: 'Exported as ICNS',
+  exportedPDF: 'Exported as PDF',
+  exportedEPS: 'Exported as EPS',
+  exportedDXF: 'Exported as DXF',
+  exportedGCode: 'Exported as G-code',
+  exportedHPGL: 'Exported as HP-GL',
+  exportedVectorDrawable: 'Exported as VectorDrawable',
+  exportedImageVector: 'Exported as ImageVector',
+  exportedComponent: 'Exported as component',
+  exportedNativeCode: 'Exported as native code',
+  exportedSTL: 'Exported as STL',
+  exported3MF: 'Exported as 3MF',
+  exportedDST: 'Exported as DST',
+  exportedPES: 'Exported as PES',
+  noFilledRegions: 'No filled regions',
+  noStitches: 'No shapes to stitch',
+  exportedIconSet: 'Exported icon package',
   exportedSVG: 'Exported as SVG',
-  pdfExportUnavailable: 'PDF export requires additional library',
   noSVGToExport: 'No SVG to export',
   processingBatch: 'Processing batch',
   processingFile: 'Processing file',
   batchComplete: 'Batch processing complete',
+  openBatch: 'Open Images for Batch',
+  batchOutput: 'Batch Output',
+  batchOutputSVG: 'Separate SVG files',
+  batchOutputSprite: 'SVG sprite',
+  batchOutputFont: 'Icon font',
+  spriteCurrentColor: 'Use currentColor in Sprite',
   pasteImage: 'Paste Image',
   copySVG: 'Copy SVG',
+  copyCode: 'Copy Code',
   shareSVG: 'Share SVG',
   install: 'Install',
 
@@ -92,11 +131,90 @@ const translations = {
   pathMergeEnabled: 'Merge Paths',
   colorSVG: 'Colour SVG',
   monochromeSVG: 'Monochrome SVG',
+  centerlineSVG: 'Centreline SVG',
+  colorLayering: 'Colour Layers',
+  colorLayeringSeparate: 'Side by side',
+  colorLayeringLuminance: 'Stacked by lightness',
+  colorLayeringArea: 'Stacked by area',
+  paletteMode: 'Palette',
+  paletteModeOff: 'All colours',
+  paletteModeKMeans: 'k-means++ (Lab)',
+  paletteModeMedianCut: 'Median cut',
+  paletteSize: 'Palette size',
+  paletteAutoEnabled: 'Too many colours to trace each one, so a palette was applied',
+  gradientTolerance: 'Gradient tolerance',
+  primitiveTolerance: 'Shape detection tolerance',
 
   colorChannels: 'Colour Channels',
   imageSizeAndRotation: 'Input Size and Rotation',
   imagePreprocessing: 'Input Preprocessing',
   svgOptions: 'SVG Options',
+  exportOptions: 'Export Options',
+  iconDarkVariant: 'Dark Mode Favicon Variant',
+  iconBackground: 'Icon Background',
+  pageSize: 'Page Size',
+  pageSizeFit: 'Fit to Drawing',
+  pageMargin: 'Page Margin',
+  physicalWidth: 'Physical Width',
+  dxfVersion: 'DXF Version',
+  dxfLayersByColor: 'One DXF Layer per Fill Colour',
+  flattenTolerance: 'Curve Flattening Tolerance',
+  feedRate: 'Feed Rate',
+  extrusionHeight: 'Extrusion Height',
+  colorHeightOffset: 'Height Offset per Color',
+  baseHeight: 'Base Plate Height',
+  fillSpacing: 'Fill Row Spacing',
+  fillAngle: 'Fill Angle',
+  penUpCommand: 'Pen Up Command (G-code)',
+  penDownCommand: 'Pen Down Command (G-code)',
+  travelOptimization: 'Optimise Plotter Travel Path',
+  travelPreview: 'Preview Plotter Travel Path',
+  travelDistance: 'Pen-up travel',
+  vectorUnsupportedFeatures: 'Unsupported SVG features were dropped',
+  vectorTooLarge: 'Vector images larger than 200 × 200 dp render slowly; consider scaling down or using a raster image',
+  vectorLongPathData: 'Paths with more than 800 characters of path data, which render slowly',
+  vectorFillTypeAPI: 'The evenOdd fill type requires API level',
+  componentCurrentColor: 'Use currentColor in Components',
+  stlAscii: 'ASCII STL',
+  basePlate: 'Add Base Plate',
+  embroideryOutline: 'Embroidery Outline',
+  embroideryOutlineNone: 'None',
+  embroideryOutlineRunning: 'Running stitch',
+  embroideryOutlineSatin: 'Satin stitch',
+  stitchPreview: 'Stitch Preview',
+  exportedSeparations: 'Exported colour separations',
+  separationMode: 'Colour Separations',
+  separationKnockout: 'Knock-out',
+  separationOverprint: 'Overprint',
+  trapWidth: 'Trap Width',
+  trapDirection: 'Trap Direction',
+  trapSpread: 'Spread (lighter into darker)',
+  trapChoke: 'Choke (darker into lighter)',
+  exportedPoster: 'Exported poster pages',
+  tilePreview: 'Poster Page Grid',
+  tileOverlap: 'Poster Overlap',
+  exportedSprite: 'Exported SVG sprite',
+  noSpriteIcons: 'No converted images to combine',
+  exportedIconFont: 'Exported icon font',
+  exportedCSS: 'Exported as CSS',
+  animationFill: 'Fade In Fills After Drawing',
+  animationOrder: 'Drawing Order',
+  animationOrderPosition: 'By Position',
+  animationOrderColor: 'By Colour',
+  animationType: 'Animation Type',
+  animationTypeCSS: 'CSS Keyframes',
+  animationTypeSMIL: 'SMIL',
+  animationDuration: 'Drawing Duration',
+  animationStagger: 'Drawing Stagger',
+  playAnimation: 'Play Animation',
+  exportedAnimation: 'Exported animation',
+  maskablePreview: 'Maskable Icon Preview',
+  maskSafeZone: 'Safe Zone',
+  maskCircle: 'Circle',
+  maskSquircle: 'Squircle',
+  maskRoundedSquare: 'Rounded Square',
+  maskTeardrop: 'Teardrop',
+  cancel: 'Cancel',
 
   considerDPR: 'Consider Device Pixel Ratio',
 
@@ -105,6 +223,7 @@ const translations = {
 
   optimizingSVG: 'Optimising SVG',
   copiedSVG: 'Copied SVG',
+  copiedCode: 'Copied code',
   savedSVG: 'Saved SVG',
 
   readyToWorkOffline: 'Ready to Work Offline.',
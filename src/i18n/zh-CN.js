@@ -46,10 +46,16 @@ const translations = {
   pathSimplify: '路径简化',
   pathSmooth: '路径平滑',
   removeSmallRegions: '去除小区域',
+  stencilBridges: '镂空桥接',
+  bridgeWidth: '桥接宽度',
   pathOutline: '路径轮廓',
+  kerfWidth: '切缝宽度',
   colorQuantization: '色彩量化',
   pathGroupEnabled: '智能路径分组',
   pathEditorEnabled: '路径节点编辑器',
+  cuttingMode: '切割模式',
+  weedingBox: '除废框',
+  weedLines: '除废线',
   previewMode: '预览模式',
   previewModeNormal: '正常',
   previewModeFillOnly: '仅填充',
@@ -58,6 +64,7 @@ const translations = {
   pathCount: '路径数',
   nodeCount: '节点数',
   colorCount: '颜色数',
+  stitchCount: '针数',
   edgeDetectionMode: '边缘检测',
   pathMerge: '路径合并',
   showAdvancedControls: '显示高级设置',
@@ -67,6 +74,12 @@ const translations = {
   steps: '级',
   pixels: '像素',
   segments: '段',
+  bridges: '处',
+  mm: '毫米',
+  inch: '英寸',
+  mmPerMinute: '毫米/分钟',
+  seconds: '秒',
+  colors: '色',
 
   reset: '重置',
   resetAll: '重置全部',
@@ -74,16 +87,42 @@ const translations = {
   dropFileHere: '拖拽文件到此处',
   openImage: '打开图像',
   saveSVG: '保存 SVG',
+  export: '导出',
+  exportFormat: '导出格式',
   exportPNG: '导出 PNG',
   exportedPNG: '已导出为 PNG',
+  exportedICO: '已导出为 ICO',
+  exportedICNS: '已导出为 ICNS',
+  exportedPDF: '已导出为 PDF',
+  exportedEPS: '已导出为 EPS',
+  exportedDXF: '已导出为 DXF',
+  exportedGCode: '已导出为 G-code',
+  exportedHPGL: '已导出为 HP-GL',
+  exportedVectorDrawable: '已导出为 VectorDrawable',
+  exportedImageVector: '已导出为 ImageVector',
+  exportedComponent: '已导出为组件',
+  exportedNativeCode: '已导出为原生代码',
+  exportedSTL: '已导出为 STL',
+  exported3MF: '已导出为 3MF',
+  exportedDST: '已导出为 DST',
+  exportedPES: '已导出为 PES',
+  noFilledRegions: '没有填充区域',
+  noStitches: '没有可刺绣的形状',
+  exportedIconSet: '已导出图标包',
   exportedSVG: '已导出为 SVG',
-  pdfExportUnavailable: 'PDF 导出需要额外的库支持',
   noSVGToExport: '没有可导出的 SVG',
   processingBatch: '正在批量处理',
   processingFile: '正在处理文件',
   batchComplete: '批量处理完成',
+  openBatch: '批量打开图像',
+  batchOutput: '批量输出',
+  batchOutputSVG: '逐个导出 SVG 文件',
+  batchOutputSprite: 'SVG 雪碧图',
+  batchOutputFont: '图标字体',
+  spriteCurrentColor: '雪碧图中使用 currentColor',
   pasteImage: '粘贴图像',
   copySVG: '复制 SVG',
+  copyCode: '复制代码',
   shareSVG: '分享 SVG',
   install: '安装',
 
@@ -92,11 +131,90 @@ const translations = {
   pathMergeEnabled: '智能路径合并',
   colorSVG: '彩色 SVG',
   monochromeSVG: '单色 SVG',
+  centerlineSVG: '中心线 SVG',
+  colorLayering: '颜色图层',
+  colorLayeringSeparate: '并排',
+  colorLayeringLuminance: '按亮度堆叠',
+  colorLayeringArea: '按面积堆叠',
+  paletteMode: '调色板',
+  paletteModeOff: '全部颜色',
+  paletteModeKMeans: 'k-means++（Lab）',
+  paletteModeMedianCut: '中位切分',
+  paletteSize: '调色板颜色数',
+  paletteAutoEnabled: '颜色过多，无法逐色描摹，已自动应用调色板',
+  gradientTolerance: '渐变容差',
+  primitiveTolerance: '几何图元识别容差',
 
   colorChannels: '色彩通道',
   imageSizeAndRotation: '图像尺寸及旋转角度',
   imagePreprocessing: '图像处理',
   svgOptions: 'SVG 选项',
+  exportOptions: '导出选项',
+  iconDarkVariant: '深色模式图标变体',
+  iconBackground: '图标背景色',
+  pageSize: '页面尺寸',
+  pageSizeFit: '适应图形',
+  pageMargin: '页边距',
+  physicalWidth: '物理宽度',
+  dxfVersion: 'DXF 版本',
+  dxfLayersByColor: '按填充色分 DXF 图层',
+  flattenTolerance: '曲线展平容差',
+  feedRate: '进给速度',
+  extrusionHeight: '挤出高度',
+  colorHeightOffset: '每种颜色的高度偏移',
+  baseHeight: '底板高度',
+  fillSpacing: '填充行距',
+  fillAngle: '填充角度',
+  penUpCommand: '抬笔命令（G-code）',
+  penDownCommand: '落笔命令（G-code）',
+  travelOptimization: '优化绘图仪空行程路径',
+  travelPreview: '预览绘图仪空行程路径',
+  travelDistance: '抬笔空行程',
+  vectorUnsupportedFeatures: '已丢弃不支持的 SVG 特性',
+  vectorTooLarge: '大于 200 × 200 dp 的矢量图渲染较慢，建议缩小尺寸或改用位图',
+  vectorLongPathData: '路径数据超过 800 个字符的路径数（渲染较慢）',
+  vectorFillTypeAPI: 'evenOdd 填充类型要求 API 级别',
+  componentCurrentColor: '组件中使用 currentColor',
+  stlAscii: 'ASCII STL',
+  basePlate: '添加底板',
+  embroideryOutline: '刺绣轮廓',
+  embroideryOutlineNone: '无',
+  embroideryOutlineRunning: '平针',
+  embroideryOutlineSatin: '缎纹针',
+  stitchPreview: '针迹预览',
+  exportedSeparations: '已导出分色片',
+  separationMode: '分色',
+  separationKnockout: '挖空',
+  separationOverprint: '叠印',
+  trapWidth: '陷印宽度',
+  trapDirection: '陷印方向',
+  trapSpread: '扩展（浅色压入深色）',
+  trapChoke: '收缩（深色压入浅色）',
+  exportedPoster: '已导出海报分页',
+  tilePreview: '海报分页网格',
+  tileOverlap: '海报重叠',
+  exportedSprite: '已导出 SVG 雪碧图',
+  noSpriteIcons: '没有可合并的已转换图像',
+  exportedIconFont: '已导出图标字体',
+  exportedCSS: '已导出为 CSS',
+  animationFill: '描绘后淡入填充',
+  animationOrder: '描绘顺序',
+  animationOrderPosition: '按位置',
+  animationOrderColor: '按颜色',
+  animationType: '动画类型',
+  animationTypeCSS: 'CSS 关键帧',
+  animationTypeSMIL: 'SMIL',
+  animationDuration: '描绘时长',
+  animationStagger: '描绘间隔',
+  playAnimation: '播放动画',
+  exportedAnimation: '已导出动画',
+  maskablePreview: '可遮罩图标预览',
+  maskSafeZone: '安全区域',
+  maskCircle: '圆形',
+  maskSquircle: '超椭圆',
+  maskRoundedSquare: '圆角方形',
+  maskTeardrop: '水滴形',
+  cancel: '取消',
 
   considerDPR: '考虑设备像素比',
 
@@ -105,6 +223,7 @@ const translations = {
 
   optimizingSVG: '压缩 SVG',
   copiedSVG: '复制 SVG',
+  copiedCode: '已复制代码',
   savedSVG: '保存 SVG',
 
   readyToWorkOffline: '离线工作已就绪。',
@@ -21,6 +21,8 @@ import { fileOpen } from 'browser-fs-access';
 import { inputImage } from './domrefs.js';
 import { startProcessing } from './orchestrate.js';
 import { exportSVG } from './export.js';
+import { exportSprite } from './exportsprite.js';
+import { exportIconFont } from './exportfont.js';
 import { showToast } from './ui.js';
 import { i18n } from './i18n.js';
 
@@ -58,10 +60,24 @@ const processImage = async (file) => {
  * @param {FileList|File[]} files - Array of image files
  * @param {Object} options - Batch processing options
  * @param {boolean} options.autoExport - Auto export after processing
+ * @param {boolean} options.sprite - Combine all results into one SVG sprite
+ *     instead of exporting them one by one
+ * @param {boolean} options.currentColor - Replace colors in the sprite by
+ *     `currentColor`
+ * @param {boolean} options.iconFont - Combine all results into an icon font
+ *     instead of exporting them one by one
+ * @param {string} options.fontName - Icon font family name and CSS class
+ *     prefix
  * @returns {Promise<Array<{fileName: string, svg: string}>>} Array of processed SVGs
  */
 const batchProcess = async (files, options = {}) => {
-  const { autoExport = false } = options;
+  const {
+    autoExport = false,
+    sprite = false,
+    currentColor = false,
+    iconFont = false,
+    fontName = 'icons',
+  } = options;
   const results = [];
   const fileArray = Array.from(files);
 
@@ -74,7 +90,7 @@ const batchProcess = async (files, options = {}) => {
       
       const svg = await processImage(file);
       
-      if (autoExport) {
+      if (autoExport && !sprite && !iconFont) {
         // Export SVG
         const blob = new Blob([svg], { type: 'image/svg+xml' });
         const url = URL.createObjectURL(blob);
@@ -100,13 +116,21 @@ const batchProcess = async (files, options = {}) => {
   }
 
   showToast(i18n.t('batchComplete') || `Completed: ${results.length} files processed`);
+
+  if (sprite) {
+    await exportSprite(results, { currentColor });
+  }
+  if (iconFont) {
+    await exportIconFont(results, { name: fontName });
+  }
   return results;
 };
 
 /**
  * Handle batch file selection
+ * @param {Object} options - Batch processing options, see `batchProcess()`
  */
-const handleBatchSelection = async () => {
+const handleBatchSelection = async (options = {}) => {
   try {
     const files = await fileOpen({
       mimeTypes: ['image/*'],
@@ -118,7 +142,7 @@ const handleBatchSelection = async () => {
       return;
     }
 
-    if (files.length === 1) {
+    if (files.length === 1 && !options.sprite && !options.iconFont) {
       // Single file - use normal processing
       const file = files[0];
       const blobURL = URL.createObjectURL(file);
@@ -134,7 +158,7 @@ const handleBatchSelection = async () => {
     }
 
     // Multiple files - batch processing
-    await batchProcess(files, { autoExport: true });
+    await batchProcess(files, { autoExport: true, ...options });
   } catch (err) {
     console.error(err.name, err.message);
     showToast(err.message);
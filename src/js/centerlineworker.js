@@ -0,0 +1,602 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { douglasPeucker } from './pathsimplify.js';
+
+// Pixels darker than this luminance, and at least half opaque, are ink.
+const INK_THRESHOLD = 128;
+// Maximum deviation of the simplified strokes from the skeleton, in pixels.
+// The skeleton zigzags by one pixel along slanted lines.
+const SIMPLIFY_TOLERANCE = 1;
+// Neighbor order for the thinning rules: north, then clockwise.
+const NEIGHBOR_STEPS = [
+  [0, -1],
+  [1, -1],
+  [1, 0],
+  [1, 1],
+  [0, 1],
+  [-1, 1],
+  [-1, 0],
+  [-1, -1],
+];
+// Trace straight neighbors before diagonal ones, so staircase pixels of the
+// skeleton are walked through instead of being skipped.
+const TRACE_ORDER = [0, 2, 4, 6, 1, 3, 5, 7];
+
+const formatNumber = (value) => +value.toFixed(2);
+
+/**
+ * Threshold an image into ink and paper, with a one pixel border of paper
+ * @param {ImageData} imageData - Image data
+ * @returns {Uint8Array} Grid of `(width + 2) * (height + 2)` cells, 1 for ink
+ */
+const getInkGrid = ({ data, width, height }) => {
+  const stride = width + 2;
+  const grid = new Uint8Array(stride * (height + 2));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const luminance =
+        0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      if (data[i + 3] >= 128 && luminance < INK_THRESHOLD) {
+        grid[(y + 1) * stride + x + 1] = 1;
+      }
+    }
+  }
+  return grid;
+};
+
+/**
+ * Compute the approximate Euclidean distance of each ink cell to the paper
+ * with a two-pass chamfer transform
+ * @param {Uint8Array} grid - Ink grid
+ * @param {number} stride - Row length of the grid
+ * @returns {Float32Array} Distances, 1 for ink cells next to paper
+ */
+const getDistances = (grid, stride) => {
+  const distances = new Float32Array(grid.length);
+  const forward = [
+    [-1, 1],
+    [-stride, 1],
+    [-stride - 1, Math.SQRT2],
+    [-stride + 1, Math.SQRT2],
+  ];
+  for (let i = stride; i < grid.length - stride; i++) {
+    if (!grid[i]) {
+      continue;
+    }
+    let distance = Infinity;
+    for (const [offset, weight] of forward) {
+      distance = Math.min(distance, distances[i + offset] + weight);
+    }
+    distances[i] = distance;
+  }
+  for (let i = grid.length - stride - 1; i >= stride; i--) {
+    if (!grid[i]) {
+      continue;
+    }
+    let distance = distances[i];
+    for (const [offset, weight] of forward) {
+      distance = Math.min(distance, distances[i - offset] + weight);
+    }
+    distances[i] = distance;
+  }
+  return distances;
+};
+
+/**
+ * Get the values of the eight neighbors of a cell, starting north, clockwise
+ * @param {Uint8Array} grid - Grid
+ * @param {number} i - Cell index
+ * @param {number[]} offsets - Neighbor offsets
+ * @returns {number[]} Neighbor values
+ */
+const getNeighbors = (grid, i, offsets) =>
+  offsets.map((offset) => grid[i + offset]);
+
+/**
+ * Count the paper to ink transitions around a cell, which is the number of
+ * skeleton branches that meet in it
+ * @param {number[]} neighbors - Neighbor values
+ * @returns {number} Number of transitions
+ */
+const countTransitions = (neighbors) => {
+  let transitions = 0;
+  for (let k = 0; k < 8; k++) {
+    if (!neighbors[k] && neighbors[(k + 1) % 8]) {
+      transitions++;
+    }
+  }
+  return transitions;
+};
+
+/**
+ * Thin the ink to a one pixel wide skeleton with the Zhang-Suen algorithm
+ * @param {Uint8Array} grid - Ink grid, thinned in place
+ * @param {number[]} offsets - Neighbor offsets
+ */
+const thin = (grid, offsets) => {
+  let candidates = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i]) {
+      candidates.push(i);
+    }
+  }
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const step of [0, 1]) {
+      const deletions = [];
+      for (const i of candidates) {
+        const p = getNeighbors(grid, i, offsets);
+        const count = p.reduce((sum, value) => sum + value, 0);
+        if (count < 2 || count > 6 || countTransitions(p) !== 1) {
+          continue;
+        }
+        const removable = step
+          ? !(p[0] && p[2] && p[6]) && !(p[0] && p[4] && p[6])
+          : !(p[0] && p[2] && p[4]) && !(p[2] && p[4] && p[6]);
+        if (removable) {
+          deletions.push(i);
+        }
+      }
+      for (const i of deletions) {
+        grid[i] = 0;
+      }
+      if (deletions.length) {
+        changed = true;
+        candidates = candidates.filter((i) => grid[i]);
+      }
+    }
+  }
+};
+
+/**
+ * Group adjacent skeleton cells that don't have exactly two neighbors into
+ * nodes: stroke ends, junctions, and the corners of staircases, which are
+ * joined through later
+ * @param {Uint8Array} grid - Skeleton grid
+ * @param {number[]} offsets - Neighbor offsets
+ * @param {Function} toPoint - Converts a cell index to pixel coordinates
+ * @param {Float32Array} distances - Distances to the paper
+ * @returns {{nodeOf: Int32Array, nodes: Array<{x: number, y: number,
+ *     radius: number}>}} Node index per cell, -1 for plain skeleton cells, and
+ *     the nodes with their center and ink radius
+ */
+const findNodes = (grid, offsets, toPoint, distances) => {
+  const nodeOf = new Int32Array(grid.length).fill(-1);
+  const isNode = new Uint8Array(grid.length);
+  for (let i = 0; i < grid.length; i++) {
+    if (!grid[i]) {
+      continue;
+    }
+    const count = getNeighbors(grid, i, offsets).reduce(
+      (sum, value) => sum + value,
+      0,
+    );
+    if (count !== 2) {
+      isNode[i] = 1;
+    }
+  }
+  const nodes = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (!isNode[i] || nodeOf[i] !== -1) {
+      continue;
+    }
+    const id = nodes.length;
+    const stack = [i];
+    nodeOf[i] = id;
+    let sumX = 0;
+    let sumY = 0;
+    let count = 0;
+    let radius = 0;
+    while (stack.length) {
+      const cell = stack.pop();
+      const { x, y } = toPoint(cell);
+      sumX += x;
+      sumY += y;
+      count++;
+      radius = Math.max(radius, distances[cell]);
+      for (const offset of offsets) {
+        const neighbor = cell + offset;
+        if (isNode[neighbor] && nodeOf[neighbor] === -1) {
+          nodeOf[neighbor] = id;
+          stack.push(neighbor);
+        }
+      }
+    }
+    nodes.push({ x: sumX / count, y: sumY / count, radius });
+  }
+  return { nodeOf, nodes };
+};
+
+/**
+ * Follow the skeleton from a cell until a node or a dead end is reached
+ * @param {Uint8Array} grid - Skeleton grid
+ * @param {number[]} cells - Cells walked so far, extended in place
+ * @param {Object} state - Tracing state
+ * @param {Int32Array} state.nodeOf - Node index per cell
+ * @param {Uint8Array} state.visited - Visited plain cells, updated in place
+ * @param {number[]} state.offsets - Neighbor offsets
+ * @returns {number} Node the walk ended in, or -1
+ */
+const walk = (grid, cells, { nodeOf, visited, offsets }) => {
+  const start = cells[0];
+  for (;;) {
+    const current = cells[cells.length - 1];
+    const previous = cells[cells.length - 2];
+    let next = -1;
+    for (const k of TRACE_ORDER) {
+      const neighbor = current + offsets[k];
+      if (!grid[neighbor] || neighbor === previous) {
+        continue;
+      }
+      if (nodeOf[neighbor] !== -1) {
+        // Don't turn back into the start node around a staircase corner.
+        if (nodeOf[neighbor] === nodeOf[start] && cells.length < 4) {
+          continue;
+        }
+        cells.push(neighbor);
+        return nodeOf[neighbor];
+      }
+      if (!visited[neighbor] && next === -1) {
+        next = neighbor;
+      }
+    }
+    if (next === -1) {
+      return -1;
+    }
+    visited[next] = 1;
+    cells.push(next);
+  }
+};
+
+/**
+ * Trace the skeleton into strokes between nodes, and closed loops
+ * @param {Uint8Array} grid - Skeleton grid
+ * @param {number[]} offsets - Neighbor offsets
+ * @param {Int32Array} nodeOf - Node index per cell
+ * @returns {Array<{cells: number[], start: number, end: number,
+ *     closed: boolean}>} Strokes with their cells and end nodes, -1 for none
+ */
+const traceStrokes = (grid, offsets, nodeOf) => {
+  const visited = new Uint8Array(grid.length);
+  const state = { nodeOf, visited, offsets };
+  const strokes = [];
+  for (let i = 0; i < grid.length; i++) {
+    if (nodeOf[i] === -1) {
+      continue;
+    }
+    for (const offset of offsets) {
+      const first = i + offset;
+      if (!grid[first] || nodeOf[first] !== -1 || visited[first]) {
+        continue;
+      }
+      visited[first] = 1;
+      const cells = [i, first];
+      const end = walk(grid, cells, state);
+      strokes.push({ cells, start: nodeOf[i], end, closed: false });
+    }
+  }
+  // What is left are loops without any branches.
+  for (let i = 0; i < grid.length; i++) {
+    if (!grid[i] || nodeOf[i] !== -1 || visited[i]) {
+      continue;
+    }
+    visited[i] = 1;
+    const cells = [i];
+    const end = walk(grid, cells, state);
+    const last = cells[cells.length - 1];
+    const closed =
+      end === -1 &&
+      cells.length > 3 &&
+      offsets.some((offset) => last + offset === i);
+    strokes.push({ cells, start: -1, end, closed });
+  }
+  return strokes;
+};
+
+/**
+ * List the strokes that end in each node
+ * @param {Array<Object>} strokes - Strokes
+ * @param {number} nodeCount - Number of nodes
+ * @returns {Array<Array<Object>>} Strokes per node, a loop through a node is
+ *     listed twice
+ */
+const getStrokeEnds = (strokes, nodeCount) => {
+  const ends = Array.from({ length: nodeCount }, () => []);
+  for (const stroke of strokes) {
+    if (stroke.start !== -1) {
+      ends[stroke.start].push(stroke);
+    }
+    if (stroke.end !== -1) {
+      ends[stroke.end].push(stroke);
+    }
+  }
+  return ends;
+};
+
+/**
+ * Reverse a stroke in place
+ * @param {Object} stroke - Stroke
+ */
+const reverseStroke = (stroke) => {
+  stroke.points.reverse();
+  [stroke.start, stroke.end] = [stroke.end, stroke.start];
+};
+
+/**
+ * Join the strokes that meet in pairs, like at the staircase corners of the
+ * skeleton, so only real junctions and stroke ends remain
+ * @param {Array<Object>} strokes - Strokes with points
+ * @param {number} nodeCount - Number of nodes
+ * @returns {Array<Object>} Joined strokes
+ */
+const joinStrokes = (strokes, nodeCount) => {
+  const ends = getStrokeEnds(strokes, nodeCount);
+  const joined = new Set();
+  for (let node = 0; node < nodeCount; node++) {
+    if (ends[node].length !== 2) {
+      continue;
+    }
+    const [first, second] = ends[node];
+    ends[node] = [];
+    if (first === second) {
+      // Both ends are the node, so drop the repeated point.
+      first.points.pop();
+      first.start = -1;
+      first.end = -1;
+      first.closed = true;
+      continue;
+    }
+    if (first.end !== node) {
+      reverseStroke(first);
+    }
+    if (second.start !== node) {
+      reverseStroke(second);
+    }
+    first.points.push(...second.points.slice(1));
+    first.end = second.end;
+    first.length += second.length;
+    first.widthSum += second.widthSum;
+    first.widthCount += second.widthCount;
+    if (second.end !== -1) {
+      const others = ends[second.end];
+      others[others.indexOf(second)] = first;
+    }
+    joined.add(second);
+  }
+  return strokes.filter((stroke) => !joined.has(stroke));
+};
+
+/**
+ * Remove the short spurs that thinning leaves at corners and stroke ends
+ * @param {Array<Object>} strokes - Joined strokes
+ * @param {Array<Object>} nodes - Nodes
+ * @returns {Array<Object>} Strokes without spurs
+ */
+const pruneSpurs = (strokes, nodes) => {
+  const degrees = getStrokeEnds(strokes, nodes.length).map(
+    ({ length }) => length,
+  );
+  // A spur is no longer than the ink is thick where it branches off.
+  return strokes.filter(({ start, end, length }) => {
+    if (start === -1 || end === -1 || start === end) {
+      return true;
+    }
+    const [tip, junction] = degrees[start] === 1 ? [start, end] : [end, start];
+    return !(
+      degrees[tip] === 1 &&
+      degrees[junction] >= 3 &&
+      length <= 2 * nodes[junction].radius
+    );
+  });
+};
+
+/**
+ * Simplify the points of a stroke
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @param {boolean} closed - Whether the stroke is a loop
+ * @returns {Array<{x: number, y: number}>} Simplified points, loops without
+ *     repeating the first point
+ */
+const simplifyStroke = (points, closed) => {
+  if (!closed) {
+    return douglasPeucker(points, SIMPLIFY_TOLERANCE);
+  }
+  // Split the loop at the point farthest from its start.
+  let farthest = 0;
+  let maxDistance = -1;
+  points.forEach(({ x, y }, i) => {
+    const distance = Math.hypot(x - points[0].x, y - points[0].y);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      farthest = i;
+    }
+  });
+  const loop = [...points, points[0]];
+  return [
+    ...douglasPeucker(loop.slice(0, farthest + 1), SIMPLIFY_TOLERANCE).slice(
+      0,
+      -1,
+    ),
+    ...douglasPeucker(loop.slice(farthest), SIMPLIFY_TOLERANCE).slice(0, -1),
+  ];
+};
+
+/**
+ * Fit smooth cubic Bézier curves through the points of a stroke, keeping
+ * sharp turns as corners
+ *
+ * Each point gets a tangent along the line through its neighbors, and the
+ * control points lie a third of the segment length along the tangents, so the
+ * curves don't overshoot between unevenly spaced points.
+ * @param {Array<{x: number, y: number}>} points - Simplified points
+ * @param {boolean} closed - Whether the stroke is a loop
+ * @param {number} cornerAngle - Turns sharper than this, in radians, stay
+ *     corners
+ * @returns {string} Path data
+ */
+const fitCurves = (points, closed, cornerAngle) => {
+  const n = points.length;
+  const at = (i) => points[(i + n) % n];
+  const tangents = points.map((point, i) => {
+    if (!closed && (i === 0 || i === n - 1)) {
+      return null;
+    }
+    const before = at(i - 1);
+    const after = at(i + 1);
+    const turn = Math.abs(
+      Math.atan2(
+        (point.x - before.x) * (after.y - point.y) -
+          (point.y - before.y) * (after.x - point.x),
+        (point.x - before.x) * (after.x - point.x) +
+          (point.y - before.y) * (after.y - point.y),
+      ),
+    );
+    if (turn > cornerAngle) {
+      return null;
+    }
+    const dx = after.x - before.x;
+    const dy = after.y - before.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: dx / length, y: dy / length };
+  });
+  const f = formatNumber;
+  let pathData = `M${f(points[0].x)} ${f(points[0].y)}`;
+  const segments = closed ? n : n - 1;
+  for (let i = 0; i < segments; i++) {
+    const from = at(i);
+    const to = at(i + 1);
+    const startTangent = tangents[i];
+    const endTangent = tangents[(i + 1) % n];
+    if (!startTangent && !endTangent) {
+      pathData += `L${f(to.x)} ${f(to.y)}`;
+      continue;
+    }
+    const third = Math.hypot(to.x - from.x, to.y - from.y) / 3;
+    const c1 = startTangent
+      ? {
+          x: from.x + startTangent.x * third,
+          y: from.y + startTangent.y * third,
+        }
+      : { x: from.x + (to.x - from.x) / 3, y: from.y + (to.y - from.y) / 3 };
+    const c2 = endTangent
+      ? { x: to.x - endTangent.x * third, y: to.y - endTangent.y * third }
+      : { x: to.x - (to.x - from.x) / 3, y: to.y - (to.y - from.y) / 3 };
+    pathData += `C${f(c1.x)} ${f(c1.y)} ${f(c2.x)} ${f(c2.y)} ${f(to.x)} ${f(
+      to.y,
+    )}`;
+  }
+  return closed ? `${pathData}Z` : pathData;
+};
+
+/**
+ * Trace the center lines of the ink in an image as open stroked paths
+ * @param {ImageData} imageData - Image data
+ * @param {Object} params - Tracing parameters
+ * @param {number} params.turdsize - Strokes whose length plus width is below
+ *     this many pixels are dropped as noise
+ * @param {number} params.alphamax - Corner threshold, from 0 for polylines to
+ *     4/3 for smooth curves almost everywhere
+ * @returns {string} SVG string
+ */
+const convertToCenterlineSVG = (imageData, params) => {
+  const { width, height } = imageData;
+  const stride = width + 2;
+  const offsets = NEIGHBOR_STEPS.map(([dx, dy]) => dy * stride + dx);
+  const toPoint = (i) => ({
+    x: (i % stride) - 0.5,
+    y: Math.floor(i / stride) - 0.5,
+  });
+
+  const grid = getInkGrid(imageData);
+  const distances = getDistances(grid, stride);
+  thin(grid, offsets);
+  const { nodeOf, nodes } = findNodes(grid, offsets, toPoint, distances);
+  // The skeleton can be up to half a pixel off the true center line.
+  const getWidth = (i) => Math.max(1, 2 * distances[i] - 0.5);
+
+  const traced = traceStrokes(grid, offsets, nodeOf);
+  // Dots, like those on an i, thin down to a single node without strokes.
+  const usedNodes = new Set(traced.flatMap(({ start, end }) => [start, end]));
+  let strokes = traced.map((stroke) => {
+    const inner = stroke.cells.filter((i) => nodeOf[i] === -1);
+    const points = stroke.cells.map((i) =>
+      nodeOf[i] === -1 ? toPoint(i) : nodes[nodeOf[i]],
+    );
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(
+        points[i].x - points[i - 1].x,
+        points[i].y - points[i - 1].y,
+      );
+    }
+    return {
+      ...stroke,
+      points,
+      length,
+      widthSum: inner.reduce((sum, i) => sum + getWidth(i), 0),
+      widthCount: inner.length,
+    };
+  });
+  strokes = joinStrokes(strokes, nodes.length);
+  strokes = joinStrokes(pruneSpurs(strokes, nodes), nodes.length);
+
+  const cornerAngle = (params.alphamax * Math.PI) / 2;
+  const paths = [];
+  for (const stroke of strokes) {
+    const strokeWidth = stroke.widthCount
+      ? stroke.widthSum / stroke.widthCount
+      : 1;
+    if (stroke.length + strokeWidth < params.turdsize) {
+      continue;
+    }
+    const points = simplifyStroke(stroke.points, stroke.closed);
+    const closed = stroke.closed && points.length > 2;
+    paths.push(
+      `<path d="${fitCurves(
+        points,
+        closed,
+        cornerAngle,
+      )}" stroke-width="${formatNumber(strokeWidth)}"/>`,
+    );
+  }
+  nodes.forEach(({ x, y, radius }, node) => {
+    const strokeWidth = Math.max(1, 2 * radius - 0.5);
+    if (usedNodes.has(node) || strokeWidth < params.turdsize) {
+      return;
+    }
+    paths.push(
+      `<path d="M${formatNumber(x)} ${formatNumber(
+        y,
+      )}h0" stroke-width="${formatNumber(strokeWidth)}"/>`,
+    );
+  });
+
+  return `<svg version="1.1" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><g fill="none" stroke="#000000" stroke-linecap="round" stroke-linejoin="round">${paths.join(
+    '',
+  )}</g></svg>`;
+};
+
+self.addEventListener('message', (e) => {
+  const { imageData, params } = e.data;
+  const svg = convertToCenterlineSVG(imageData, params);
+  e.ports[0].postMessage({ result: svg });
+});
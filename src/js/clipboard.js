@@ -17,9 +17,17 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { inputImage, copyButton, pasteButton, svgOutput } from './domrefs.js';
+import {
+  inputImage,
+  copyButton,
+  copyCodeButton,
+  pasteButton,
+  svgOutput,
+  exportFormatSelect,
+} from './domrefs.js';
 import { optimizeSVG } from './svgo.js';
 import { showToast } from './ui.js';
+import { createCode } from './export.js';
 import { i18n } from './i18n.js';
 import { IS_SAFARI } from './util.js';
 
@@ -146,3 +154,27 @@ copyButton.addEventListener('click', async () => {
   }
   showToast(i18n.t('copiedSVG'));
 });
+
+copyCodeButton.addEventListener('click', async () => {
+  showToast(i18n.t('optimizingSVG'), Infinity);
+  try {
+    const code = createCode(exportFormatSelect.value);
+    if ('ClipboardItem' in window) {
+      // Pass a promise, so the write keeps the user activation while the SVG
+      // is being optimized.
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/plain': code.then(
+            (text) => new Blob([text], { type: 'text/plain' }),
+          ),
+        }),
+      ]);
+    } else {
+      await navigator.clipboard.writeText(await code);
+    }
+    showToast(i18n.t('copiedCode'));
+  } catch (err) {
+    console.error(err.name, err.message);
+    showToast(err.message);
+  }
+});
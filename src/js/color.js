@@ -17,14 +17,49 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { filterInputs, POTRACE } from './ui.js';
-import { progress, svgOutput, optimizeCurvesCheckbox } from './domrefs.js';
+import { filterInputs, POTRACE, showToast } from './ui.js';
+import {
+  progress,
+  svgOutput,
+  optimizeCurvesCheckbox,
+  colorLayeringSelect,
+  paletteModeSelect,
+  paletteSwatches,
+} from './domrefs.js';
+import { i18n } from './i18n.js';
 import ColorWorker from './colorworker?worker';
 
 let colorWorker = null;
 const intervalID = {};
 
-const convertToColorSVG = async (imageData) => {
+/**
+ * Show the palette the image was reduced to before tracing
+ * @param {Object} data - Palette message from the worker
+ * @param {Array<number[]>} data.palette - RGB colors
+ * @param {boolean} data.autoPalette - Whether the palette was applied because
+ *     the image has too many colors
+ */
+const showPalette = ({ palette, autoPalette }) => {
+  paletteSwatches.innerHTML = '';
+  if (autoPalette) {
+    const note = document.createElement('p');
+    note.textContent = i18n.t('paletteAutoEnabled');
+    paletteSwatches.append(note);
+    showToast(i18n.t('paletteAutoEnabled'));
+  }
+  for (const rgb of palette) {
+    const swatch = document.createElement('span');
+    swatch.classList.add('palette-swatch');
+    swatch.style.backgroundColor = `rgb(${rgb.join(' ')})`;
+    swatch.title = `#${rgb
+      .map((value) => value.toString(16).padStart(2, '0'))
+      .join('')}`;
+    paletteSwatches.append(swatch);
+  }
+  paletteSwatches.hidden = false;
+};
+
+const convertToColorSVG = async (imageData, original = null) => {
   if (colorWorker) {
     colorWorker.terminate();
   }
@@ -44,7 +79,8 @@ const convertToColorSVG = async (imageData) => {
     progress.value = 0;
     let prefix = '';
     let suffix = '';
-    let paths = '';
+    // Layers finish in any order, but stacked layers must be drawn in order.
+    const paths = [];
     let lastLength = 0;
 
     if (intervalID.current) {
@@ -52,7 +88,7 @@ const convertToColorSVG = async (imageData) => {
       intervalID.current = null;
     }
     intervalID.current = setInterval(() => {
-      const svg = `${prefix}${paths}${suffix}`;
+      const svg = `${prefix}${paths.join('')}${suffix}`;
       if (svg.length !== lastLength) {
         const transform = svgOutput.dataset.transform;
         if (transform) {
@@ -65,6 +101,10 @@ const convertToColorSVG = async (imageData) => {
 
     const progressChannel = new MessageChannel();
     progressChannel.port1.onmessage = ({ data }) => {
+      if (data.palette) {
+        showPalette(data);
+        return;
+      }
       const percentage = Math.floor((data.processed / data.total) * 100);
       progress.value = percentage;
       if (data.svg) {
@@ -76,7 +116,7 @@ const convertToColorSVG = async (imageData) => {
           suffix = data.svg.replace(/(.*?<svg[^>]+>)(.*?)(<\/svg>)/, '$3');
         }
         const path = data.svg.replace(/(.*?<svg[^>]+>)(.*?)(<\/svg>)/, '$2');
-        paths += path;
+        paths[data.index] = path;
       }
       if (data.processed === data.total) {
         clearInterval(intervalID.current);
@@ -97,8 +137,12 @@ const convertToColorSVG = async (imageData) => {
       extractcolors: false,
       posterizelevel: 2, // [1, 255]
       posterizationalgorithm: 0,
+      layering: colorLayeringSelect.value,
+      palette: paletteModeSelect.value,
+      paletteSize: Number(filterInputs[POTRACE.paletteSize].value),
+      gradientTolerance: Number(filterInputs[POTRACE.gradientTolerance].value),
     };
-    colorWorker.postMessage({ imageData, params }, [
+    colorWorker.postMessage({ imageData, original, params }, [
       channel.port2,
       progressChannel.port2,
     ]);
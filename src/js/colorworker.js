@@ -18,10 +18,23 @@
  */
 
 import { potrace, init } from 'esm-potrace-wasm';
+import { applyPalette, countColors } from './palette.js';
+import { findGradients, createGradientElement } from './gradientfit.js';
 
-const extractColors = (imageData) => {
+// Every color is traced separately, so above this many colors a palette is
+// applied even if none is selected.
+const MAX_TRACED_COLORS = 256;
+
+const extractColors = (imageData, gradientOf) => {
   const colors = {};
   for (let i = 0; i < imageData.data.length; i += 4) {
+    // Pixels covered by a gradient are traced as one layer per gradient.
+    const gradient = gradientOf ? gradientOf[i / 4] : -1;
+    if (gradient !== -1) {
+      const key = `gradient,${gradient}`;
+      (colors[key] ??= []).push(i);
+      continue;
+    }
     const r = imageData.data[i];
     const g = imageData.data[i + 1];
     const b = imageData.data[i + 2];
@@ -39,9 +52,96 @@ const extractColors = (imageData) => {
   return colors;
 };
 
-const convertToColorSVG = async (imageData, params, progressPort) => {
+/**
+ * Check whether a layer is a gradient layer
+ * @param {string} color - RGBA color, or `gradient,<index>`
+ * @returns {boolean} Whether the layer is filled with a gradient
+ */
+const isGradient = (color) => color.startsWith('gradient,');
+
+/**
+ * Order the colors from the bottom layer to the top layer
+ * @param {Object<string, number[]>} colors - Pixel locations per RGBA color
+ * @param {string} layering - `'luminance'` to put light colors below dark
+ *     ones, or `'area'` to put large regions below small ones
+ * @param {Array<Object>} gradients - Gradients, which count with their mean
+ *     color
+ * @returns {Array<[string, number[]]>} Colors and their pixel locations
+ */
+const sortColors = (colors, layering, gradients) => {
+  const luminance = (color) => {
+    const [r, g, b] = isGradient(color)
+      ? gradients[color.split(',')[1]].color
+      : color.split(',').map(Number);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  return Object.entries(colors).sort(
+    layering === 'area'
+      ? (a, b) => b[1].length - a[1].length
+      : (a, b) => luminance(b[0]) - luminance(a[0]),
+  );
+};
+
+/**
+ * Get the transform from pixels to the user space of a Potrace layer, which
+ * is the inverse of the layer group's transform
+ * @param {string} svg - Potrace SVG string
+ * @returns {string} Transform, empty if the group has none
+ */
+const getPixelTransform = (svg) => {
+  const transform = svg.match(/<g\b[^>]*\stransform="([^"]*)"/)?.[1] || '';
+  const [tx = 0, ty = 0] =
+    transform
+      .match(/translate\(([^)]*)\)/)?.[1]
+      .split(/[\s,]+/)
+      .map(Number) ?? [];
+  const [sx = 1, sy = sx] =
+    transform
+      .match(/scale\(([^)]*)\)/)?.[1]
+      .split(/[\s,]+/)
+      .map(Number) ?? [];
+  if (!tx && !ty && sx === 1 && sy === 1) {
+    return '';
+  }
+  return `scale(${+(1 / sx).toFixed(6)},${+(1 / sy).toFixed(6)}) translate(${-tx},${-ty})`;
+};
+
+const convertToColorSVG = async (imageData, original, params, progressPort) => {
   await init();
-  const colors = extractColors(imageData);
+  const autoPalette =
+    params.palette === 'off' &&
+    countColors(imageData, MAX_TRACED_COLORS) > MAX_TRACED_COLORS;
+  if (params.palette !== 'off' || autoPalette) {
+    const palette = applyPalette(
+      imageData,
+      params.paletteSize,
+      autoPalette ? 'kmeans' : params.palette,
+    );
+    progressPort.postMessage({ palette, autoPalette });
+  }
+  const { gradientOf, gradients } =
+    original && params.gradientTolerance > 0
+      ? findGradients(imageData, original, params.gradientTolerance)
+      : { gradientOf: null, gradients: [] };
+  const colors = extractColors(imageData, gradientOf);
+  const stacked = params.layering !== 'separate';
+  const layers = stacked
+    ? sortColors(colors, params.layering, gradients)
+    : Object.entries(colors);
+  // Stacked layers also cover the pixels of the opaque layers above them, so
+  // neighboring colors overlap instead of leaving seams. Each pixel records
+  // the index of its opaque layer, so a layer's mask takes one pass.
+  let coverage = null;
+  if (stacked) {
+    coverage = new Int32Array(imageData.width * imageData.height).fill(-1);
+    for (const [index, [color, occurrences]] of layers.entries()) {
+      if (isGradient(color) || color.endsWith(',255')) {
+        for (const location of occurrences) {
+          coverage[location / 4] = index;
+        }
+      }
+    }
+  }
 
   let prefix = '';
   let suffix = '';
@@ -49,31 +149,65 @@ const convertToColorSVG = async (imageData, params, progressPort) => {
 
   const promises = [];
   let processed = 0;
-  for (const [color, occurrences] of Object.entries(colors)) {
+  for (const [index, [color, occurrences]] of layers.entries()) {
     promises.push(() => {
       let newImageData = new ImageData(imageData.width, imageData.height);
-      newImageData.data.fill(255);
+      const data = newImageData.data;
+      data.fill(255);
       const len = occurrences.length;
       for (let i = 0; i < len; i++) {
         const location = occurrences[i];
-        newImageData.data[location] = 0;
-        newImageData.data[location + 1] = 0;
-        newImageData.data[location + 2] = 0;
-        newImageData.data[location + 3] = 255;
+        data[location] = 0;
+        data[location + 1] = 0;
+        data[location + 2] = 0;
+      }
+      if (coverage) {
+        for (let pixel = 0; pixel < coverage.length; pixel++) {
+          if (coverage[pixel] > index) {
+            data[pixel * 4] = 0;
+            data[pixel * 4 + 1] = 0;
+            data[pixel * 4 + 2] = 0;
+          }
+        }
       }
       return new Promise(async (resolve) => {
         let svg = await potrace(newImageData, params);
         newImageData = null;
-        const [r, g, b, a] = color.split(',');
-        const alpha = (a / 255).toFixed(2);
-        svg = svg.replace(
-          'fill="#000000" stroke="none"',
-          `fill="rgb(${r},${g},${b})" stroke="rgb(${r},${g},${b})"${
-            a === '255'
-              ? ''
-              : ` fill-opacity="${alpha}" stroke-opacity="${alpha}"`
-          } stroke-width="${params.strokeWidth}px"`,
-        );
+        if (isGradient(color)) {
+          const gradient = color.split(',')[1];
+          const id = `svgcode-gradient-${gradient}`;
+          svg = svg
+            .replace(
+              '<g',
+              `${createGradientElement(
+                gradients[gradient],
+                id,
+                getPixelTransform(svg),
+              )}<g`,
+            )
+            .replace(
+              'fill="#000000" stroke="none"',
+              // Stacked layers overlap already, so strokes only thicken them.
+              stacked
+                ? `fill="url(#${id})" stroke="none"`
+                : `fill="url(#${id})" stroke="url(#${id})" stroke-width="${params.strokeWidth}px"`,
+            );
+        } else {
+          const [r, g, b, a] = color.split(',');
+          const alpha = (a / 255).toFixed(2);
+          svg = svg.replace(
+            'fill="#000000" stroke="none"',
+            stacked
+              ? `fill="rgb(${r},${g},${b})"${
+                  a === '255' ? '' : ` fill-opacity="${alpha}"`
+                } stroke="none"`
+              : `fill="rgb(${r},${g},${b})" stroke="rgb(${r},${g},${b})"${
+                  a === '255'
+                    ? ''
+                    : ` fill-opacity="${alpha}" stroke-opacity="${alpha}"`
+                } stroke-width="${params.strokeWidth}px"`,
+          );
+        }
         const pathRegEx = /<path\s*d="([^"]+)"\/>/g;
         let matches;
         const shortPaths = [];
@@ -99,7 +233,7 @@ const convertToColorSVG = async (imageData, params, progressPort) => {
           `Potraced ${String(((processed / total) * 100).toFixed())}% %c■■`,
           `color: rgba(${color})`,
         );
-        progressPort.postMessage({ processed, total, svg });
+        progressPort.postMessage({ processed, total, svg, index });
         resolve(svg);
       });
     });
@@ -129,7 +263,7 @@ const convertToColorSVG = async (imageData, params, progressPort) => {
 };
 
 self.addEventListener('message', async (e) => {
-  const { imageData, params } = e.data;
-  const svg = await convertToColorSVG(imageData, params, e.ports[1]);
+  const { imageData, original, params } = e.data;
+  const svg = await convertToColorSVG(imageData, original, params, e.ports[1]);
   e.ports[0].postMessage({ result: svg });
 });
@@ -0,0 +1,379 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { getSVGShapes, commandsToPathData } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { getPolygons, getSignedArea } from './exportmesh.js';
+
+const MM_PER_INCH = 25.4;
+// Cutter software treats strokes this thin as cut lines.
+const HAIRLINE_MM = 0.01;
+const FLATTEN_TOLERANCE_MM = 0.02;
+const WEEDING_MARGIN_MM = 3;
+const WEED_LINE_CLEARANCE_MM = 1;
+// Weeding cuts get their own color, so cutters can map them to a separate
+// pass or skip them.
+const WEEDING_COLOR = '#0000ff';
+// Offset corners only create loops with nearby edges, so only look back this
+// many edges for crossings.
+const LOOP_SEARCH_WINDOW = 64;
+
+/**
+ * Intersect two line segments
+ * @param {number[]} a - Start of the first segment
+ * @param {number[]} b - End of the first segment
+ * @param {number[]} c - Start of the second segment
+ * @param {number[]} d - End of the second segment
+ * @returns {number[]|null} Intersection point, or `null`
+ */
+const intersectSegments = ([ax, ay], [bx, by], [cx, cy], [dx, dy]) => {
+  const denominator = (bx - ax) * (dy - cy) - (by - ay) * (dx - cx);
+  if (!denominator) {
+    return null;
+  }
+  const t = ((cx - ax) * (dy - cy) - (cy - ay) * (dx - cx)) / denominator;
+  const u = ((cx - ax) * (by - ay) - (cy - ay) * (bx - ax)) / denominator;
+  if (t <= 0 || t >= 1 || u <= 0 || u >= 1) {
+    return null;
+  }
+  return [ax + (bx - ax) * t, ay + (by - ay) * t];
+};
+
+/**
+ * Remove the small loops that offsetting creates at inner corners
+ *
+ * Whenever a new edge crosses one of the recent edges, the points in between
+ * form a loop and are replaced by the crossing point.
+ * @param {Array<number[]>} ring - Closed ring, starting at a convex corner
+ * @returns {Array<number[]>} Ring without local self-intersections
+ */
+const removeLoops = (ring) => {
+  const out = [];
+  for (const point of [...ring, ring[0]]) {
+    const last = out[out.length - 1];
+    for (
+      let k = out.length - 3;
+      k >= Math.max(0, out.length - 1 - LOOP_SEARCH_WINDOW);
+      k--
+    ) {
+      const crossing = intersectSegments(out[k], out[k + 1], last, point);
+      if (crossing) {
+        out.length = k + 1;
+        out.push(crossing);
+        break;
+      }
+    }
+    out.push(point);
+  }
+  out.pop();
+  return out;
+};
+
+/**
+ * Offset a ring, with round joins where the offset opens a gap at a corner
+ * @param {Array<number[]>} ring - Closed ring with the material to the left
+ *     of its edges, as returned by `getPolygons()`
+ * @param {number} distance - Offset away from the material, negative to
+ *     offset into it
+ * @param {number} tolerance - Maximum deviation of the round joins
+ * @returns {Array<number[]>|null} Offset ring, or `null` if it vanished
+ */
+const offsetRing = (ring, distance, tolerance) => {
+  const points = ring.filter(
+    ([x, y], i) =>
+      x !== ring[(i + 1) % ring.length][0] ||
+      y !== ring[(i + 1) % ring.length][1],
+  );
+  const n = points.length;
+  if (n < 3) {
+    return null;
+  }
+  // The rightmost point is always a convex corner, where no loop can start.
+  let start = 0;
+  points.forEach(([x], i) => {
+    if (x > points[start][0]) {
+      start = i;
+    }
+  });
+  const stepAngle =
+    2 * Math.acos(Math.max(-1, 1 - tolerance / Math.abs(distance)));
+  const offset = [];
+  for (let k = 0; k < n; k++) {
+    const i = (start + k) % n;
+    const [px, py] = points[i];
+    const [ax, ay] = points[(i - 1 + n) % n];
+    const [bx, by] = points[(i + 1) % n];
+    const l1 = Math.hypot(px - ax, py - ay);
+    const l2 = Math.hypot(bx - px, by - py);
+    // Right-hand normals point away from the material.
+    const n1 = [(py - ay) / l1, -(px - ax) / l1];
+    const n2 = [(by - py) / l2, -(bx - px) / l2];
+    const turn = (px - ax) * (by - py) - (py - ay) * (bx - px);
+    offset.push([px + n1[0] * distance, py + n1[1] * distance]);
+    if (turn * distance > 0) {
+      const from = Math.atan2(n1[1], n1[0]);
+      let sweep = Math.atan2(n2[1], n2[0]) - from;
+      sweep -= Math.round(sweep / (2 * Math.PI)) * 2 * Math.PI;
+      const steps = Math.ceil(Math.abs(sweep) / stepAngle);
+      for (let s = 1; s < steps; s++) {
+        const angle = from + (sweep * s) / steps;
+        offset.push([
+          px + Math.cos(angle) * distance,
+          py + Math.sin(angle) * distance,
+        ]);
+      }
+    }
+    offset.push([px + n2[0] * distance, py + n2[1] * distance]);
+  }
+  // Shrinking rings can start inside a loop, so run a second pass with the
+  // seam moved to the opposite side.
+  const once = removeLoops(offset);
+  const half = Math.floor(once.length / 2);
+  const cleaned = removeLoops([...once.slice(half), ...once.slice(0, half)]);
+  // Rings that shrink past their size flip over or collapse.
+  const area = getSignedArea(cleaned);
+  if (
+    cleaned.length < 3 ||
+    Math.sign(area) !== Math.sign(getSignedArea(points)) ||
+    Math.abs(area) < tolerance * tolerance
+  ) {
+    return null;
+  }
+  return cleaned;
+};
+
+/**
+ * Convert points to closed path data
+ * @param {Array<number[]>} points - Ring
+ * @returns {string} Path data
+ */
+const ringToPathData = (points) =>
+  `M${points.map(([x, y]) => `${+x.toFixed(2)} ${+y.toFixed(2)}`).join('L')}Z`;
+
+/**
+ * Find the spans of a line that lie outside all polygons, for weed lines
+ * @param {Array<Array<Array<number[]>>>} polygons - Polygons with holes
+ * @param {number} axis - `0` for a horizontal line, `1` for a vertical one
+ * @param {number} position - Position of the line on the other axis
+ * @param {number} from - Start of the line
+ * @param {number} to - End of the line
+ * @param {number} clearance - Distance to keep from the polygons
+ * @returns {Array<number[]>} `[start, end]` spans
+ */
+const getFreeSpans = (polygons, axis, position, from, to, clearance) => {
+  const other = 1 - axis;
+  const blocked = [];
+  for (const polygon of polygons) {
+    const crossings = [];
+    for (const ring of polygon) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        if (a[other] > position !== b[other] > position) {
+          crossings.push(
+            a[axis] +
+              ((position - a[other]) * (b[axis] - a[axis])) /
+                (b[other] - a[other]),
+          );
+        }
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      blocked.push([crossings[i] - clearance, crossings[i + 1] + clearance]);
+    }
+  }
+  blocked.sort((a, b) => a[0] - b[0]);
+  const spans = [];
+  let cursor = from;
+  for (const [start, end] of blocked) {
+    if (start > cursor) {
+      spans.push([cursor, Math.min(start, to)]);
+    }
+    cursor = Math.max(cursor, end);
+  }
+  if (cursor < to) {
+    spans.push([cursor, to]);
+  }
+  return spans.filter(([start, end]) => end - start > clearance);
+};
+
+/**
+ * Convert an SVG into hairline cut paths for vinyl cutters and lasers
+ *
+ * Filled regions are offset by half the kerf away from the material, so the
+ * cut pieces keep their size, and the SVG gets physical dimensions.
+ * @param {string} svg - SVG string
+ * @param {Object} options - Cutting options
+ * @param {string} options.units - Units of `width`, `'mm'` or `'inch'`
+ * @param {number} options.width - Physical width of the artwork
+ * @param {number} options.kerf - Kerf width in millimeters
+ * @param {boolean} options.weedingBox - Add a box around the artwork
+ * @param {boolean} options.weedLines - Split the weeding area with lines
+ *     through the gaps in the artwork
+ * @returns {string} SVG string
+ */
+const createCutPaths = (
+  svg,
+  {
+    units = 'mm',
+    width = 100,
+    kerf = 0,
+    weedingBox = false,
+    weedLines = false,
+  } = {},
+) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const unitsPerMM =
+    viewBox.width / (width * (units === 'inch' ? MM_PER_INCH : 1));
+  const tolerance = FLATTEN_TOLERANCE_MM * unitsPerMM;
+  const distance = (kerf / 2) * unitsPerMM;
+  const groups = new Map();
+  const allPolygons = [];
+  const addPath = (color, pathData) => {
+    if (!groups.has(color)) {
+      groups.set(color, []);
+    }
+    groups.get(color).push(pathData);
+  };
+  const toHex = (rgb) =>
+    `#${rgb.map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+  for (const shape of shapes) {
+    if (!shape.commands.length) {
+      continue;
+    }
+    if (shape.fill) {
+      const rings = flattenPathCommands(shape.commands, tolerance).map(
+        ({ points }) => points,
+      );
+      const polygons = getPolygons(rings, shape.fillRule)
+        .map((polygon) =>
+          distance
+            ? polygon
+                .map((ring) => offsetRing(ring, distance, tolerance))
+                .filter(Boolean)
+            : polygon,
+        )
+        .filter((polygon) => polygon.length);
+      allPolygons.push(...polygons);
+      if (distance) {
+        for (const ring of polygons.flat()) {
+          addPath(toHex(shape.fill), ringToPathData(ring));
+        }
+      } else {
+        // Without a kerf, keep the original curves.
+        addPath(toHex(shape.fill), commandsToPathData(shape.commands));
+      }
+    } else if (shape.stroke) {
+      addPath(toHex(shape.stroke), commandsToPathData(shape.commands));
+    }
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of allPolygons.flat(2)) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  let bounds = { ...viewBox };
+  if (weedingBox && allPolygons.length) {
+    const margin = WEEDING_MARGIN_MM * unitsPerMM;
+    const box = {
+      x: minX - margin,
+      y: minY - margin,
+      width: maxX - minX + 2 * margin,
+      height: maxY - minY + 2 * margin,
+    };
+    addPath(
+      WEEDING_COLOR,
+      ringToPathData([
+        [box.x, box.y],
+        [box.x + box.width, box.y],
+        [box.x + box.width, box.y + box.height],
+        [box.x, box.y + box.height],
+      ]),
+    );
+    if (weedLines) {
+      const clearance = WEED_LINE_CLEARANCE_MM * unitsPerMM;
+      const y = box.y + box.height / 2;
+      const x = box.x + box.width / 2;
+      const lines = [
+        ...getFreeSpans(
+          allPolygons,
+          0,
+          y,
+          box.x,
+          box.x + box.width,
+          clearance,
+        ).map(([x1, x2]) => [
+          [x1, y],
+          [x2, y],
+        ]),
+        ...getFreeSpans(
+          allPolygons,
+          1,
+          x,
+          box.y,
+          box.y + box.height,
+          clearance,
+        ).map(([y1, y2]) => [
+          [x, y1],
+          [x, y2],
+        ]),
+      ];
+      for (const [[x1, y1], [x2, y2]] of lines) {
+        addPath(
+          WEEDING_COLOR,
+          `M${+x1.toFixed(2)} ${+y1.toFixed(2)}L${+x2.toFixed(2)} ${+y2.toFixed(2)}`,
+        );
+      }
+    }
+    const right = Math.max(bounds.x + bounds.width, box.x + box.width);
+    const bottom = Math.max(bounds.y + bounds.height, box.y + box.height);
+    bounds.x = Math.min(bounds.x, box.x);
+    bounds.y = Math.min(bounds.y, box.y);
+    bounds = {
+      ...bounds,
+      width: right - bounds.x,
+      height: bottom - bounds.y,
+    };
+  }
+
+  const n = (value) => +value.toFixed(3);
+  const hairline = n(HAIRLINE_MM * unitsPerMM);
+  const content = [...groups]
+    .map(
+      ([color, paths]) =>
+        `<g fill="none" stroke="${color}" stroke-width="${hairline}">${paths
+          .map((d) => `<path class="cut-path" d="${d}"/>`)
+          .join('')}</g>`,
+    )
+    .join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${n(
+    bounds.width / unitsPerMM,
+  )}mm" height="${n(bounds.height / unitsPerMM)}mm" viewBox="${n(bounds.x)} ${n(
+    bounds.y,
+  )} ${n(bounds.width)} ${n(bounds.height)}">${content}</svg>`;
+};
+
+export { createCutPaths };
@@ -31,14 +31,90 @@ const pathGroupEnabledCheckbox = document.querySelector('.path-group-enabled');
 const pathGroupEnabledLabel = document.querySelector('[for="path-group-enabled"]');
 const pathEditorEnabledCheckbox = document.querySelector('.path-editor-enabled');
 const pathEditorEnabledLabel = document.querySelector('[for="path-editor-enabled"]');
+const cuttingModeCheckbox = document.querySelector('.cutting-mode');
+const cuttingModeLabel = document.querySelector('[for="cutting-mode"]');
+const weedingBoxCheckbox = document.querySelector('.weeding-box');
+const weedingBoxLabel = document.querySelector('[for="weeding-box"]');
+const weedLinesCheckbox = document.querySelector('.weed-lines');
+const weedLinesLabel = document.querySelector('[for="weed-lines"]');
 const colorRadio = document.querySelector('.color');
 const colorLabel = document.querySelector('[for=color]');
 const monochromeRadio = document.querySelector('.monochrome');
 const monochromeLabel = document.querySelector('[for=monochrome]');
+const centerlineRadio = document.querySelector('.centerline');
+const centerlineLabel = document.querySelector('[for=centerline]');
+const colorLayeringSelect = document.querySelector('.color-layering');
+const colorLayeringLabel = document.querySelector('[for="color-layering"]');
+const paletteModeSelect = document.querySelector('.palette-mode');
+const paletteModeLabel = document.querySelector('[for="palette-mode"]');
+const paletteSwatches = document.querySelector('.palette-swatches');
 const considerDPRCheckbox = document.querySelector('.consider-dpr');
 const considerDPRLabel = document.querySelector('[for="consider-dpr"]');
 const optimizeCurvesCheckbox = document.querySelector('.optimize-curves');
 const optimizeCurvesLabel = document.querySelector('[for="optimize-curves"]');
+const iconDarkVariantCheckbox = document.querySelector('.icon-dark-variant');
+const iconDarkVariantLabel = document.querySelector(
+  '[for="icon-dark-variant"]',
+);
+const iconBackgroundInput = document.querySelector('.icon-background');
+const iconBackgroundLabel = document.querySelector('[for="icon-background"]');
+const pageSizeSelect = document.querySelector('.page-size');
+const pageSizeLabel = document.querySelector('[for="page-size"]');
+const physicalWidthInput = document.querySelector('.physical-width');
+const physicalWidthLabel = document.querySelector('[for="physical-width"]');
+const physicalUnitsSelect = document.querySelector('.physical-units');
+const dxfVersionSelect = document.querySelector('.dxf-version');
+const dxfVersionLabel = document.querySelector('[for="dxf-version"]');
+const dxfLayersCheckbox = document.querySelector('.dxf-layers');
+const dxfLayersLabel = document.querySelector('[for="dxf-layers"]');
+const penUpCommandInput = document.querySelector('.pen-up-command');
+const penUpCommandLabel = document.querySelector('[for="pen-up-command"]');
+const penDownCommandInput = document.querySelector('.pen-down-command');
+const penDownCommandLabel = document.querySelector('[for="pen-down-command"]');
+const travelOptimizationCheckbox = document.querySelector(
+  '.travel-optimization',
+);
+const travelOptimizationLabel = document.querySelector(
+  '[for="travel-optimization"]',
+);
+const travelPreviewCheckbox = document.querySelector('.travel-preview');
+const travelPreviewLabel = document.querySelector('[for="travel-preview"]');
+const componentCurrentColorCheckbox = document.querySelector(
+  '.component-current-color',
+);
+const componentCurrentColorLabel = document.querySelector(
+  '[for="component-current-color"]',
+);
+const stlAsciiCheckbox = document.querySelector('.stl-ascii');
+const stlAsciiLabel = document.querySelector('[for="stl-ascii"]');
+const basePlateCheckbox = document.querySelector('.base-plate');
+const basePlateLabel = document.querySelector('[for="base-plate"]');
+const embroideryOutlineSelect = document.querySelector('.embroidery-outline');
+const embroideryOutlineLabel = document.querySelector(
+  '[for="embroidery-outline"]',
+);
+const stitchPreviewCheckbox = document.querySelector('.stitch-preview');
+const stitchPreviewLabel = document.querySelector('[for="stitch-preview"]');
+const tilePreviewCheckbox = document.querySelector('.tile-preview');
+const tilePreviewLabel = document.querySelector('[for="tile-preview"]');
+const animationFillCheckbox = document.querySelector('.animation-fill');
+const animationFillLabel = document.querySelector('[for="animation-fill"]');
+const batchOutputSelect = document.querySelector('.batch-output');
+const batchOutputLabel = document.querySelector('[for="batch-output"]');
+const spriteCurrentColorCheckbox = document.querySelector(
+  '.sprite-current-color',
+);
+const spriteCurrentColorLabel = document.querySelector(
+  '[for="sprite-current-color"]',
+);
+const separationModeSelect = document.querySelector('.separation-mode');
+const separationModeLabel = document.querySelector('[for="separation-mode"]');
+const trapDirectionSelect = document.querySelector('.trap-direction');
+const trapDirectionLabel = document.querySelector('[for="trap-direction"]');
+const animationOrderSelect = document.querySelector('.animation-order');
+const animationOrderLabel = document.querySelector('[for="animation-order"]');
+const animationTypeSelect = document.querySelector('.animation-type');
+const animationTypeLabel = document.querySelector('[for="animation-type"]');
 const showAdvancedControlsCheckbox = document.querySelector('.show-advanced');
 const showAdvancedControlsLabel = document.querySelector(
   '[for="show-advanced"]',
@@ -46,13 +122,18 @@ const showAdvancedControlsLabel = document.querySelector(
 const inputImage = document.querySelector('img');
 const resetAllButton = document.querySelector('.reset-all');
 const fileOpenButton = document.querySelector('.open');
+const batchOpenButton = document.querySelector('.batch');
 const saveSVGButton = document.querySelector('.save');
-const exportPNGButton = document.querySelector('.export-png');
+const exportButton = document.querySelector('.export');
+const exportFormatSelect = document.querySelector('.export-format-select');
 const copyButton = document.querySelector('.copy');
+const copyCodeButton = document.querySelector('.copy-code');
+const playAnimationButton = document.querySelector('.play-animation');
 const shareSVGButton = document.querySelector('.share');
 const pasteButton = document.querySelector('.paste');
 const installButton = document.querySelector('.install');
 const svgOutput = document.querySelector('.svg-output');
+const svgOverlay = document.querySelector('.svg-overlay');
 const debugCheckbox = document.querySelector('.debug');
 const progress = document.querySelector('progress');
 const toast = document.querySelector('.toast');
@@ -86,26 +167,91 @@ export {
   pathGroupEnabledLabel,
   pathEditorEnabledCheckbox,
   pathEditorEnabledLabel,
+  cuttingModeCheckbox,
+  cuttingModeLabel,
+  weedingBoxCheckbox,
+  weedingBoxLabel,
+  weedLinesCheckbox,
+  weedLinesLabel,
   colorRadio,
   colorLabel,
   monochromeRadio,
   monochromeLabel,
+  centerlineRadio,
+  centerlineLabel,
+  colorLayeringSelect,
+  colorLayeringLabel,
+  paletteModeSelect,
+  paletteModeLabel,
+  paletteSwatches,
   considerDPRCheckbox,
   considerDPRLabel,
   optimizeCurvesCheckbox,
   optimizeCurvesLabel,
+  iconDarkVariantCheckbox,
+  iconDarkVariantLabel,
+  iconBackgroundInput,
+  iconBackgroundLabel,
+  pageSizeSelect,
+  pageSizeLabel,
+  physicalWidthInput,
+  physicalWidthLabel,
+  physicalUnitsSelect,
+  dxfVersionSelect,
+  dxfVersionLabel,
+  dxfLayersCheckbox,
+  dxfLayersLabel,
+  penUpCommandInput,
+  penUpCommandLabel,
+  penDownCommandInput,
+  penDownCommandLabel,
+  travelOptimizationCheckbox,
+  travelOptimizationLabel,
+  travelPreviewCheckbox,
+  travelPreviewLabel,
+  componentCurrentColorCheckbox,
+  componentCurrentColorLabel,
+  stlAsciiCheckbox,
+  stlAsciiLabel,
+  basePlateCheckbox,
+  basePlateLabel,
+  embroideryOutlineSelect,
+  embroideryOutlineLabel,
+  stitchPreviewCheckbox,
+  stitchPreviewLabel,
+  tilePreviewCheckbox,
+  tilePreviewLabel,
+  animationFillCheckbox,
+  animationFillLabel,
+  batchOutputSelect,
+  batchOutputLabel,
+  spriteCurrentColorCheckbox,
+  spriteCurrentColorLabel,
+  separationModeSelect,
+  separationModeLabel,
+  trapDirectionSelect,
+  trapDirectionLabel,
+  animationOrderSelect,
+  animationOrderLabel,
+  animationTypeSelect,
+  animationTypeLabel,
   showAdvancedControlsCheckbox,
   showAdvancedControlsLabel,
   inputImage,
   resetAllButton,
   fileOpenButton,
+  batchOpenButton,
   saveSVGButton,
-  exportPNGButton,
+  exportButton,
+  exportFormatSelect,
   shareSVGButton,
   copyButton,
+  copyCodeButton,
+  playAnimationButton,
   pasteButton,
   installButton,
   svgOutput,
+  svgOverlay,
   documentElement,
   debugCheckbox,
   toast,
@@ -17,9 +17,175 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { svgOutput } from './domrefs.js';
-import { showToast } from './ui.js';
+import { fileSave } from 'browser-fs-access';
+import {
+  svgOutput,
+  iconDarkVariantCheckbox,
+  iconBackgroundInput,
+  pageSizeSelect,
+  physicalWidthInput,
+  physicalUnitsSelect,
+  dxfVersionSelect,
+  dxfLayersCheckbox,
+  penUpCommandInput,
+  penDownCommandInput,
+  travelOptimizationCheckbox,
+  travelPreviewCheckbox,
+  componentCurrentColorCheckbox,
+  stlAsciiCheckbox,
+  basePlateCheckbox,
+  embroideryOutlineSelect,
+  stitchPreviewCheckbox,
+  separationModeSelect,
+  trapDirectionSelect,
+  tilePreviewCheckbox,
+  animationFillCheckbox,
+  animationOrderSelect,
+  animationTypeSelect,
+  exportFormatSelect,
+  statsDisplay,
+} from './domrefs.js';
+import { showToast, filterInputs, EXPORT } from './ui.js';
 import { i18n } from './i18n.js';
+import { getSVGShapes } from './svgpaths.js';
+import { optimizeSVG } from './svgo.js';
+import { FILE_HANDLE, getSuggestedFileName } from './filesystem.js';
+import { toPascalCase } from './util.js';
+import { get } from 'idb-keyval';
+
+const ICO_SIZES = [16, 24, 32, 48, 64, 128, 256];
+// Sizes below this are stored as BMP/DIB entries, which older Windows shells
+// and icon APIs require for small icons. Larger ones are PNG-compressed.
+const ICO_PNG_MIN_SIZE = 64;
+
+// ICNS element types holding PNG data. The @2x types for Retina displays
+// share pixel sizes with the larger 1x types.
+const ICNS_TYPES = [
+  { type: 'icp4', size: 16 },
+  { type: 'icp5', size: 32 },
+  { type: 'ic07', size: 128 },
+  { type: 'ic08', size: 256 },
+  { type: 'ic09', size: 512 },
+  { type: 'ic10', size: 1024 }, // 512@2x
+  { type: 'ic11', size: 32 }, // 16@2x
+  { type: 'ic12', size: 64 }, // 32@2x
+  { type: 'ic13', size: 256 }, // 128@2x
+  { type: 'ic14', size: 512 }, // 256@2x
+];
+
+// Formats that produce source code, which can also be copied.
+const CODE_FORMATS = [
+  'react',
+  'vue',
+  'svelte',
+  'swiftui',
+  'flutter',
+  'xaml',
+  'css-clip-path',
+  'css-mask',
+  'css-background',
+  'css-base64',
+];
+// Code formats that draw the path geometry natively instead of embedding SVG.
+const NATIVE_FORMATS = ['swiftui', 'flutter', 'xaml'];
+// Code formats that produce CSS snippets.
+const CSS_FORMATS = [
+  'css-clip-path',
+  'css-mask',
+  'css-background',
+  'css-base64',
+];
+// Formats whose stitch count is shown in the statistics.
+const EMBROIDERY_FORMATS = ['dst', 'pes'];
+// Formats whose page grid is shown over the output.
+const POSTER_FORMATS = ['poster-pdf', 'poster-svg'];
+
+const PT_PER_MM = 72 / 25.4;
+// CSS pixels are defined as 1/96 in, PDF points as 1/72 in.
+const PT_PER_PX = 0.75;
+// Portrait page sizes in points.
+const PDF_PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  a3: [841.89, 1190.55],
+  letter: [612, 792],
+  legal: [612, 1008],
+};
+const PDF_LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const PDF_LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+/**
+ * Get the user space dimensions of an SVG
+ * @param {string} svg - SVG string
+ * @returns {{x: number, y: number, width: number, height: number}} View box
+ */
+const getSVGViewBox = (svg) => {
+  const viewBox = { x: 0, y: 0, width: 1024, height: 1024 };
+  const viewBoxMatch = svg.match(/viewBox="([^"]+)"/);
+  if (viewBoxMatch) {
+    const [x, y, width, height] = viewBoxMatch[1]
+      .trim()
+      .split(/[\s,]+/)
+      .map(parseFloat);
+    viewBox.x = x || 0;
+    viewBox.y = y || 0;
+    viewBox.width = width || viewBox.width;
+    viewBox.height = height || viewBox.height;
+    return viewBox;
+  }
+  const widthMatch = svg.match(/<svg[^>]*\swidth="([\d.]+)/);
+  const heightMatch = svg.match(/<svg[^>]*\sheight="([\d.]+)/);
+  if (widthMatch && heightMatch) {
+    viewBox.width = parseFloat(widthMatch[1]) || viewBox.width;
+    viewBox.height = parseFloat(heightMatch[1]) || viewBox.height;
+  }
+  return viewBox;
+};
+
+/**
+ * Pad the view box of an SVG so it becomes square and centered
+ * @param {string} svg - SVG string
+ * @returns {string} Square SVG string
+ */
+const toSquareSVG = (svg) => {
+  const { x, y, width, height } = getSVGViewBox(svg);
+  const size = Math.max(width, height);
+  const viewBox = `${x - (size - width) / 2} ${y - (size - height) / 2} ${size} ${size}`;
+  if (/viewBox="[^"]*"/.test(svg)) {
+    return svg.replace(/viewBox="[^"]*"/, `viewBox="${viewBox}"`);
+  }
+  return svg.replace('<svg', `<svg viewBox="${viewBox}"`);
+};
+
+/**
+ * Save a blob through the File System Access API or a download fallback
+ * @param {Blob|Promise<Blob>} blob - Blob or a promise resolving to it
+ * @param {string} fileName - Suggested file name
+ * @param {Object} options - File type options
+ * @param {string} options.description - File type description
+ * @param {string} options.mimeType - MIME type
+ * @param {string} options.extension - File extension including the dot
+ * @returns {Promise<boolean>} Whether the file was saved
+ */
+const saveBlob = async (
+  blob,
+  fileName,
+  { description, mimeType, extension },
+) => {
+  try {
+    await fileSave(blob, {
+      fileName,
+      description,
+      extensions: [extension],
+      mimeTypes: [mimeType],
+    });
+    return true;
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      return false;
+    }
+    throw err;
+  }
+};
 
 /**
  * Convert SVG to PNG using Canvas
@@ -59,6 +225,172 @@ const svgToPNG = async (svg, width = 1024, height = 1024) => {
   });
 };
 
+/**
+ * Decode a PNG blob into raw pixels
+ * @param {Blob} blob - PNG blob
+ * @param {number} size - Width and height of the image
+ * @returns {Promise<ImageData>} Image data
+ */
+const pngToImageData = async (blob, size) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, size, size);
+};
+
+/**
+ * Encode image data as a 32-bit BMP/DIB icon entry
+ * @param {ImageData} imageData - Image data
+ * @returns {Uint8Array} DIB bytes (header, XOR bitmap and AND mask)
+ */
+const createDIB = ({ width, height, data }) => {
+  const headerSize = 40;
+  const pixelsSize = width * height * 4;
+  // The AND mask has one bit per pixel with rows padded to 32 bits.
+  const maskRowSize = Math.ceil(width / 32) * 4;
+  const maskSize = maskRowSize * height;
+  const bytes = new Uint8Array(headerSize + pixelsSize + maskSize);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, headerSize, true);
+  view.setInt32(4, width, true);
+  // Icon DIBs count the XOR bitmap and the AND mask in their height.
+  view.setInt32(8, height * 2, true);
+  view.setUint16(12, 1, true);
+  view.setUint16(14, 32, true);
+  view.setUint32(16, 0, true);
+  view.setUint32(20, pixelsSize + maskSize, true);
+
+  // Rows are stored bottom-up as BGRA.
+  let offset = headerSize;
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      bytes[offset++] = data[i + 2];
+      bytes[offset++] = data[i + 1];
+      bytes[offset++] = data[i];
+      bytes[offset++] = data[i + 3];
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) {
+        bytes[offset + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+    offset += maskRowSize;
+  }
+  return bytes;
+};
+
+/**
+ * Pack icon images into a Windows .ico container
+ * @param {Array<{size: number, bytes: Uint8Array}>} images - PNG or DIB entries
+ * @returns {Blob} ICO blob
+ */
+const encodeICO = (images) => {
+  const headerSize = 6 + 16 * images.length;
+  const header = new DataView(new ArrayBuffer(headerSize));
+  header.setUint16(0, 0, true);
+  header.setUint16(2, 1, true);
+  header.setUint16(4, images.length, true);
+  let offset = headerSize;
+  images.forEach(({ size, bytes }, i) => {
+    const entry = 6 + i * 16;
+    // A width and height of 0 means 256 pixels.
+    header.setUint8(entry, size >= 256 ? 0 : size);
+    header.setUint8(entry + 1, size >= 256 ? 0 : size);
+    header.setUint8(entry + 2, 0);
+    header.setUint8(entry + 3, 0);
+    header.setUint16(entry + 4, 1, true);
+    header.setUint16(entry + 6, 32, true);
+    header.setUint32(entry + 8, bytes.length, true);
+    header.setUint32(entry + 12, offset, true);
+    offset += bytes.length;
+  });
+  return new Blob([header, ...images.map(({ bytes }) => bytes)], {
+    type: 'image/x-icon',
+  });
+};
+
+/**
+ * Render an SVG into a multi-resolution ICO file
+ * @param {string} svg - SVG string
+ * @param {number[]} sizes - Icon sizes in pixels
+ * @returns {Promise<Blob>} ICO blob
+ */
+const createICO = async (svg, sizes = ICO_SIZES) => {
+  const squareSVG = toSquareSVG(svg);
+  const images = [];
+  for (const size of sizes) {
+    const png = await svgToPNG(squareSVG, size, size);
+    const bytes =
+      size >= ICO_PNG_MIN_SIZE
+        ? new Uint8Array(await png.arrayBuffer())
+        : createDIB(await pngToImageData(png, size));
+    images.push({ size, bytes });
+  }
+  return encodeICO(images);
+};
+
+/**
+ * Pack PNG images into a macOS .icns container
+ * @param {Array<{type: string, bytes: Uint8Array}>} elements - Icon elements
+ * @returns {Blob} ICNS blob
+ */
+const encodeICNS = (elements) => {
+  const writeHeader = (type, length) => {
+    const header = new DataView(new ArrayBuffer(8));
+    for (let i = 0; i < 4; i++) {
+      header.setUint8(i, type.charCodeAt(i));
+    }
+    // All ICNS lengths are big-endian and include the 8-byte header.
+    header.setUint32(4, length);
+    return header;
+  };
+
+  const toc = new DataView(new ArrayBuffer(8 * elements.length));
+  elements.forEach(({ type, bytes }, i) => {
+    for (let j = 0; j < 4; j++) {
+      toc.setUint8(i * 8 + j, type.charCodeAt(j));
+    }
+    toc.setUint32(i * 8 + 4, 8 + bytes.length);
+  });
+  const tocLength = 8 + toc.byteLength;
+
+  const parts = [writeHeader('TOC ', tocLength), toc];
+  let length = 8 + tocLength;
+  for (const { type, bytes } of elements) {
+    parts.push(writeHeader(type, 8 + bytes.length), bytes);
+    length += 8 + bytes.length;
+  }
+  return new Blob([writeHeader('icns', length), ...parts], {
+    type: 'image/icns',
+  });
+};
+
+/**
+ * Render an SVG into a macOS ICNS file
+ * @param {string} svg - SVG string
+ * @returns {Promise<Blob>} ICNS blob
+ */
+const createICNS = async (svg) => {
+  const squareSVG = toSquareSVG(svg);
+  const pngs = new Map();
+  for (const { size } of ICNS_TYPES) {
+    if (!pngs.has(size)) {
+      const png = await svgToPNG(squareSVG, size, size);
+      pngs.set(size, new Uint8Array(await png.arrayBuffer()));
+    }
+  }
+  return encodeICNS(
+    ICNS_TYPES.map(({ type, size }) => ({ type, bytes: pngs.get(size) })),
+  );
+};
+
 /**
  * Export SVG as PNG
  * @param {string} svg - SVG string
@@ -97,26 +429,560 @@ const exportAsPNG = async (svg, fileName = 'output.png') => {
 };
 
 /**
- * Export SVG as PDF (simplified - using canvas approach)
+ * Export SVG as a multi-resolution Windows icon
  * @param {string} svg - SVG string
  * @param {string} fileName - File name
  */
-const exportAsPDF = async (svg, fileName = 'output.pdf') => {
+const exportAsICO = async (svg, fileName = 'output.ico') => {
   try {
-    // Note: Full PDF export would require a library like jsPDF
-    // This is a simplified version that converts to image first
-    showToast(i18n.t('pdfExportUnavailable') || 'PDF export requires additional library');
-    // Fallback: suggest PNG export
-    await exportAsPNG(svg, fileName.replace('.pdf', '.png'));
+    const saved = await saveBlob(createICO(svg), fileName, {
+      description: 'Windows icon file',
+      mimeType: 'image/x-icon',
+      extension: '.ico',
+    });
+    if (saved) {
+      showToast(i18n.t('exportedICO'));
+    }
   } catch (err) {
     console.error(err);
     showToast(err.message);
   }
 };
 
+/**
+ * Export SVG as a macOS icon
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ */
+const exportAsICNS = async (svg, fileName = 'output.icns') => {
+  try {
+    const saved = await saveBlob(createICNS(svg), fileName, {
+      description: 'macOS icon file',
+      mimeType: 'image/icns',
+      extension: '.icns',
+    });
+    if (saved) {
+      showToast(i18n.t('exportedICNS'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Format a number for PDF and PostScript output
+ * @param {number} value - Number
+ * @returns {string} Number without exponent notation
+ */
+const formatNumber = (value) => String(+value.toFixed(3));
+
+/**
+ * Lay out a drawing on a PDF page and write its content stream
+ * @param {{viewBox: Object, shapes: Array<Object>}} drawing - Shapes as
+ *     returned by `getSVGShapes()`
+ * @param {Object} options - Page options
+ * @param {string} options.pageSize - `'fit'` or a key of `PDF_PAGE_SIZES`
+ * @param {number} options.margin - Page margin in millimeters
+ * @returns {{width: number, height: number, content: string,
+ *     extGStates: Map<string, string>}} Page
+ */
+const createPDFPage = (
+  { viewBox, shapes },
+  { pageSize = 'fit', margin = 0 },
+) => {
+  const marginPt = margin * PT_PER_MM;
+  let width;
+  let height;
+  let scale = PT_PER_PX;
+  let offsetX = marginPt;
+  let offsetY = marginPt;
+  if (PDF_PAGE_SIZES[pageSize]) {
+    const [shortSide, longSide] = PDF_PAGE_SIZES[pageSize];
+    const landscape = viewBox.width > viewBox.height;
+    width = landscape ? longSide : shortSide;
+    height = landscape ? shortSide : longSide;
+    const availableWidth = Math.max(1, width - 2 * marginPt);
+    const availableHeight = Math.max(1, height - 2 * marginPt);
+    scale = Math.min(
+      availableWidth / viewBox.width,
+      availableHeight / viewBox.height,
+    );
+    offsetX += (availableWidth - viewBox.width * scale) / 2;
+    offsetY += (availableHeight - viewBox.height * scale) / 2;
+  } else {
+    width = viewBox.width * scale + 2 * marginPt;
+    height = viewBox.height * scale + 2 * marginPt;
+  }
+
+  const n = formatNumber;
+  // SVG's y axis points down, PDF's points up.
+  const lines = [
+    `${n(scale)} 0 0 ${n(-scale)} ${n(offsetX - scale * viewBox.x)} ${n(
+      height - offsetY + scale * viewBox.y,
+    )} cm`,
+  ];
+  const extGStates = new Map();
+  for (const shape of shapes) {
+    const fill = shape.fill && shape.fillOpacity > 0;
+    const stroke =
+      shape.stroke && shape.strokeOpacity > 0 && shape.strokeWidth > 0;
+    if (!shape.commands.length || (!fill && !stroke)) {
+      continue;
+    }
+    lines.push('q');
+    const fillOpacity = fill ? Math.min(1, shape.fillOpacity) : 1;
+    const strokeOpacity = stroke ? Math.min(1, shape.strokeOpacity) : 1;
+    if (fillOpacity < 1 || strokeOpacity < 1) {
+      const key = `/ca ${n(fillOpacity)} /CA ${n(strokeOpacity)}`;
+      if (!extGStates.has(key)) {
+        extGStates.set(key, `GS${extGStates.size}`);
+      }
+      lines.push(`/${extGStates.get(key)} gs`);
+    }
+    if (fill) {
+      lines.push(`${shape.fill.map((c) => n(c / 255)).join(' ')} rg`);
+    }
+    if (stroke) {
+      lines.push(
+        `${shape.stroke.map((c) => n(c / 255)).join(' ')} RG`,
+        `${n(shape.strokeWidth)} w`,
+        `${PDF_LINE_CAPS[shape.strokeLinecap] ?? 0} J`,
+        `${PDF_LINE_JOINS[shape.strokeLinejoin] ?? 0} j`,
+      );
+    }
+    for (const { type, values } of shape.commands) {
+      const operator = { M: 'm', L: 'l', C: 'c', Z: 'h' }[type];
+      lines.push(values.map(n).concat(operator).join(' '));
+    }
+    const evenOdd = shape.fillRule === 'evenodd' ? '*' : '';
+    if (fill && stroke) {
+      lines.push(`B${evenOdd}`);
+    } else if (fill) {
+      lines.push(`f${evenOdd}`);
+    } else {
+      lines.push('S');
+    }
+    lines.push('Q');
+  }
+  return { width, height, content: lines.join('\n'), extGStates };
+};
+
+/**
+ * Compress bytes with the zlib format used by PDF's FlateDecode filter
+ * @param {Uint8Array} bytes - Uncompressed bytes
+ * @returns {Promise<Uint8Array|null>} Compressed bytes, or `null` when the
+ *     Compression Streams API is unavailable
+ */
+const deflate = async (bytes) => {
+  if (!('CompressionStream' in self)) {
+    return null;
+  }
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Write pages created with `createPDFPage()` to a PDF file
+ *
+ * Pages may also list standard Type 1 fonts they use in a `fonts` map from
+ * resource name to font name.
+ * @param {Array<Object>} pages - Pages
+ * @returns {Promise<Blob>} PDF file
+ */
+const writePDF = async (pages) => {
+  const encoder = new TextEncoder();
+  // The binary comment marks the file as binary for transfer programs.
+  const chunks = [
+    encoder.encode('%PDF-1.4\n'),
+    new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]),
+  ];
+  let length = chunks[0].length + chunks[1].length;
+  const offsets = [];
+  const push = (chunk) => {
+    if (typeof chunk === 'string') {
+      chunk = encoder.encode(chunk);
+    }
+    chunks.push(chunk);
+    length += chunk.length;
+  };
+  const addObject = (id, body) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+    for (const part of [body].flat()) {
+      push(part);
+    }
+    push('\nendobj\n');
+  };
+
+  const pageIds = pages.map((_, i) => 3 + i * 2);
+  addObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  addObject(
+    2,
+    `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(' ')}] /Count ${pages.length} >>`,
+  );
+  for (const [i, page] of pages.entries()) {
+    const pageId = pageIds[i];
+    const extGStates = [...page.extGStates]
+      .map(([state, name]) => `/${name} << /Type /ExtGState ${state} >>`)
+      .join(' ');
+    const fonts = [...(page.fonts || [])]
+      .map(
+        ([name, font]) =>
+          `/${name} << /Type /Font /Subtype /Type1 /BaseFont /${font} >>`,
+      )
+      .join(' ');
+    addObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(
+        page.width,
+      )} ${formatNumber(page.height)}] /Resources << /ExtGState << ${extGStates} >>${
+        fonts ? ` /Font << ${fonts} >>` : ''
+      } >> /Contents ${pageId + 1} 0 R >>`,
+    );
+    let content = encoder.encode(page.content);
+    const compressed = await deflate(content);
+    const filter = compressed ? ' /Filter /FlateDecode' : '';
+    content = compressed || content;
+    addObject(pageId + 1, [
+      `<< /Length ${content.length}${filter} >>\nstream\n`,
+      content,
+      '\nendstream',
+    ]);
+  }
+
+  const xrefOffset = length;
+  const size = offsets.length;
+  push(`xref\n0 ${size}\n0000000000 65535 f \n`);
+  for (let id = 1; id < size; id++) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(
+    `trailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+  );
+  return new Blob(chunks, { type: 'application/pdf' });
+};
+
+/**
+ * Write a drawing to an Encapsulated PostScript file
+ *
+ * PostScript has no transparency, so opacity is ignored apart from skipping
+ * fully transparent paint.
+ * @param {{viewBox: Object, shapes: Array<Object>}} drawing - Shapes as
+ *     returned by `getSVGShapes()`
+ * @param {string} title - Document title
+ * @returns {string} EPS file contents
+ */
+const createEPS = ({ viewBox, shapes }, title = '') => {
+  const n = formatNumber;
+  const width = viewBox.width * PT_PER_PX;
+  const height = viewBox.height * PT_PER_PX;
+  const lines = [
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    `%%HiResBoundingBox: 0 0 ${n(width)} ${n(height)}`,
+    '%%Creator: SVGcode',
+    `%%Title: ${title}`,
+    '%%LanguageLevel: 2',
+    '%%Pages: 1',
+    '%%EndComments',
+    '%%BeginProlog',
+    '/m { moveto } bind def',
+    '/l { lineto } bind def',
+    '/c { curveto } bind def',
+    '/h { closepath } bind def',
+    '%%EndProlog',
+    '%%Page: 1 1',
+    'save',
+    // SVG's y axis points down, PostScript's points up.
+    `[${n(PT_PER_PX)} 0 0 ${n(-PT_PER_PX)} ${n(-PT_PER_PX * viewBox.x)} ${n(
+      height + PT_PER_PX * viewBox.y,
+    )}] concat`,
+  ];
+  for (const shape of shapes) {
+    const fill = shape.fill && shape.fillOpacity > 0;
+    const stroke =
+      shape.stroke && shape.strokeOpacity > 0 && shape.strokeWidth > 0;
+    if (!shape.commands.length || (!fill && !stroke)) {
+      continue;
+    }
+    lines.push('newpath');
+    for (const { type, values } of shape.commands) {
+      const operator = { M: 'm', L: 'l', C: 'c', Z: 'h' }[type];
+      lines.push(values.map(n).concat(operator).join(' '));
+    }
+    if (fill) {
+      const fillOperator = shape.fillRule === 'evenodd' ? 'eofill' : 'fill';
+      const color = `${shape.fill.map((c) => n(c / 255)).join(' ')} setrgbcolor`;
+      // Keep the path for the stroke.
+      lines.push(
+        stroke
+          ? `gsave ${color} ${fillOperator} grestore`
+          : `${color} ${fillOperator}`,
+      );
+    }
+    if (stroke) {
+      lines.push(
+        `${shape.stroke.map((c) => n(c / 255)).join(' ')} setrgbcolor`,
+        `${n(shape.strokeWidth)} setlinewidth`,
+        `${PDF_LINE_CAPS[shape.strokeLinecap] ?? 0} setlinecap`,
+        `${PDF_LINE_JOINS[shape.strokeLinejoin] ?? 0} setlinejoin`,
+        'stroke',
+      );
+    }
+  }
+  lines.push('restore', 'showpage', '%%EOF', '');
+  return lines.join('\n');
+};
+
+/**
+ * Export SVG as a vector PDF
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {Object} options - Page options, see `createPDFPage()`
+ */
+const exportAsPDF = async (svg, fileName = 'output.pdf', options = {}) => {
+  try {
+    const page = createPDFPage(getSVGShapes(svg), options);
+    const saved = await saveBlob(writePDF([page]), fileName, {
+      description: 'PDF document',
+      mimeType: 'application/pdf',
+      extension: '.pdf',
+    });
+    if (saved) {
+      showToast(i18n.t('exportedPDF'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Export SVG as Encapsulated PostScript
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ */
+const exportAsEPS = async (svg, fileName = 'output.eps') => {
+  try {
+    const eps = createEPS(getSVGShapes(svg), fileName);
+    const saved = await saveBlob(
+      new Blob([eps], { type: 'application/postscript' }),
+      fileName,
+      {
+        description: 'Encapsulated PostScript',
+        mimeType: 'application/postscript',
+        extension: '.eps',
+      },
+    );
+    if (saved) {
+      showToast(i18n.t('exportedEPS'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Get the physical output width, falling back to the default for invalid
+ * input
+ * @returns {number} Width in the selected physical units
+ */
+const getPhysicalWidth = () =>
+  Number(physicalWidthInput.value) || Number(physicalWidthInput.defaultValue);
+
+/**
+ * Get the G-code and HP-GL options from the export options
+ * @returns {Object} Plotter options
+ */
+const getPlotterOptions = () => ({
+  units: physicalUnitsSelect.value,
+  width: getPhysicalWidth(),
+  feedRate: Number(filterInputs[EXPORT.feedRate].value),
+  penUp: penUpCommandInput.value,
+  penDown: penDownCommandInput.value,
+  tolerance: Number(filterInputs[EXPORT.flattenTolerance].value),
+  optimize: travelOptimizationCheckbox.checked,
+});
+
+/**
+ * Show or hide the plotter travel path over the SVG output
+ */
+const updateTravelPreview = async () => {
+  const { showTravelPreview, hideTravelPreview } = await import(
+    './exportplotter.js'
+  );
+  const svg = svgOutput.innerHTML;
+  if (!travelPreviewCheckbox.checked || !svg.trim().startsWith('<svg')) {
+    hideTravelPreview();
+    return;
+  }
+  try {
+    showTravelPreview(svg, getPlotterOptions());
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Get the DST and PES options from the export options
+ * @returns {Object} Embroidery options
+ */
+const getEmbroideryOptions = () => ({
+  units: physicalUnitsSelect.value,
+  width: getPhysicalWidth(),
+  spacing: Number(filterInputs[EXPORT.fillSpacing].value),
+  angle: Number(filterInputs[EXPORT.fillAngle].value),
+  outline: embroideryOutlineSelect.value,
+  tolerance: Number(filterInputs[EXPORT.flattenTolerance].value),
+});
+
+/**
+ * Show or hide the stitch preview, and the stitch count in the statistics
+ * while an embroidery format is selected or the preview is on
+ */
+const updateStitchPreview = async () => {
+  const { showStitchPreview, hideStitchPreview } = await import(
+    './exportembroidery.js'
+  );
+  const svg = svgOutput.innerHTML;
+  statsDisplay.querySelector('.stitch-count')?.remove();
+  const isEmbroidery = EMBROIDERY_FORMATS.includes(exportFormatSelect.value);
+  if (
+    !(stitchPreviewCheckbox.checked || isEmbroidery) ||
+    !svg.trim().startsWith('<svg')
+  ) {
+    hideStitchPreview();
+    return;
+  }
+  try {
+    const count = showStitchPreview(
+      svg,
+      getEmbroideryOptions(),
+      stitchPreviewCheckbox.checked,
+    );
+    const div = document.createElement('div');
+    div.classList.add('stitch-count');
+    div.textContent = `${i18n.t('stitchCount')}: ${count}`;
+    statsDisplay.append(div);
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Get the poster tiling options from the export options
+ * @returns {Object} Poster options
+ */
+const getPosterOptions = () => ({
+  units: physicalUnitsSelect.value,
+  width: getPhysicalWidth(),
+  pageSize: pageSizeSelect.value,
+  margin: Number(filterInputs[EXPORT.pageMargin].value),
+  overlap: Number(filterInputs[EXPORT.tileOverlap].value),
+});
+
+/**
+ * Get the draw-on animation options from the export options
+ * @returns {Object} Animation options
+ */
+const getAnimationOptions = () => ({
+  duration: Number(filterInputs[EXPORT.animationDuration].value),
+  stagger: Number(filterInputs[EXPORT.animationStagger].value),
+  order: animationOrderSelect.value,
+  fillFade: animationFillCheckbox.checked,
+  type: animationTypeSelect.value,
+});
+
+/**
+ * Show or hide the page grid of the poster tiles while a poster format is
+ * selected or the preview is on
+ */
+const updateTilePreview = async () => {
+  const { showTilePreview, hideTilePreview } = await import(
+    './exportposter.js'
+  );
+  const svg = svgOutput.innerHTML;
+  if (
+    !(
+      tilePreviewCheckbox.checked ||
+      POSTER_FORMATS.includes(exportFormatSelect.value)
+    ) ||
+    !svg.trim().startsWith('<svg')
+  ) {
+    hideTilePreview();
+    return;
+  }
+  try {
+    showTilePreview(svg, getPosterOptions());
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Get the code export options
+ * @returns {Promise<Object>} Code options with a PascalCase name derived from
+ *     the opened file
+ */
+const getCodeOptions = async () => {
+  let fileHandle = false;
+  try {
+    fileHandle = await get(FILE_HANDLE);
+  } catch (err) {
+    // Do nothing. The user probably blocks cookies.
+  }
+  return {
+    name: toPascalCase(getSuggestedFileName(fileHandle) || 'svgcode-icon'),
+    currentColor: componentCurrentColorCheckbox.checked,
+  };
+};
+
+/**
+ * Create the source code of a code format from the optimized SVG output
+ * @param {string} format - One of `CODE_FORMATS`
+ * @returns {Promise<string>} Source code
+ */
+const createCode = async (format) => {
+  if (NATIVE_FORMATS.includes(format)) {
+    const [{ createNativeCode }, options] = await Promise.all([
+      import('./exportnative.js'),
+      getCodeOptions(),
+    ]);
+    return createNativeCode(svgOutput.innerHTML, format, options);
+  }
+  if (CSS_FORMATS.includes(format)) {
+    const [{ createCSS }, svg, options] = await Promise.all([
+      import('./exportcss.js'),
+      optimizeSVG(svgOutput.innerHTML),
+      getCodeOptions(),
+    ]);
+    return createCSS(svg, format, options);
+  }
+  const [{ createComponent }, svg, options] = await Promise.all([
+    import('./exportcomponent.js'),
+    optimizeSVG(svgOutput.innerHTML),
+    getCodeOptions(),
+  ]);
+  return createComponent(svg, format, options);
+};
+
 /**
  * Export current SVG output
- * @param {string} format - Export format: 'svg', 'png', 'pdf'
+ * @param {string} format - Export format: 'svg', 'png', 'ico', 'icns',
+ *     'iconset', 'pdf', 'eps', 'dxf', 'gcode', 'hpgl', 'vectordrawable',
+ *     'imagevector', 'react', 'vue', 'svelte', 'swiftui', 'flutter', 'xaml',
+ *     'stl', '3mf', 'dst', 'pes', 'separations-svg', 'separations-pdf',
+ *     'poster-pdf', 'poster-svg', 'css-clip-path', 'css-mask',
+ *     'css-background', 'css-base64', 'draw-animation'
  */
 const exportSVG = async (format = 'svg') => {
   const svg = svgOutput.innerHTML;
@@ -137,9 +1003,153 @@ const exportSVG = async (format = 'svg') => {
     case 'png':
       await exportAsPNG(fullSVG, `${baseName}.png`);
       break;
+    case 'ico':
+      await exportAsICO(fullSVG, `${baseName}.ico`);
+      break;
+    case 'icns':
+      await exportAsICNS(fullSVG, `${baseName}.icns`);
+      break;
+    case 'iconset': {
+      const { exportIconSet } = await import('./exporticonset.js');
+      await exportIconSet(fullSVG, `${baseName}-icons.zip`, {
+        darkVariant: iconDarkVariantCheckbox.checked,
+        background: iconBackgroundInput.value,
+      });
+      break;
+    }
     case 'pdf':
-      await exportAsPDF(fullSVG, `${baseName}.pdf`);
+      await exportAsPDF(fullSVG, `${baseName}.pdf`, {
+        pageSize: pageSizeSelect.value,
+        margin: Number(filterInputs[EXPORT.pageMargin].value),
+      });
+      break;
+    case 'eps':
+      await exportAsEPS(fullSVG, `${baseName}.eps`);
+      break;
+    case 'dxf': {
+      const { exportDXF } = await import('./exportdxf.js');
+      await exportDXF(fullSVG, `${baseName}.dxf`, {
+        version: dxfVersionSelect.value,
+        units: physicalUnitsSelect.value,
+        width: getPhysicalWidth(),
+        layersByColor: dxfLayersCheckbox.checked,
+        tolerance: Number(filterInputs[EXPORT.flattenTolerance].value),
+      });
+      break;
+    }
+    case 'gcode':
+    case 'hpgl': {
+      const { exportPlotter } = await import('./exportplotter.js');
+      await exportPlotter(
+        fullSVG,
+        `${baseName}.${format}`,
+        format,
+        getPlotterOptions(),
+      );
+      break;
+    }
+    case 'vectordrawable':
+    case 'imagevector': {
+      const { exportAndroid } = await import('./exportandroid.js');
+      await exportAndroid(fullSVG, baseName, format);
+      break;
+    }
+    case 'react':
+    case 'vue':
+    case 'svelte': {
+      const [{ exportComponent }, options] = await Promise.all([
+        import('./exportcomponent.js'),
+        getCodeOptions(),
+      ]);
+      await exportComponent(optimizeSVG(fullSVG), format, options);
+      break;
+    }
+    case 'swiftui':
+    case 'flutter':
+    case 'xaml': {
+      const [{ exportNativeCode }, options] = await Promise.all([
+        import('./exportnative.js'),
+        getCodeOptions(),
+      ]);
+      await exportNativeCode(fullSVG, format, options);
       break;
+    }
+    case 'css-clip-path':
+    case 'css-mask':
+    case 'css-background':
+    case 'css-base64': {
+      const [{ exportCSS }, options] = await Promise.all([
+        import('./exportcss.js'),
+        getCodeOptions(),
+      ]);
+      await exportCSS(optimizeSVG(fullSVG), format, options);
+      break;
+    }
+    case 'stl':
+    case '3mf': {
+      const { exportMesh } = await import('./exportmesh.js');
+      await exportMesh(fullSVG, `${baseName}.${format}`, format, {
+        units: physicalUnitsSelect.value,
+        width: getPhysicalWidth(),
+        height: Number(filterInputs[EXPORT.extrusionHeight].value),
+        colorOffset: Number(filterInputs[EXPORT.colorHeightOffset].value),
+        basePlate: basePlateCheckbox.checked,
+        baseHeight: Number(filterInputs[EXPORT.baseHeight].value),
+        tolerance: Number(filterInputs[EXPORT.flattenTolerance].value),
+        ascii: stlAsciiCheckbox.checked,
+      });
+      break;
+    }
+    case 'dst':
+    case 'pes': {
+      const { exportEmbroidery } = await import('./exportembroidery.js');
+      await exportEmbroidery(
+        fullSVG,
+        `${baseName}.${format}`,
+        format,
+        getEmbroideryOptions(),
+      );
+      break;
+    }
+    case 'separations-svg':
+    case 'separations-pdf': {
+      const { exportSeparations } = await import('./exportseparations.js');
+      const separationFormat = format.replace('separations-', '');
+      await exportSeparations(
+        fullSVG,
+        `${baseName}-separations.${separationFormat === 'pdf' ? 'pdf' : 'zip'}`,
+        separationFormat,
+        {
+          mode: separationModeSelect.value,
+          trap: Number(filterInputs[EXPORT.trapWidth].value),
+          trapDirection: trapDirectionSelect.value,
+          units: physicalUnitsSelect.value,
+          width: getPhysicalWidth(),
+        },
+      );
+      break;
+    }
+    case 'poster-pdf':
+    case 'poster-svg': {
+      const { exportPoster } = await import('./exportposter.js');
+      const posterFormat = format.replace('poster-', '');
+      await exportPoster(
+        fullSVG,
+        `${baseName}-poster.${posterFormat === 'pdf' ? 'pdf' : 'zip'}`,
+        posterFormat,
+        getPosterOptions(),
+      );
+      break;
+    }
+    case 'draw-animation': {
+      const { exportDrawAnimation } = await import('./exportanimation.js');
+      await exportDrawAnimation(
+        fullSVG,
+        `${baseName}-animation.svg`,
+        getAnimationOptions(),
+      );
+      break;
+    }
     case 'svg':
     default:
       // Export as SVG file
@@ -155,5 +1165,24 @@ const exportSVG = async (format = 'svg') => {
   }
 };
 
-export { exportSVG, exportAsPNG, exportAsPDF };
-
+export {
+  exportSVG,
+  getSVGViewBox,
+  PDF_PAGE_SIZES,
+  PT_PER_MM,
+  createCode,
+  CODE_FORMATS,
+  updateTravelPreview,
+  updateStitchPreview,
+  updateTilePreview,
+  getAnimationOptions,
+  getPhysicalWidth,
+  exportAsPNG,
+  exportAsPDF,
+  svgToPNG,
+  createICO,
+  createPDFPage,
+  writePDF,
+  deflate,
+  saveBlob,
+};
@@ -0,0 +1,276 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { getSVGShapes, commandsToPathData } from './svgpaths.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+import { toPascalCase, escapeHTML } from './util.js';
+
+// Android lint's `VectorPath` and `VectorRaster` checks warn beyond these.
+const MAX_PATH_DATA_LENGTH = 800;
+const MAX_SIZE_DP = 200;
+// `android:fillType` was added in API level 24.
+const FILL_TYPE_MIN_API = 24;
+const UNSUPPORTED_ELEMENTS =
+  /<(text|image|filter|mask|clipPath|pattern|linearGradient|radialGradient|use|foreignObject|style)\b/g;
+const PAINT_SERVER = /\b(?:fill|stroke)(?:="|:\s*)url\(/;
+const COMPOSE_LINE_CAPS = { butt: 'Butt', round: 'Round', square: 'Square' };
+const COMPOSE_LINE_JOINS = { miter: 'Miter', round: 'Round', bevel: 'Bevel' };
+
+/**
+ * Collect shapes with coordinates relative to the view box origin, since
+ * Android viewports always start at 0,0
+ * @param {string} svg - SVG string
+ * @returns {{width: number, height: number, paths: Array<Object>}} Viewport
+ *     size and paths
+ */
+const getVectorPaths = (svg) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const paths = shapes
+    .filter((shape) => shape.commands.length && (shape.fill || shape.stroke))
+    .map((shape) => ({
+      ...shape,
+      commands: shape.commands.map(({ type, values }) => ({
+        type,
+        values: values.map((value, i) =>
+          i % 2 ? value - viewBox.y : value - viewBox.x,
+        ),
+      })),
+    }));
+  return { width: viewBox.width, height: viewBox.height, paths };
+};
+
+/**
+ * Format a color with merged opacity as `#AARRGGBB`, or `#RRGGBB` if opaque
+ * @param {number[]} rgb - `[r, g, b]`
+ * @param {number} opacity - Opacity between 0 and 1
+ * @returns {string} Hex color in upper case
+ */
+const toARGB = (rgb, opacity = 1) => {
+  const alpha = Math.round(Math.min(1, Math.max(0, opacity)) * 255);
+  const components = alpha < 255 ? [alpha, ...rgb] : rgb;
+  return `#${components
+    .map((c) => c.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`;
+};
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Number with at most three decimals
+ */
+const formatNumber = (value) => String(+value.toFixed(3));
+
+/**
+ * Check SVG output against VectorDrawable's restrictions
+ * @param {string} svg - SVG string
+ * @param {{width: number, height: number, paths: Array<Object>}} vector -
+ *     Vector as returned by `getVectorPaths()`
+ * @returns {string[]} Translated warnings
+ */
+const validateVector = (svg, { width, height, paths }) => {
+  const warnings = [];
+  const unsupported = new Set(
+    [...svg.matchAll(UNSUPPORTED_ELEMENTS)].map((match) => match[1]),
+  );
+  if (PAINT_SERVER.test(svg)) {
+    unsupported.add('url()');
+  }
+  if (unsupported.size) {
+    warnings.push(
+      `${i18n.t('vectorUnsupportedFeatures')}: ${[...unsupported].join(', ')}`,
+    );
+  }
+  if (width > MAX_SIZE_DP || height > MAX_SIZE_DP) {
+    warnings.push(i18n.t('vectorTooLarge'));
+  }
+  const longPaths = paths.filter(
+    ({ commands }) =>
+      commandsToPathData(commands).length > MAX_PATH_DATA_LENGTH,
+  ).length;
+  if (longPaths) {
+    warnings.push(`${i18n.t('vectorLongPathData')}: ${longPaths}`);
+  }
+  if (paths.some(({ fill, fillRule }) => fill && fillRule === 'evenodd')) {
+    warnings.push(`${i18n.t('vectorFillTypeAPI')} ${FILL_TYPE_MIN_API}`);
+  }
+  return warnings;
+};
+
+/**
+ * Write an Android VectorDrawable
+ * @param {{width: number, height: number, paths: Array<Object>}} vector -
+ *     Vector as returned by `getVectorPaths()`
+ * @returns {string} VectorDrawable XML
+ */
+const createVectorDrawable = ({ width, height, paths }) => {
+  const n = formatNumber;
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<vector xmlns:android="http://schemas.android.com/apk/res/android"',
+    `    android:width="${n(width)}dp"`,
+    `    android:height="${n(height)}dp"`,
+    `    android:viewportWidth="${n(width)}"`,
+    `    android:viewportHeight="${n(height)}">`,
+  ];
+  for (const path of paths) {
+    const attributes = [
+      `android:pathData="${commandsToPathData(path.commands)}"`,
+    ];
+    if (path.fill) {
+      attributes.push(
+        `android:fillColor="${toARGB(path.fill, path.fillOpacity)}"`,
+      );
+      if (path.fillRule === 'evenodd') {
+        attributes.push('android:fillType="evenOdd"');
+      }
+    }
+    if (path.stroke && path.strokeWidth > 0) {
+      attributes.push(
+        `android:strokeColor="${toARGB(path.stroke, path.strokeOpacity)}"`,
+        `android:strokeWidth="${n(path.strokeWidth)}"`,
+        `android:strokeLineCap="${path.strokeLinecap}"`,
+        `android:strokeLineJoin="${path.strokeLinejoin}"`,
+      );
+    }
+    lines.push(`    <path\n        ${attributes.join('\n        ')} />`);
+  }
+  lines.push('</vector>', '');
+  return lines.join('\n');
+};
+
+/**
+ * Write a Jetpack Compose `ImageVector` property
+ * @param {{width: number, height: number, paths: Array<Object>}} vector -
+ *     Vector as returned by `getVectorPaths()`
+ * @param {string} name - Kotlin property name in PascalCase
+ * @returns {string} Kotlin source
+ */
+const createImageVector = ({ width, height, paths }, name) => {
+  const f = (value) => `${formatNumber(value)}f`;
+  const color = (rgb) =>
+    `SolidColor(Color(0xFF${rgb
+      .map((c) => c.toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase()}))`;
+  const lines = [
+    'import androidx.compose.ui.graphics.Color',
+    'import androidx.compose.ui.graphics.PathFillType',
+    'import androidx.compose.ui.graphics.SolidColor',
+    'import androidx.compose.ui.graphics.StrokeCap',
+    'import androidx.compose.ui.graphics.StrokeJoin',
+    'import androidx.compose.ui.graphics.vector.ImageVector',
+    'import androidx.compose.ui.graphics.vector.path',
+    'import androidx.compose.ui.unit.dp',
+    '',
+    `val ${name}: ImageVector by lazy {`,
+    '    ImageVector.Builder(',
+    `        name = "${name}",`,
+    `        defaultWidth = ${formatNumber(width)}.dp,`,
+    `        defaultHeight = ${formatNumber(height)}.dp,`,
+    `        viewportWidth = ${f(width)},`,
+    `        viewportHeight = ${f(height)},`,
+    '    ).apply {',
+  ];
+  for (const path of paths) {
+    const args = [];
+    if (path.fill) {
+      args.push(
+        `fill = ${color(path.fill)}`,
+        `fillAlpha = ${f(Math.min(1, path.fillOpacity))}`,
+      );
+      if (path.fillRule === 'evenodd') {
+        args.push('pathFillType = PathFillType.EvenOdd');
+      }
+    }
+    if (path.stroke && path.strokeWidth > 0) {
+      args.push(
+        `stroke = ${color(path.stroke)}`,
+        `strokeAlpha = ${f(Math.min(1, path.strokeOpacity))}`,
+        `strokeLineWidth = ${f(path.strokeWidth)}`,
+        `strokeLineCap = StrokeCap.${COMPOSE_LINE_CAPS[path.strokeLinecap] || 'Butt'}`,
+        `strokeLineJoin = StrokeJoin.${COMPOSE_LINE_JOINS[path.strokeLinejoin] || 'Miter'}`,
+      );
+    }
+    lines.push('        path(');
+    lines.push(...args.map((arg) => `            ${arg},`));
+    lines.push('        ) {');
+    for (const { type, values } of path.commands) {
+      const call = { M: 'moveTo', L: 'lineTo', C: 'curveTo', Z: 'close' }[type];
+      lines.push(`            ${call}(${values.map(f).join(', ')})`);
+    }
+    lines.push('        }');
+  }
+  lines.push('    }.build()', '}', '');
+  return lines.join('\n');
+};
+
+/**
+ * Export SVG as an Android VectorDrawable or a Compose `ImageVector`
+ * @param {string} svg - SVG string
+ * @param {string} baseName - File name without extension
+ * @param {string} format - `'vectordrawable'` or `'imagevector'`
+ */
+const exportAndroid = async (svg, baseName, format) => {
+  try {
+    const vector = getVectorPaths(svg);
+    const isXML = format === 'vectordrawable';
+    const name = toPascalCase(baseName);
+    // Android resource names may only contain [a-z0-9_].
+    const fileName = isXML
+      ? `${baseName.toLowerCase().replace(/[^a-z0-9_]/g, '_')}.xml`
+      : `${name}.kt`;
+    const output = isXML
+      ? createVectorDrawable(vector)
+      : createImageVector(vector, name);
+    const saved = await saveBlob(
+      new Blob([output], { type: 'text/plain' }),
+      fileName,
+      isXML
+        ? {
+            description: 'Android VectorDrawable',
+            mimeType: 'application/xml',
+            extension: '.xml',
+          }
+        : {
+            description: 'Kotlin source',
+            mimeType: 'text/x-kotlin',
+            extension: '.kt',
+          },
+    );
+    if (!saved) {
+      return;
+    }
+    const warnings = validateVector(svg, vector);
+    showToast(
+      [
+        i18n.t(isXML ? 'exportedVectorDrawable' : 'exportedImageVector'),
+        ...warnings.map(escapeHTML),
+      ].join('<br>'),
+      warnings.length ? 10000 : 5000,
+    );
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportAndroid };
@@ -0,0 +1,414 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob, getSVGViewBox } from './export.js';
+import { parsePathCommands } from './pathsimplify.js';
+import {
+  parseTransform,
+  multiplyMatrices,
+  IDENTITY_MATRIX,
+} from './svgpaths.js';
+import { setOverlay, clearOverlay } from './overlay.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const ANIMATION_OVERLAY = 'animation';
+// Seconds the fill takes to fade in after all paths are drawn.
+const FILL_FADE_DURATION = 0.6;
+// Seconds the finished drawing stays in the preview.
+const PREVIEW_HOLD = 1;
+// Stroke width relative to the larger side of the view box.
+const STROKE_WIDTH_RATIO = 0.004;
+const EASING = 'ease-in-out';
+const EASING_SPLINE = '0.42 0 0.58 1';
+// Attributes that hold the geometry of each basic shape.
+const SHAPE_GEOMETRY = {
+  circle: ['cx', 'cy', 'r'],
+  ellipse: ['cx', 'cy', 'rx', 'ry'],
+  rect: ['x', 'y', 'width', 'height', 'rx', 'ry'],
+  line: ['x1', 'y1', 'x2', 'y2'],
+  polyline: ['points'],
+  polygon: ['points'],
+};
+
+let previewTimeout = null;
+
+/**
+ * Format a number of seconds compactly
+ * @param {number} seconds - Seconds
+ * @returns {string} Time with unit
+ */
+const formatTime = (seconds) => `${+seconds.toFixed(3)}s`;
+
+/**
+ * Describe a basic shape as path data with the same geometry
+ * @param {string} name - Element name, a key of `SHAPE_GEOMETRY`
+ * @param {string} attributes - Attributes of the element
+ * @returns {string} Path data
+ */
+const getShapePathData = (name, attributes) => {
+  const getAttribute = (attribute) =>
+    attributes.match(new RegExp(`\\s${attribute}="([^"]*)"`))?.[1];
+  const getNumber = (attribute) => parseFloat(getAttribute(attribute)) || 0;
+  const n = (value) => +value.toFixed(3);
+  switch (name) {
+    case 'circle':
+    case 'ellipse': {
+      const cx = getNumber('cx');
+      const cy = getNumber('cy');
+      const rx = getNumber(name === 'circle' ? 'r' : 'rx');
+      const ry = getNumber(name === 'circle' ? 'r' : 'ry');
+      const arc = `A${n(rx)} ${n(ry)} 0 1 0`;
+      return `M${n(cx - rx)} ${n(cy)}${arc} ${n(cx + rx)} ${n(cy)}${arc} ${n(
+        cx - rx,
+      )} ${n(cy)}Z`;
+    }
+    case 'rect': {
+      const x = getNumber('x');
+      const y = getNumber('y');
+      const width = getNumber('width');
+      const height = getNumber('height');
+      // A missing corner radius takes the value of the other one.
+      const rx = Math.min(
+        getNumber(getAttribute('rx') ? 'rx' : 'ry'),
+        width / 2,
+      );
+      const ry = Math.min(
+        getNumber(getAttribute('ry') ? 'ry' : 'rx'),
+        height / 2,
+      );
+      if (!rx || !ry) {
+        return `M${n(x)} ${n(y)}H${n(x + width)}V${n(y + height)}H${n(x)}Z`;
+      }
+      const arc = `A${n(rx)} ${n(ry)} 0 0 1`;
+      return `M${n(x + rx)} ${n(y)}H${n(x + width - rx)}${arc} ${n(
+        x + width,
+      )} ${n(y + ry)}V${n(y + height - ry)}${arc} ${n(x + width - rx)} ${n(
+        y + height,
+      )}H${n(x + rx)}${arc} ${n(x)} ${n(y + height - ry)}V${n(
+        y + ry,
+      )}${arc} ${n(x + rx)} ${n(y)}Z`;
+    }
+    case 'line':
+      return `M${n(getNumber('x1'))} ${n(getNumber('y1'))}L${n(
+        getNumber('x2'),
+      )} ${n(getNumber('y2'))}`;
+    default: {
+      const values = (getAttribute('points') || '')
+        .trim()
+        .split(/[\s,]+/)
+        .map(Number);
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push(`${n(values[i])} ${n(values[i + 1])}`);
+      }
+      return `M${points.join('L')}${name === 'polygon' ? 'Z' : ''}`;
+    }
+  }
+};
+
+/**
+ * Replace the basic shapes of an SVG by equivalent paths
+ *
+ * Only paths support `pathLength` everywhere, and shape detection turns
+ * traced paths into circles, ellipses, rectangles, and polygons.
+ * @param {string} svg - SVG string
+ * @returns {string} SVG string
+ */
+const convertShapesToPaths = (svg) =>
+  svg.replace(
+    /<(circle|ellipse|rect|line|polyline|polygon)\b([^>]*?)\s*(\/>|>([\s\S]*?)<\/\1>)/gi,
+    (match, element, attributes, end, content) => {
+      const name = element.toLowerCase();
+      const stripped = attributes.replace(
+        new RegExp(`\\s(?:${SHAPE_GEOMETRY[name].join('|')})="[^"]*"`, 'g'),
+        '',
+      );
+      return `<path d="${getShapePathData(name, attributes)}"${stripped}${
+        end === '/>' ? '/>' : `>${content}</path>`
+      }`;
+    },
+  );
+
+/**
+ * Find the top left corner of a path's bounding box in user space
+ * @param {string} pathData - Path data
+ * @param {number[]} matrix - Transform of the path in SVG `[a, b, c, d, e, f]`
+ *     notation
+ * @returns {{x: number, y: number}} Corner
+ */
+const getPathCorner = (pathData, [a, b, c, d, e, f]) => {
+  let x = Infinity;
+  let y = Infinity;
+  for (const { values } of parsePathCommands(pathData)) {
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      x = Math.min(x, a * values[i] + c * values[i + 1] + e);
+      y = Math.min(y, b * values[i] + d * values[i + 1] + f);
+    }
+  }
+  return { x, y };
+};
+
+/**
+ * Decide the order in which paths are drawn
+ * @param {Array<{pathData: string, matrix: number[], fill: string}>} paths -
+ *     Paths in document order
+ * @param {string} order - `'position'` to draw from top to bottom and left to
+ *     right, or `'color'` to draw one color after the other, in the order the
+ *     colors first appear, and each color by position
+ * @returns {number[]} Position of each path in the drawing order
+ */
+const getDrawingOrder = (paths, order) => {
+  const colors = [...new Set(paths.map(({ fill }) => fill))];
+  const sorted = paths
+    .map(({ pathData, matrix, fill }, index) => ({
+      index,
+      color: order === 'color' ? colors.indexOf(fill) : 0,
+      ...getPathCorner(pathData, matrix),
+    }))
+    .sort((a, b) => a.color - b.color || a.y - b.y || a.x - b.x);
+  const ranks = [];
+  sorted.forEach(({ index }, rank) => {
+    ranks[index] = rank;
+  });
+  return ranks;
+};
+
+/**
+ * Collect the paths of an SVG with the paint and transform they inherit from
+ * their groups
+ *
+ * Potrace output sits in a scaled and flipped group, so the transform maps
+ * path coordinates to user space.
+ * @param {string} svg - SVG string
+ * @returns {Array<{pathData: string, matrix: number[], fill: string, stroke:
+ *     string, fillOpacity: string}>} Paths in document order
+ */
+const getPaths = (svg) => {
+  const getAttribute = (attributes, name) =>
+    attributes.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  const stack = [
+    {
+      fill: 'currentColor',
+      stroke: 'none',
+      fillOpacity: '1',
+      matrix: IDENTITY_MATRIX,
+    },
+  ];
+  const paths = [];
+  for (const [tag, groupAttributes, pathAttributes] of svg.matchAll(
+    /<g\b([^>]*)>|<\/g>|<path\b([^>]*)>/gi,
+  )) {
+    const inherited = stack[stack.length - 1];
+    const attributes = groupAttributes ?? pathAttributes;
+    if (attributes === undefined) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+    const paint = {
+      fill: getAttribute(attributes, 'fill') ?? inherited.fill,
+      stroke: getAttribute(attributes, 'stroke') ?? inherited.stroke,
+      fillOpacity:
+        getAttribute(attributes, 'fill-opacity') ?? inherited.fillOpacity,
+      matrix: multiplyMatrices(
+        inherited.matrix,
+        parseTransform(getAttribute(attributes, 'transform')),
+      ),
+    };
+    if (groupAttributes !== undefined) {
+      if (!tag.endsWith('/>')) {
+        stack.push(paint);
+      }
+      continue;
+    }
+    paths.push({ pathData: getAttribute(attributes, 'd') || '', ...paint });
+  }
+  return paths;
+};
+
+/**
+ * Turn an SVG into an animation that draws each path's outline and then
+ * fades in the fills
+ *
+ * Every path gets `pathLength="1"`, so one dash as long as the whole path can
+ * be shifted along it without measuring the path. The outline is drawn in the
+ * fill color. Basic shapes are drawn as paths with the same geometry.
+ * @param {string} svg - SVG string
+ * @param {Object} options - Animation options
+ * @param {number} options.duration - Seconds to draw each path
+ * @param {number} options.stagger - Seconds between the starts of consecutive
+ *     paths
+ * @param {string} options.order - `'position'` or `'color'`, see
+ *     `getDrawingOrder()`
+ * @param {boolean} options.fillFade - Fade in the fills after drawing
+ * @param {string} options.type - `'css'` for CSS keyframes, or `'smil'` for
+ *     SMIL `<animate>` elements
+ * @returns {{svg: string, duration: number}} Animated SVG and its total
+ *     duration in seconds
+ */
+const createDrawAnimation = (
+  svg,
+  {
+    duration = 2,
+    stagger = 0.1,
+    order = 'position',
+    fillFade = true,
+    type = 'css',
+  } = {},
+) => {
+  svg = convertShapesToPaths(svg);
+  const paths = getPaths(svg);
+  if (!paths.length) {
+    throw new Error(i18n.t('noFilledRegions'));
+  }
+  const ranks = getDrawingOrder(paths, order);
+  const drawEnd = (paths.length - 1) * stagger + duration;
+  const total = drawEnd + (fillFade ? FILL_FADE_DURATION : 0);
+  const { width, height } = getSVGViewBox(svg);
+  const strokeWidth = Math.max(width, height) * STROKE_WIDTH_RATIO;
+
+  let index = 0;
+  const pathRegex = /<path\b([^>]*?)\s*(\/>|>([\s\S]*?)<\/path>)/gi;
+  let animated = svg.replace(pathRegex, (match, attributes, end, content) => {
+    const { fill, stroke, fillOpacity, matrix } = paths[index];
+    const delay = ranks[index] * stagger;
+    index++;
+    const stripped = attributes.replace(
+      /\s(?:stroke|stroke-width|stroke-dasharray|stroke-dashoffset|pathLength)="[^"]*"/g,
+      '',
+    );
+    // The stroke width is given in user space, so it scales back out of the
+    // path's transform.
+    const scale = Math.sqrt(
+      Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]),
+    );
+    const drawing = `${stripped} pathLength="1" stroke="${
+      fill === 'none' ? stroke : fill
+    }" stroke-width="${+(strokeWidth / (scale || 1)).toPrecision(
+      3,
+    )}" stroke-dasharray="1"`;
+    if (type === 'smil') {
+      // SMIL shows the attributes before an animation begins, so they hold
+      // the start values.
+      const animations = [
+        `<animate attributeName="stroke-dashoffset" from="1" to="0" begin="${formatTime(
+          delay,
+        )}" dur="${formatTime(
+          duration,
+        )}" calcMode="spline" keyTimes="0;1" keySplines="${EASING_SPLINE}" fill="freeze"/>`,
+      ];
+      if (fillFade) {
+        animations.push(
+          `<animate attributeName="fill-opacity" from="0" to="${fillOpacity}" begin="${formatTime(
+            drawEnd,
+          )}" dur="${formatTime(FILL_FADE_DURATION)}" fill="freeze"/>`,
+        );
+      }
+      return `<path${drawing.replace(
+        /\sfill-opacity="[^"]*"/,
+        '',
+      )} stroke-dashoffset="1" fill-opacity="0">${
+        content || ''
+      }${animations.join('')}</path>`;
+    }
+    // The keyframes only set start values and the animations fill backwards,
+    // so the fill fades to the path's own opacity, and the plain drawing
+    // shows where CSS animations don't run.
+    const animations = [
+      `svgcode-draw ${formatTime(duration)} ${EASING} ${formatTime(
+        delay,
+      )} both`,
+    ];
+    if (fillFade) {
+      animations.push(
+        `svgcode-fill ${formatTime(FILL_FADE_DURATION)} ease ${formatTime(
+          drawEnd,
+        )} both`,
+      );
+    }
+    const style = attributes.match(/\sstyle="([^"]*)"/)?.[1];
+    let base = drawing.replace(/\sstyle="[^"]*"/, '');
+    if (!fillFade) {
+      base = `${base.replace(/\sfill-opacity="[^"]*"/, '')} fill-opacity="0"`;
+    }
+    const css = `${style ? `${style.replace(/;?\s*$/, ';')} ` : ''}animation: ${animations.join(', ')}`;
+    return `<path${base} style="${css}"${
+      end === '/>' ? '/>' : `>${content}</path>`
+    }`;
+  });
+  if (type !== 'smil') {
+    const style =
+      '<style>@keyframes svgcode-draw{from{stroke-dashoffset:1}}@keyframes svgcode-fill{from{fill-opacity:0}}</style>';
+    animated = animated.replace(/<svg\b[^>]*>/, (tag) => `${tag}${style}`);
+  }
+  return { svg: animated, duration: total };
+};
+
+/**
+ * Play the draw-on animation over the output, which is hidden while the
+ * animation overlay is shown
+ * @param {string} svg - SVG string
+ * @param {Object} options - Animation options, see `createDrawAnimation()`
+ */
+const previewDrawAnimation = (svg, options) => {
+  clearTimeout(previewTimeout);
+  clearOverlay(ANIMATION_OVERLAY);
+  try {
+    const { svg: animated, duration } = createDrawAnimation(svg, options);
+    setOverlay(ANIMATION_OVERLAY, animated, getSVGViewBox(svg));
+    previewTimeout = setTimeout(
+      () => clearOverlay(ANIMATION_OVERLAY),
+      (duration + PREVIEW_HOLD) * 1000,
+    );
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+/**
+ * Save the SVG as a draw-on animation
+ * @param {string} svg - SVG string
+ * @param {string} fileName - Suggested file name
+ * @param {Object} options - Animation options, see `createDrawAnimation()`
+ */
+const exportDrawAnimation = async (svg, fileName, options) => {
+  try {
+    const { svg: animated } = createDrawAnimation(svg, options);
+    const saved = await saveBlob(
+      new Blob([animated], { type: 'image/svg+xml' }),
+      fileName,
+      {
+        description: 'SVG animation',
+        mimeType: 'image/svg+xml',
+        extension: '.svg',
+      },
+    );
+    if (saved) {
+      showToast(i18n.t('exportedAnimation'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportDrawAnimation, previewDrawAnimation };
@@ -0,0 +1,269 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const COMPONENT_FILE_TYPES = {
+  react: {
+    description: 'React component',
+    mimeType: 'text/plain',
+    extension: '.tsx',
+  },
+  vue: {
+    description: 'Vue component',
+    mimeType: 'text/plain',
+    extension: '.vue',
+  },
+  svelte: {
+    description: 'Svelte component',
+    mimeType: 'text/plain',
+    extension: '.svelte',
+  },
+};
+
+// Attributes JSX spells differently than a plain camelCase conversion would.
+const JSX_ATTRIBUTES = {
+  class: 'className',
+  'xlink:href': 'xlinkHref',
+  'xml:space': 'xmlSpace',
+  'xmlns:xlink': 'xmlnsXlink',
+};
+
+const INDENT = '  ';
+
+/**
+ * Replace fill and stroke colors by `currentColor`, so the icon inherits the
+ * text color
+ * @param {string} svg - SVG string
+ * @returns {string} SVG string
+ */
+const useCurrentColor = (svg) =>
+  svg
+    .replace(
+      /\b(fill|stroke)="(?!none"|url\()[^"]*"/g,
+      (_, attribute) => `${attribute}="currentColor"`,
+    )
+    .replace(
+      /\b(fill|stroke):\s*(?!none\b|url\()[^;"]+/g,
+      (_, property) => `${property}:currentColor`,
+    );
+
+/**
+ * Split an SVG into the attributes of its root element and its content
+ * @param {string} svg - SVG string
+ * @returns {{attributes: string, content: string}} Root attributes and
+ *     content, one element per line
+ */
+const splitSVG = (svg) => {
+  const match = svg.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/);
+  if (!match) {
+    throw new Error('Invalid SVG');
+  }
+  const attributes = match[1]
+    // Sizes come from props or CSS instead.
+    .replace(/\s(?:width|height|version)="[^"]*"/g, '')
+    .trim();
+  const content = match[2].replace(/>\s*</g, '>\n<').trim();
+  return { attributes, content };
+};
+
+/**
+ * Convert SVG attributes to JSX, camelCasing names and turning inline styles
+ * into objects
+ * @param {string} markup - SVG markup
+ * @returns {string} JSX markup
+ */
+const toJSX = (markup) =>
+  markup.replace(
+    /(\s)([a-zA-Z][\w:.-]*)="([^"]*)"/g,
+    (_, space, name, value) => {
+      if (name === 'style') {
+        const properties = value
+          .split(';')
+          .map((declaration) => declaration.split(':').map((s) => s.trim()))
+          .filter(([property, val]) => property && val)
+          .map(
+            ([property, val]) =>
+              `${property.replace(/-([a-z])/g, (_, c) => c.toUpperCase())}: '${val}'`,
+          );
+        return `${space}style={{ ${properties.join(', ')} }}`;
+      }
+      if (JSX_ATTRIBUTES[name]) {
+        return `${space}${JSX_ATTRIBUTES[name]}="${value}"`;
+      }
+      if (/^(?:data|aria)-/.test(name)) {
+        return `${space}${name}="${value}"`;
+      }
+      return `${space}${name.replace(/[-:]([a-z])/g, (_, c) =>
+        c.toUpperCase(),
+      )}="${value}"`;
+    },
+  );
+
+/**
+ * Indent every line of a string
+ * @param {string} text - Text
+ * @param {number} depth - Indentation depth
+ * @returns {string} Indented text
+ */
+const indent = (text, depth) =>
+  text
+    .split('\n')
+    .map((line) => INDENT.repeat(depth) + line)
+    .join('\n');
+
+/**
+ * Wrap an SVG into a React TSX component
+ * @param {{attributes: string, content: string}} parts - SVG parts as
+ *     returned by `splitSVG()`
+ * @param {string} name - Component name
+ * @returns {string} TSX source
+ */
+const createReactComponent = ({ attributes, content }, name) =>
+  `import type { SVGProps } from 'react';
+
+interface ${name}Props extends SVGProps<SVGSVGElement> {
+  title?: string;
+}
+
+const ${name} = ({ title, ...props }: ${name}Props) => (
+  <svg
+${indent(toJSX(` ${attributes}`).trim().replace(/"\s+/g, '"\n'), 2)}
+    role="img"
+    aria-hidden={title ? undefined : true}
+    {...props}
+  >
+    {title ? <title>{title}</title> : null}
+${indent(toJSX(content), 2)}
+  </svg>
+);
+
+export default ${name};
+`;
+
+/**
+ * Wrap an SVG into a Vue single-file component
+ *
+ * Attributes set on the component fall through to the root `<svg>`.
+ * @param {{attributes: string, content: string}} parts - SVG parts as
+ *     returned by `splitSVG()`
+ * @returns {string} Vue SFC source
+ */
+const createVueComponent = ({ attributes, content }) =>
+  `<script setup lang="ts">
+defineProps<{ title?: string }>();
+</script>
+
+<template>
+  <svg
+${indent(attributes.replace(/"\s+/g, '"\n'), 2)}
+    role="img"
+    :aria-hidden="title ? undefined : true"
+  >
+    <title v-if="title">{{ title }}</title>
+${indent(content, 2)}
+  </svg>
+</template>
+`;
+
+/**
+ * Wrap an SVG into a Svelte component
+ * @param {{attributes: string, content: string}} parts - SVG parts as
+ *     returned by `splitSVG()`
+ * @returns {string} Svelte source
+ */
+const createSvelteComponent = ({ attributes, content }) =>
+  `<script lang="ts">
+  export let title: string | undefined = undefined;
+</script>
+
+<svg
+${indent(attributes.replace(/"\s+/g, '"\n'), 1)}
+  role="img"
+  aria-hidden={title ? undefined : true}
+  {...$$restProps}
+>
+  {#if title}<title>{title}</title>{/if}
+${indent(content, 1)}
+</svg>
+`;
+
+/**
+ * Wrap an optimized SVG into component source code
+ * @param {string} svg - Optimized SVG string
+ * @param {string} format - `'react'`, `'vue'`, or `'svelte'`
+ * @param {Object} options - Component options
+ * @param {string} options.name - Component name in PascalCase
+ * @param {boolean} options.currentColor - Replace colors by `currentColor`
+ * @returns {string} Source code
+ */
+const createComponent = (svg, format, { name, currentColor = false }) => {
+  const parts = splitSVG(currentColor ? useCurrentColor(svg) : svg);
+  switch (format) {
+    case 'vue':
+      return createVueComponent(parts);
+    case 'svelte':
+      return createSvelteComponent(parts);
+    case 'react':
+    default:
+      return createReactComponent(parts, name);
+  }
+};
+
+/**
+ * Get the file name of a component
+ * @param {string} format - `'react'`, `'vue'`, or `'svelte'`
+ * @param {string} name - Component name in PascalCase
+ * @returns {string} File name
+ */
+const getComponentFileName = (format, name) =>
+  `${name}${COMPONENT_FILE_TYPES[format].extension}`;
+
+/**
+ * Save an SVG as component source code
+ * @param {Promise<string>} optimizedSVG - Promise resolving to the optimized
+ *     SVG, so the file picker can open while the SVG is still being optimized
+ * @param {string} format - `'react'`, `'vue'`, or `'svelte'`
+ * @param {Object} options - Component options, see `createComponent()`
+ */
+const exportComponent = async (optimizedSVG, format, options) => {
+  try {
+    const blob = optimizedSVG.then(
+      (svg) =>
+        new Blob([createComponent(svg, format, options)], {
+          type: 'text/plain',
+        }),
+    );
+    const saved = await saveBlob(
+      blob,
+      getComponentFileName(format, options.name),
+      COMPONENT_FILE_TYPES[format],
+    );
+    if (saved) {
+      showToast(i18n.t('exportedComponent'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { createComponent, exportComponent, useCurrentColor };
@@ -0,0 +1,224 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob, getSVGViewBox } from './export.js';
+import { getPolygons } from './exportmesh.js';
+import { getSVGShapes, commandsToPathData } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+// Maximum deviation of `polygon()` edges from the curves, in pixels.
+const FLATTEN_TOLERANCE = 0.25;
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Number with at most two decimals
+ */
+const formatNumber = (value) => String(+value.toFixed(2));
+
+/**
+ * Convert a PascalCase name to a kebab-case class name
+ * @param {string} name - Name
+ * @returns {string} Class name
+ */
+const toClassName = (name) =>
+  name.replace(/(?<=[a-z0-9])([A-Z])/g, '-$1').toLowerCase();
+
+/**
+ * Collect the filled shapes of a monochrome trace
+ *
+ * White fills are treated as the background and left out.
+ * @param {string} svg - SVG string
+ * @returns {{viewBox: {x: number, y: number, width: number, height: number},
+ *     shapes: Array<Object>}} View box and shapes
+ */
+const getFilledShapes = (svg) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const filled = shapes.filter(
+    (shape) =>
+      shape.fill &&
+      shape.fillOpacity &&
+      !shape.fill.every((c) => c === 255) &&
+      shape.commands.length,
+  );
+  if (!filled.length) {
+    throw new Error(i18n.t('noFilledRegions'));
+  }
+  return { viewBox, shapes: filled };
+};
+
+/**
+ * Create `clip-path` rules: a `polygon()` in percentages, which scales with
+ * the element, and an exact `path()` in pixels
+ *
+ * A polygon has a single outline, so all rings are joined into one by
+ * returning to the first point after each ring. The connecting edges are
+ * traversed twice and cancel out under the `evenodd` fill rule.
+ * @param {string} svg - SVG string
+ * @param {string} className - Class name
+ * @returns {string} CSS
+ */
+const createClipPathCSS = (svg, className) => {
+  const { viewBox, shapes } = getFilledShapes(svg);
+  const toPercent = ([x, y]) =>
+    `${formatNumber(((x - viewBox.x) / viewBox.width) * 100)}% ${formatNumber(
+      ((y - viewBox.y) / viewBox.height) * 100,
+    )}%`;
+  const rings = shapes.flatMap((shape) =>
+    getPolygons(
+      flattenPathCommands(shape.commands, FLATTEN_TOLERANCE).map(
+        ({ points }) => points,
+      ),
+      shape.fillRule,
+    ).flat(),
+  );
+  const start = rings[0][0];
+  const points = rings.flatMap((ring, i) =>
+    i ? [...ring, ring[0], start] : [...ring, ring[0]],
+  );
+  const commands = shapes.flatMap((shape) =>
+    shape.commands.map(({ type, values }) => ({
+      type,
+      values: values.map((value, i) =>
+        i % 2 ? value - viewBox.y : value - viewBox.x,
+      ),
+    })),
+  );
+  const fillRule = shapes.some(({ fillRule }) => fillRule === 'evenodd')
+    ? 'evenodd'
+    : 'nonzero';
+  return `/* Scales with the element. */
+.${className} {
+  aspect-ratio: ${formatNumber(viewBox.width)} / ${formatNumber(
+    viewBox.height,
+  )};
+  clip-path: polygon(evenodd, ${points.map(toPercent).join(', ')});
+}
+
+/* Exact curves, in pixels of the original size. */
+.${className}-path {
+  width: ${formatNumber(viewBox.width)}px;
+  height: ${formatNumber(viewBox.height)}px;
+  clip-path: path(${fillRule}, '${commandsToPathData(commands)}');
+}
+`;
+};
+
+/**
+ * Encode an SVG as a data URI with as little escaping as possible
+ *
+ * Double quotes become single quotes, so the URI can be wrapped in double
+ * quotes, and only characters that would break the URI are escaped.
+ * @param {string} svg - SVG string
+ * @returns {string} Data URI
+ */
+const toDataURI = (svg) =>
+  `data:image/svg+xml,${svg
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/"/g, "'")
+    .replace(/[%#<>{}]|[^\x00-\x7f]/gu, encodeURIComponent)}`;
+
+/**
+ * Encode an SVG as a base64 data URI
+ * @param {string} svg - SVG string
+ * @returns {string} Data URI
+ */
+const toBase64DataURI = (svg) => {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(svg)) {
+    binary += String.fromCharCode(byte);
+  }
+  return `data:image/svg+xml;base64,${btoa(binary)}`;
+};
+
+/**
+ * Create CSS that uses the SVG output
+ * @param {string} svg - Optimized SVG string
+ * @param {string} format - `'css-clip-path'`, `'css-mask'`,
+ *     `'css-background'`, or `'css-base64'`
+ * @param {Object} options - CSS options
+ * @param {string} options.name - PascalCase name the class name is derived
+ *     from
+ * @returns {string} CSS
+ */
+const createCSS = (svg, format, { name }) => {
+  const className = toClassName(name);
+  if (format === 'css-clip-path') {
+    return createClipPathCSS(svg, className);
+  }
+  const { width, height } = getSVGViewBox(svg);
+  const size = `  aspect-ratio: ${formatNumber(width)} / ${formatNumber(height)};`;
+  if (format === 'css-mask') {
+    const url = `url("${toDataURI(svg)}")`;
+    return `/* Paints the shape in the text color. */
+.${className} {
+${size}
+  background-color: currentColor;
+  -webkit-mask-image: ${url};
+  mask-image: ${url};
+  -webkit-mask-position: center;
+  mask-position: center;
+  -webkit-mask-repeat: no-repeat;
+  mask-repeat: no-repeat;
+  -webkit-mask-size: contain;
+  mask-size: contain;
+}
+`;
+  }
+  const url = format === 'css-base64' ? toBase64DataURI(svg) : toDataURI(svg);
+  return `.${className} {
+${size}
+  background: url("${url}") center / contain no-repeat;
+}
+`;
+};
+
+/**
+ * Save CSS that uses the SVG output
+ * @param {Promise<string>} optimizedSVG - Promise resolving to the optimized
+ *     SVG, so the file picker can open while the SVG is still being optimized
+ * @param {string} format - CSS format, see `createCSS()`
+ * @param {Object} options - CSS options, see `createCSS()`
+ */
+const exportCSS = async (optimizedSVG, format, options) => {
+  try {
+    const blob = optimizedSVG.then(
+      (svg) =>
+        new Blob([createCSS(svg, format, options)], {
+          type: 'text/css',
+        }),
+    );
+    const saved = await saveBlob(blob, `${toClassName(options.name)}.css`, {
+      description: 'CSS style sheet',
+      mimeType: 'text/css',
+      extension: '.css',
+    });
+    if (saved) {
+      showToast(i18n.t('exportedCSS'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { createCSS, exportCSS };
@@ -0,0 +1,444 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { getSVGShapes } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const DXF_VERSIONS = { R12: 'AC1009', R2000: 'AC1015' };
+// Values of the `$INSUNITS` header variable.
+const DXF_UNITS = { mm: 4, inch: 1 };
+const DEFAULT_LAYER = '0';
+
+// RGB values of the AutoCAD Color Index colors used for layers. Index 7 is
+// drawn black or white depending on the background.
+const ACI_COLORS = [
+  [1, [255, 0, 0]],
+  [2, [255, 255, 0]],
+  [3, [0, 255, 0]],
+  [4, [0, 255, 255]],
+  [5, [0, 0, 255]],
+  [6, [255, 0, 255]],
+  [7, [0, 0, 0]],
+  [7, [255, 255, 255]],
+  [8, [128, 128, 128]],
+  [9, [192, 192, 192]],
+  [250, [51, 51, 51]],
+  [251, [80, 80, 80]],
+  [252, [105, 105, 105]],
+  [253, [130, 130, 130]],
+  [254, [190, 190, 190]],
+];
+
+/**
+ * Find the closest AutoCAD Color Index for an RGB color
+ * @param {number[]} rgb - `[r, g, b]`
+ * @returns {number} Color index
+ */
+const getClosestACI = ([r, g, b]) => {
+  let closest = 7;
+  let minDistance = Infinity;
+  for (const [index, [r2, g2, b2]] of ACI_COLORS) {
+    const distance = (r - r2) ** 2 + (g - g2) ** 2 + (b - b2) ** 2;
+    if (distance < minDistance) {
+      minDistance = distance;
+      closest = index;
+    }
+  }
+  return closest;
+};
+
+/**
+ * Get the layer name for a fill color
+ * @param {number[]} rgb - `[r, g, b]`
+ * @returns {string} Layer name
+ */
+const getLayerName = (rgb) =>
+  `COLOR_${rgb
+    .map((c) => c.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`;
+
+/**
+ * Split absolute path commands into subpaths of cubic Bézier segments
+ *
+ * Lines become cubic segments with control points on the line, so that a
+ * subpath can be written as a single B-spline.
+ * @param {Array<{type: string, values: number[]}>} commands - Commands
+ * @returns {Array<{points: number[][], closed: boolean, curved: boolean}>}
+ *     Control points as `[x, y]`, three per segment after the start point
+ */
+const getBezierSubpaths = (commands) => {
+  const subpaths = [];
+  let current = null;
+  let start = [0, 0];
+  for (const { type, values } of commands) {
+    if (type === 'M') {
+      start = [values[0], values[1]];
+      current = { points: [start], closed: false, curved: false };
+      subpaths.push(current);
+      continue;
+    }
+    if (!current) {
+      current = { points: [start], closed: false, curved: false };
+      subpaths.push(current);
+    }
+    const [x, y] = current.points[current.points.length - 1];
+    if (type === 'C') {
+      current.points.push(
+        [values[0], values[1]],
+        [values[2], values[3]],
+        [values[4], values[5]],
+      );
+      current.curved = true;
+      continue;
+    }
+    const [x2, y2] = type === 'Z' ? start : values;
+    if (x2 !== x || y2 !== y) {
+      current.points.push(
+        [x + (x2 - x) / 3, y + (y2 - y) / 3],
+        [x + ((x2 - x) * 2) / 3, y + ((y2 - y) * 2) / 3],
+        [x2, y2],
+      );
+    }
+    if (type === 'Z') {
+      current.closed = true;
+      current = null;
+    }
+  }
+  return subpaths.filter((subpath) => subpath.points.length > 1);
+};
+
+/**
+ * Collects DXF group code/value pairs and assigns entity handles
+ */
+class DXFWriter {
+  constructor() {
+    this.lines = [];
+    this.handle = 0x10;
+  }
+
+  /**
+   * Add group code/value pairs
+   * @param {...(number|string)} pairs - Alternating group codes and values
+   */
+  add(...pairs) {
+    for (let i = 0; i < pairs.length; i += 2) {
+      let value = pairs[i + 1];
+      if (typeof value === 'number' && !Number.isInteger(value)) {
+        value = String(+value.toFixed(6));
+      }
+      this.lines.push(String(pairs[i]), String(value));
+    }
+  }
+
+  /**
+   * Reserve a new handle
+   * @returns {string} Hexadecimal handle
+   */
+  nextHandle() {
+    return (this.handle++).toString(16).toUpperCase();
+  }
+
+  /**
+   * Serialize the collected pairs
+   * @returns {string} DXF file contents
+   */
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Write a drawing as DXF
+ * @param {{viewBox: Object, shapes: Array<Object>}} drawing - Shapes as
+ *     returned by `getSVGShapes()`
+ * @param {Object} options - DXF options
+ * @param {string} options.version - `'R12'` or `'R2000'`
+ * @param {string} options.units - `'mm'` or `'inch'`
+ * @param {number} options.width - Physical width of the drawing in `units`
+ * @param {boolean} options.layersByColor - Put each fill color on its own
+ *     layer
+ * @param {number} options.tolerance - Curve flattening tolerance in pixels
+ * @returns {string} DXF file contents
+ */
+const createDXF = (
+  { viewBox, shapes },
+  {
+    version = 'R2000',
+    units = 'mm',
+    width = 100,
+    layersByColor = true,
+    tolerance = 0.1,
+  } = {},
+) => {
+  const isR12 = version === 'R12';
+  const scale = width / viewBox.width;
+  const height = viewBox.height * scale;
+  // DXF's y axis points up.
+  const toDXF = ([x, y]) => [
+    (x - viewBox.x) * scale,
+    (viewBox.y + viewBox.height - y) * scale,
+  ];
+
+  const layers = new Map([[DEFAULT_LAYER, 7]]);
+  const paths = [];
+  for (const shape of shapes) {
+    const color = shape.fill || shape.stroke;
+    if (!color || !shape.commands.length) {
+      continue;
+    }
+    let layer = DEFAULT_LAYER;
+    if (layersByColor) {
+      layer = getLayerName(color);
+      layers.set(layer, getClosestACI(color));
+    }
+    paths.push({ layer, commands: shape.commands });
+  }
+
+  const dxf = new DXFWriter();
+  const modelSpace = isR12 ? null : dxf.nextHandle();
+  const paperSpace = isR12 ? null : dxf.nextHandle();
+
+  const addHandle = (owner) => {
+    if (!isR12) {
+      dxf.add(5, dxf.nextHandle(), 330, owner);
+    }
+  };
+  const addTable = (name, entries, addEntry) => {
+    dxf.add(0, 'TABLE', 2, name);
+    const table = isR12 ? null : dxf.nextHandle();
+    if (!isR12) {
+      dxf.add(5, table, 330, 0, 100, 'AcDbSymbolTable');
+    }
+    dxf.add(70, entries.length);
+    for (const entry of entries) {
+      dxf.add(0, name);
+      addHandle(table);
+      if (!isR12) {
+        dxf.add(100, 'AcDbSymbolTableRecord');
+      }
+      addEntry(entry);
+    }
+    dxf.add(0, 'ENDTAB');
+  };
+
+  dxf.add(0, 'SECTION', 2, 'HEADER');
+  dxf.add(9, '$ACADVER', 1, DXF_VERSIONS[version]);
+  dxf.add(9, '$EXTMIN', 10, 0, 20, 0, 30, 0);
+  dxf.add(9, '$EXTMAX', 10, width, 20, height, 30, 0);
+  if (!isR12) {
+    dxf.add(9, '$INSUNITS', 70, DXF_UNITS[units]);
+    dxf.add(9, '$MEASUREMENT', 70, units === 'mm' ? 1 : 0);
+  }
+  // The handle seed is patched in once all handles are known.
+  const handleSeedIndex = dxf.lines.length + 3;
+  if (!isR12) {
+    dxf.add(9, '$HANDSEED', 5, 'FFFF');
+  }
+  dxf.add(0, 'ENDSEC');
+
+  if (!isR12) {
+    dxf.add(0, 'SECTION', 2, 'CLASSES', 0, 'ENDSEC');
+  }
+
+  dxf.add(0, 'SECTION', 2, 'TABLES');
+  addTable('VPORT', ['*ACTIVE'], (name) => {
+    if (!isR12) {
+      dxf.add(100, 'AcDbViewportTableRecord');
+    }
+    dxf.add(2, name, 70, 0, 10, 0, 20, 0, 11, 1, 21, 1);
+    dxf.add(12, width / 2, 22, height / 2, 40, height, 41, width / height);
+  });
+  addTable('LTYPE', ['CONTINUOUS'], (name) => {
+    if (!isR12) {
+      dxf.add(100, 'AcDbLinetypeTableRecord');
+    }
+    dxf.add(2, name, 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0);
+  });
+  addTable('LAYER', [...layers], ([name, color]) => {
+    if (!isR12) {
+      dxf.add(100, 'AcDbLayerTableRecord');
+    }
+    dxf.add(2, name, 70, 0, 62, color, 6, 'CONTINUOUS');
+  });
+  addTable('STYLE', ['STANDARD'], (name) => {
+    if (!isR12) {
+      dxf.add(100, 'AcDbTextStyleTableRecord');
+    }
+    dxf.add(2, name, 70, 0, 40, 0, 41, 1, 50, 0, 71, 0, 42, 2.5, 3, 'txt');
+  });
+  addTable('VIEW', [], () => {});
+  addTable('UCS', [], () => {});
+  addTable('APPID', ['ACAD'], (name) => {
+    if (!isR12) {
+      dxf.add(100, 'AcDbRegAppTableRecord');
+    }
+    dxf.add(2, name, 70, 0);
+  });
+  addTable('DIMSTYLE', [], () => {});
+  if (!isR12) {
+    dxf.add(0, 'TABLE', 2, 'BLOCK_RECORD');
+    const table = dxf.nextHandle();
+    dxf.add(5, table, 330, 0, 100, 'AcDbSymbolTable', 70, 2);
+    for (const [handle, name] of [
+      [modelSpace, '*Model_Space'],
+      [paperSpace, '*Paper_Space'],
+    ]) {
+      dxf.add(0, 'BLOCK_RECORD', 5, handle, 330, table);
+      dxf.add(100, 'AcDbSymbolTableRecord', 100, 'AcDbBlockTableRecord');
+      dxf.add(2, name);
+    }
+    dxf.add(0, 'ENDTAB');
+  }
+  dxf.add(0, 'ENDSEC');
+
+  dxf.add(0, 'SECTION', 2, 'BLOCKS');
+  if (!isR12) {
+    for (const [owner, name] of [
+      [modelSpace, '*Model_Space'],
+      [paperSpace, '*Paper_Space'],
+    ]) {
+      dxf.add(0, 'BLOCK');
+      addHandle(owner);
+      dxf.add(100, 'AcDbEntity');
+      if (owner === paperSpace) {
+        dxf.add(67, 1);
+      }
+      dxf.add(8, DEFAULT_LAYER, 100, 'AcDbBlockBegin', 2, name, 70, 0);
+      dxf.add(10, 0, 20, 0, 30, 0, 3, name, 1, '');
+      dxf.add(0, 'ENDBLK');
+      addHandle(owner);
+      dxf.add(100, 'AcDbEntity');
+      if (owner === paperSpace) {
+        dxf.add(67, 1);
+      }
+      dxf.add(8, DEFAULT_LAYER, 100, 'AcDbBlockEnd');
+    }
+  }
+  dxf.add(0, 'ENDSEC');
+
+  dxf.add(0, 'SECTION', 2, 'ENTITIES');
+  for (const { layer, commands } of paths) {
+    if (isR12) {
+      // R12 has no splines, so curves are flattened into polylines.
+      for (const { points, closed } of flattenPathCommands(
+        commands,
+        tolerance,
+      )) {
+        if (points.length < 2) {
+          continue;
+        }
+        dxf.add(0, 'POLYLINE', 8, layer, 66, 1, 10, 0, 20, 0, 30, 0);
+        dxf.add(70, closed ? 1 : 0);
+        for (const point of points) {
+          const [x, y] = toDXF(point);
+          dxf.add(0, 'VERTEX', 8, layer, 10, x, 20, y, 30, 0);
+        }
+        dxf.add(0, 'SEQEND', 8, layer);
+      }
+      continue;
+    }
+    for (const subpath of getBezierSubpaths(commands)) {
+      const points = subpath.points.map(toDXF);
+      dxf.add(0, subpath.curved ? 'SPLINE' : 'LWPOLYLINE');
+      addHandle(modelSpace);
+      dxf.add(100, 'AcDbEntity', 8, layer);
+      if (!subpath.curved) {
+        // Every third point is a segment end point.
+        const vertices = points.filter((_, i) => i % 3 === 0);
+        if (subpath.closed) {
+          vertices.pop();
+        }
+        dxf.add(100, 'AcDbPolyline', 90, vertices.length);
+        dxf.add(70, subpath.closed ? 1 : 0);
+        for (const [x, y] of vertices) {
+          dxf.add(10, x, 20, y);
+        }
+        continue;
+      }
+      // A chain of cubic Bézier curves is a clamped cubic B-spline whose
+      // interior knots have a multiplicity of three.
+      const segments = (points.length - 1) / 3;
+      const knots = [0];
+      for (let i = 0; i <= segments; i++) {
+        knots.push(i, i, i);
+      }
+      knots.push(segments);
+      dxf.add(100, 'AcDbSpline', 210, 0, 220, 0, 230, 1);
+      // Planar. The closed flag would make the spline periodic, which a
+      // clamped spline isn't, even though it ends where it starts.
+      dxf.add(70, 8, 71, 3);
+      dxf.add(72, knots.length, 73, points.length, 74, 0);
+      dxf.add(42, '0.0000000001', 43, '0.0000000001');
+      for (const knot of knots) {
+        dxf.add(40, knot);
+      }
+      for (const [x, y] of points) {
+        dxf.add(10, x, 20, y, 30, 0);
+      }
+    }
+  }
+  dxf.add(0, 'ENDSEC');
+
+  if (!isR12) {
+    const root = dxf.nextHandle();
+    const groups = dxf.nextHandle();
+    dxf.add(0, 'SECTION', 2, 'OBJECTS');
+    dxf.add(0, 'DICTIONARY', 5, root, 330, 0, 100, 'AcDbDictionary');
+    dxf.add(281, 1, 3, 'ACAD_GROUP', 350, groups);
+    dxf.add(0, 'DICTIONARY', 5, groups, 330, root, 100, 'AcDbDictionary');
+    dxf.add(281, 1);
+    dxf.add(0, 'ENDSEC');
+    dxf.lines[handleSeedIndex] = dxf.nextHandle();
+  }
+  dxf.add(0, 'EOF');
+  return dxf.toString();
+};
+
+/**
+ * Export SVG as DXF
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {Object} options - DXF options, see `createDXF()`
+ */
+const exportDXF = async (svg, fileName, options) => {
+  try {
+    const dxf = createDXF(getSVGShapes(svg), options);
+    const saved = await saveBlob(
+      new Blob([dxf], { type: 'image/vnd.dxf' }),
+      fileName,
+      {
+        description: 'AutoCAD DXF',
+        mimeType: 'image/vnd.dxf',
+        extension: '.dxf',
+      },
+    );
+    if (saved) {
+      showToast(i18n.t('exportedDXF'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportDXF };
@@ -0,0 +1,708 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { getSVGShapes } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { getPolygons } from './exportmesh.js';
+import { setOverlay, clearOverlay } from './overlay.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+// Embroidery formats count in 0.1 mm.
+const UNITS_PER_MM = 10;
+const MM_PER_INCH = 25.4;
+const TATAMI_STITCH_MM = 3.5;
+// Shift each row's needle points by a third stitch, so they don't line up.
+const TATAMI_ROW_SHIFTS = 3;
+const RUNNING_STITCH_MM = 2.5;
+const SATIN_SPACING_MM = 0.4;
+const SATIN_OUTLINE_WIDTH_MM = 1.2;
+// Strokes narrower than this are sewn as running stitches.
+const SATIN_MIN_WIDTH_MM = 1;
+const DST_MAX_MOVE = 121;
+const PEC_MAX_MOVE = 2047;
+const PEC_SHORT_MAX_MOVE = 63;
+const PEC_ICON_WIDTH = 48;
+const PEC_ICON_HEIGHT = 38;
+const STITCH_OVERLAY = 'stitches';
+
+// Brother's PEC thread palette, starting at index 1.
+const PEC_THREADS = [
+  0x1a0a94, 0x0f75ff, 0x00934c, 0xbabdfe, 0xec0000, 0xe4995a, 0xcc48ab,
+  0xfdc4fa, 0xdd84cd, 0x6bd38a, 0xe4a945, 0xffbd42, 0xffe600, 0x6cd900,
+  0xc1a941, 0xb5ad97, 0xba9c5f, 0xfaf59e, 0x808080, 0x000000, 0x001cdf,
+  0xdf00b8, 0x626262, 0x69260d, 0xff0060, 0xbf8200, 0xf39178, 0xff6805,
+  0xf0f0f0, 0xc832cd, 0xb0bf9b, 0x65bfeb, 0xffba04, 0xfff06c, 0xfeca15,
+  0xf3810b, 0x37a923, 0x23465f, 0xa6a695, 0xcebfa6, 0x96aa02, 0xffe3c6,
+  0xff99d7, 0x007004, 0xedccfb, 0xc089d8, 0xe7d9b4, 0xe90e86, 0xcf6829,
+  0x408615, 0xdb1797, 0xffa704, 0xb9ffff, 0x228927, 0xb612cd, 0x00aa00,
+  0xfea9dc, 0xfed510, 0x0097df, 0xffff84, 0xcfe774,
+].map((hex) => [hex >> 16, (hex >> 8) & 0xff, hex & 0xff]);
+
+/**
+ * Split a line into pieces no longer than `maxLength`
+ * @param {number[]} from - `[x, y]`
+ * @param {number[]} to - `[x, y]`
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<number[]>} End points of the pieces, excluding `from`
+ */
+const subdivide = ([x1, y1], [x2, y2], maxLength) => {
+  const count = Math.max(
+    1,
+    Math.ceil(Math.hypot(x2 - x1, y2 - y1) / maxLength),
+  );
+  const points = [];
+  for (let i = 1; i <= count; i++) {
+    points.push([x1 + ((x2 - x1) * i) / count, y1 + ((y2 - y1) * i) / count]);
+  }
+  return points;
+};
+
+/**
+ * Fill a polygon with tatami stitches
+ *
+ * The polygon is cut into parallel rows at the fill angle. Rows whose spans
+ * overlap are grouped into blocks that can be sewn back and forth without
+ * jumps, which keeps concave shapes from needing a jump per row.
+ * @param {Array<Array<number[]>>} polygon - Outline followed by holes
+ * @param {Object} options - Fill options
+ * @param {number} options.angle - Row angle in degrees
+ * @param {number} options.spacing - Row spacing
+ * @param {number} options.stitchLength - Maximum stitch length
+ * @returns {Array<Array<number[]>>} Stitch runs
+ */
+const fillPolygon = (polygon, { angle, spacing, stitchLength }) => {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  // Rotate, so rows run horizontally.
+  const rings = polygon.map((ring) =>
+    ring.map(([x, y]) => [x * cos + y * sin, -x * sin + y * cos]),
+  );
+  const unrotate = ([x, y]) => [x * cos - y * sin, x * sin + y * cos];
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const [, y] of rings.flat()) {
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  }
+  const blocks = [];
+  let openBlocks = [];
+  for (let row = 0, y = minY + spacing / 2; y < maxY; row++, y += spacing) {
+    const xs = [];
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi > y !== yj > y) {
+          xs.push(xi + ((y - yi) * (xj - xi)) / (yj - yi));
+        }
+      }
+    }
+    xs.sort((a, b) => a - b);
+    const spans = [];
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      spans.push({ row, y, x1: xs[i], x2: xs[i + 1] });
+    }
+    const overlaps = (a, b) => a.x1 < b.x2 && b.x1 < a.x2;
+    const nextOpenBlocks = [];
+    for (const span of spans) {
+      const candidates = openBlocks.filter(({ spans: blockSpans }) =>
+        overlaps(blockSpans[blockSpans.length - 1], span),
+      );
+      const [block] = candidates;
+      // Only continue a block where it neither splits nor merges, since
+      // the connecting stitch would otherwise cross the gap.
+      if (
+        candidates.length === 1 &&
+        spans.filter((other) =>
+          overlaps(block.spans[block.spans.length - 1], other),
+        ).length === 1
+      ) {
+        block.spans.push(span);
+        nextOpenBlocks.push(block);
+      } else {
+        const newBlock = { spans: [span] };
+        blocks.push(newBlock);
+        nextOpenBlocks.push(newBlock);
+      }
+    }
+    openBlocks = nextOpenBlocks;
+  }
+  return blocks.map(({ spans }) => {
+    const run = [];
+    spans.forEach(({ row, y, x1, x2 }, i) => {
+      const shift =
+        ((row % TATAMI_ROW_SHIFTS) / TATAMI_ROW_SHIFTS) * stitchLength;
+      const xs = [x1];
+      for (
+        let x = Math.ceil((x1 - shift) / stitchLength) * stitchLength + shift;
+        x < x2;
+        x += stitchLength
+      ) {
+        if (x > x1) {
+          xs.push(x);
+        }
+      }
+      xs.push(x2);
+      // Sew every other row backwards.
+      if (i % 2) {
+        xs.reverse();
+      }
+      run.push(...xs.map((x) => unrotate([x, y])));
+    });
+    return run;
+  });
+};
+
+/**
+ * Sew along a polyline with running stitches
+ * @param {Array<number[]>} points - Points
+ * @param {boolean} closed - Whether to return to the first point
+ * @param {number} stitchLength - Maximum stitch length
+ * @returns {Array<number[]>} Stitch run
+ */
+const runningStitch = (points, closed, stitchLength) => {
+  const path = closed ? [...points, points[0]] : points;
+  const run = [path[0]];
+  for (let i = 1; i < path.length; i++) {
+    run.push(...subdivide(path[i - 1], path[i], stitchLength));
+  }
+  return run;
+};
+
+/**
+ * Sew along a polyline with satin stitches zigzagging across it
+ * @param {Array<number[]>} points - Points
+ * @param {boolean} closed - Whether to return to the first point
+ * @param {number} width - Satin width
+ * @param {number} spacing - Distance between stitches along the line
+ * @returns {Array<number[]>} Stitch run
+ */
+const satinStitch = (points, closed, width, spacing) => {
+  const path = closed ? [...points, points[0]] : points;
+  const run = [];
+  let side = 1;
+  // Place stitches at multiples of `spacing` along the whole line, so
+  // corners don't bunch them up.
+  let start = 0;
+  let next = 0;
+  for (let i = 1; i < path.length; i++) {
+    const [x1, y1] = path[i - 1];
+    const [x2, y2] = path[i];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (!length) {
+      continue;
+    }
+    const nx = (-(y2 - y1) / length) * (width / 2);
+    const ny = ((x2 - x1) / length) * (width / 2);
+    for (; next <= start + length; next += spacing) {
+      const t = (next - start) / length;
+      run.push([
+        x1 + (x2 - x1) * t + nx * side,
+        y1 + (y2 - y1) * t + ny * side,
+      ]);
+      side = -side;
+    }
+    start += length;
+  }
+  return run;
+};
+
+/**
+ * Turn the SVG into stitches, one block per thread color
+ * @param {string} svg - SVG string
+ * @param {Object} options - Embroidery options
+ * @param {string} options.units - Units of `width`, `'mm'` or `'inch'`
+ * @param {number} options.width - Physical width of the design
+ * @param {number} options.spacing - Fill row spacing in millimeters
+ * @param {number} options.angle - Fill angle in degrees
+ * @param {string} options.outline - Fill outlines: `'none'`, `'running'`,
+ *     or `'satin'`
+ * @param {number} options.tolerance - Curve flattening tolerance in pixels
+ * @returns {{viewBox: Object, scale: number, threads: Array<Object>}} Threads
+ *     with `color` and `stitches` as `{x, y, jump}` in 0.1 mm
+ */
+const createEmbroidery = (
+  svg,
+  {
+    units = 'mm',
+    width = 100,
+    spacing = 0.4,
+    angle = 45,
+    outline = 'running',
+    tolerance = 0.1,
+  } = {},
+) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const scale =
+    (width * (units === 'inch' ? MM_PER_INCH : 1) * UNITS_PER_MM) /
+    (viewBox.width || 1);
+  const toMachine = ([x, y]) => [
+    (x - viewBox.x) * scale,
+    (y - viewBox.y) * scale,
+  ];
+  const mm = (value) => value * UNITS_PER_MM;
+  const threads = [];
+  const getThread = (rgb) => {
+    const key = rgb.join();
+    let thread = threads.find((candidate) => candidate.key === key);
+    if (!thread) {
+      thread = { key, color: rgb, fills: [], outlines: [] };
+      threads.push(thread);
+    }
+    return thread;
+  };
+  for (const shape of shapes) {
+    const polylines = flattenPathCommands(shape.commands, tolerance).map(
+      ({ points, closed }) => ({ points: points.map(toMachine), closed }),
+    );
+    if (shape.fill) {
+      const thread = getThread(shape.fill);
+      const polygons = getPolygons(
+        polylines.map(({ points }) => points),
+        shape.fillRule,
+      );
+      for (const polygon of polygons) {
+        thread.fills.push(
+          ...fillPolygon(polygon, {
+            angle,
+            spacing: mm(spacing),
+            stitchLength: mm(TATAMI_STITCH_MM),
+          }),
+        );
+        for (const ring of polygon) {
+          if (outline === 'running') {
+            thread.outlines.push(
+              runningStitch(ring, true, mm(RUNNING_STITCH_MM)),
+            );
+          } else if (outline === 'satin') {
+            thread.outlines.push(
+              satinStitch(
+                ring,
+                true,
+                mm(SATIN_OUTLINE_WIDTH_MM),
+                mm(SATIN_SPACING_MM),
+              ),
+            );
+          }
+        }
+      }
+    }
+    if (shape.stroke && shape.strokeWidth > 0) {
+      const thread = getThread(shape.stroke);
+      const strokeWidth = shape.strokeWidth * scale;
+      for (const { points, closed } of polylines) {
+        thread.outlines.push(
+          strokeWidth < mm(SATIN_MIN_WIDTH_MM)
+            ? runningStitch(points, closed, mm(RUNNING_STITCH_MM))
+            : satinStitch(points, closed, strokeWidth, mm(SATIN_SPACING_MM)),
+        );
+      }
+    }
+  }
+  return {
+    viewBox,
+    scale,
+    threads: threads
+      .map(({ color, fills, outlines }) => {
+        const stitches = [];
+        // Outlines go last, so they cover the ragged ends of the fill rows.
+        for (const run of [...fills, ...outlines]) {
+          if (run.length < 2) {
+            continue;
+          }
+          const [x, y] = run[0];
+          stitches.push({ x, y, jump: true });
+          for (const [x, y] of run.slice(1)) {
+            stitches.push({ x, y, jump: false });
+          }
+        }
+        return { color, stitches };
+      })
+      .filter(({ stitches }) => stitches.length),
+  };
+};
+
+/**
+ * Convert stitches to relative moves within a format's reach, splitting
+ * longer moves and rounding to whole units without accumulating errors
+ * @param {Array<Object>} threads - Threads as returned by
+ *     `createEmbroidery()`
+ * @param {number} maxMove - Maximum move per axis
+ * @returns {Array<{dx: number, dy: number, type: string}>} Moves of type
+ *     `'stitch'`, `'jump'`, or `'color'`
+ */
+const getMoves = (threads, maxMove) => {
+  const moves = [];
+  let x = 0;
+  let y = 0;
+  threads.forEach(({ stitches }, i) => {
+    if (i > 0) {
+      moves.push({ dx: 0, dy: 0, type: 'color' });
+    }
+    for (const stitch of stitches) {
+      const to = [Math.round(stitch.x), Math.round(stitch.y)];
+      for (const [px, py] of subdivide([x, y], to, maxMove)) {
+        const nx = Math.round(px);
+        const ny = Math.round(py);
+        if (nx === x && ny === y) {
+          continue;
+        }
+        moves.push({
+          dx: nx - x,
+          dy: ny - y,
+          type: stitch.jump ? 'jump' : 'stitch',
+        });
+        x = nx;
+        y = ny;
+      }
+    }
+  });
+  return moves;
+};
+
+/**
+ * Get the extents of all stitches
+ * @param {Array<Object>} threads - Threads as returned by
+ *     `createEmbroidery()`
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Extents
+ *     in whole units
+ */
+const getExtents = (threads) => {
+  // The machine starts at the origin, so it's always part of the extents.
+  const extents = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  for (const { stitches } of threads) {
+    for (const stitch of stitches) {
+      const x = Math.round(stitch.x);
+      const y = Math.round(stitch.y);
+      extents.minX = Math.min(extents.minX, x);
+      extents.minY = Math.min(extents.minY, y);
+      extents.maxX = Math.max(extents.maxX, x);
+      extents.maxY = Math.max(extents.maxY, y);
+    }
+  }
+  return extents;
+};
+
+/**
+ * Encode one DST record, where each axis is a sum of balanced ternary digits
+ * @param {number} dx - X move, at most 121
+ * @param {number} dy - Y move, at most 121, pointing down
+ * @param {string} type - `'stitch'`, `'jump'`, `'color'`, or `'end'`
+ * @returns {number[]} Three bytes
+ */
+const encodeDSTRecord = (dx, dy, type) => {
+  if (type === 'color') {
+    return [0, 0, 0xc3];
+  }
+  if (type === 'end') {
+    return [0, 0, 0xf3];
+  }
+  const bytes = [0, 0, type === 'jump' ? 0x83 : 0x03];
+  // [value, byte, bit for +, bit for -] from the largest digit down.
+  const digits = [
+    [81, 2, 0x04, 0x08, 0x20, 0x10],
+    [27, 1, 0x04, 0x08, 0x20, 0x10],
+    [9, 0, 0x04, 0x08, 0x20, 0x10],
+    [3, 1, 0x01, 0x02, 0x80, 0x40],
+    [1, 0, 0x01, 0x02, 0x80, 0x40],
+  ];
+  // DST's y axis points up.
+  let x = dx;
+  let y = -dy;
+  for (const [value, byte, xPlus, xMinus, yPlus, yMinus] of digits) {
+    const threshold = (value - 1) / 2;
+    if (x > threshold) {
+      bytes[byte] |= xPlus;
+      x -= value;
+    } else if (x < -threshold) {
+      bytes[byte] |= xMinus;
+      x += value;
+    }
+    if (y > threshold) {
+      bytes[byte] |= yPlus;
+      y -= value;
+    } else if (y < -threshold) {
+      bytes[byte] |= yMinus;
+      y += value;
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Write a Tajima DST file
+ * @param {Array<Object>} threads - Threads as returned by
+ *     `createEmbroidery()`
+ * @param {string} name - Design name
+ * @returns {Uint8Array} DST data
+ */
+const createDST = (threads, name) => {
+  const moves = getMoves(threads, DST_MAX_MOVE);
+  const { minX, minY, maxX, maxY } = getExtents(threads);
+  const pad = (value, length) => String(value).padStart(length, ' ');
+  const header =
+    `LA:${name.slice(0, 16).padEnd(16, ' ')}\r` +
+    `ST:${pad(moves.length + 1, 7)}\r` +
+    `CO:${pad(threads.length - 1, 3)}\r` +
+    `+X:${pad(maxX, 5)}\r` +
+    `-X:${pad(-minX, 5)}\r` +
+    `+Y:${pad(-minY, 5)}\r` +
+    `-Y:${pad(maxY, 5)}\r` +
+    `AX:+${pad(0, 5)}\r` +
+    `AY:+${pad(0, 5)}\r` +
+    `MX:+${pad(0, 5)}\r` +
+    `MY:+${pad(0, 5)}\r` +
+    'PD:******\r\x1a';
+  const bytes = new Uint8Array(512 + (moves.length + 1) * 3).fill(0x20, 0, 512);
+  bytes.set(new TextEncoder().encode(header));
+  let offset = 512;
+  for (const { dx, dy, type } of [...moves, { dx: 0, dy: 0, type: 'end' }]) {
+    bytes.set(encodeDSTRecord(dx, dy, type), offset);
+    offset += 3;
+  }
+  return bytes;
+};
+
+/**
+ * Find the closest color of the PEC palette
+ * @param {number[]} rgb - `[r, g, b]`
+ * @returns {number} Palette index, starting at 1
+ */
+const getPECThreadIndex = ([r, g, b]) => {
+  let best = 0;
+  let bestDistance = Infinity;
+  PEC_THREADS.forEach(([pr, pg, pb], i) => {
+    const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  });
+  return best + 1;
+};
+
+/**
+ * Draw stitches into a 1 bit PEC thumbnail with a frame
+ * @param {Array<Object>} stitches - Stitches in 0.1 mm
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} extents -
+ *     Extents of the whole design
+ * @returns {Uint8Array} Thumbnail, eight pixels per byte, least significant
+ *     bit first
+ */
+const createPECIcon = (stitches, { minX, minY, maxX, maxY }) => {
+  const icon = new Uint8Array((PEC_ICON_WIDTH / 8) * PEC_ICON_HEIGHT);
+  const set = (x, y) => {
+    icon[y * (PEC_ICON_WIDTH / 8) + (x >> 3)] |= 1 << (x & 7);
+  };
+  for (let x = 4; x < PEC_ICON_WIDTH - 4; x++) {
+    set(x, 1);
+    set(x, PEC_ICON_HEIGHT - 2);
+  }
+  for (let y = 2; y < PEC_ICON_HEIGHT - 2; y++) {
+    set(3, y);
+    set(PEC_ICON_WIDTH - 4, y);
+  }
+  const size = Math.max(maxX - minX, maxY - minY, 1);
+  const area = PEC_ICON_HEIGHT - 10;
+  for (const { x, y } of stitches) {
+    set(
+      Math.round(((x - minX) / size) * area) + (PEC_ICON_WIDTH - area) / 2,
+      Math.round(((y - minY) / size) * area) + 5,
+    );
+  }
+  return icon;
+};
+
+/**
+ * Encode a PEC move in the short 7 bit or the long 12 bit form
+ * @param {number} value - Move
+ * @param {boolean} long - Force the long form, required for jumps
+ * @param {number} flags - Flags for the long form's high byte
+ * @returns {number[]} One or two bytes
+ */
+const encodePECMove = (value, long, flags = 0) => {
+  if (!long && value >= -PEC_SHORT_MAX_MOVE && value <= PEC_SHORT_MAX_MOVE) {
+    return [value & 0x7f];
+  }
+  const encoded = (value & 0x0fff) | 0x8000 | (flags << 8);
+  return [encoded >> 8, encoded & 0xff];
+};
+
+/**
+ * Write a Brother PES file, a version 1 header followed by the PEC section
+ * that machines read
+ * @param {Array<Object>} threads - Threads as returned by
+ *     `createEmbroidery()`
+ * @param {string} name - Design name
+ * @returns {Uint8Array} PES data
+ */
+const createPES = (threads, name) => {
+  const PEC_OFFSET = 22;
+  const extents = getExtents(threads);
+  const { minX, minY, maxX, maxY } = extents;
+  const bytes = [];
+  const pushString = (string) =>
+    bytes.push(...new TextEncoder().encode(string));
+  const push16LE = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+  const push16BE = (value) => bytes.push((value >> 8) & 0xff, value & 0xff);
+  pushString('#PES0001');
+  bytes.push(PEC_OFFSET, 0, 0, 0);
+  bytes.push(...new Array(PEC_OFFSET - bytes.length).fill(0));
+
+  // PEC header, 512 bytes.
+  pushString(`LA:${name.slice(0, 16).padEnd(16, ' ')}\r`);
+  bytes.push(...new Array(12).fill(0x20), 0xff, 0x00);
+  bytes.push(PEC_ICON_WIDTH / 8, PEC_ICON_HEIGHT);
+  bytes.push(0x20, 0x20, 0x20, 0x20, 0x64, 0x20, 0x00, 0x20, 0x00);
+  bytes.push(0x20, 0x20, 0x20);
+  bytes.push(threads.length - 1);
+  bytes.push(...threads.map(({ color }) => getPECThreadIndex(color)));
+  bytes.push(...new Array(463 - threads.length).fill(0x20));
+
+  // Stitch block.
+  const blockStart = bytes.length;
+  bytes.push(0x00, 0x00, 0, 0, 0, 0x31, 0xff, 0xf0);
+  push16LE(maxX - minX);
+  push16LE(maxY - minY);
+  push16LE(0x1e0);
+  push16LE(0x1b0);
+  push16BE(0x9000 | (-minX & 0x0fff));
+  push16BE(0x9000 | (-minY & 0x0fff));
+  let colorToggle = true;
+  for (const { dx, dy, type } of getMoves(threads, PEC_MAX_MOVE)) {
+    if (type === 'color') {
+      bytes.push(0xfe, 0xb0, colorToggle ? 2 : 1);
+      colorToggle = !colorToggle;
+      continue;
+    }
+    const isJump = type === 'jump';
+    // Both axes must use the same form.
+    const long =
+      isJump ||
+      Math.abs(dx) > PEC_SHORT_MAX_MOVE ||
+      Math.abs(dy) > PEC_SHORT_MAX_MOVE;
+    const flags = isJump ? 0x10 : 0;
+    bytes.push(...encodePECMove(dx, long, flags));
+    bytes.push(...encodePECMove(dy, long, flags));
+  }
+  bytes.push(0xff);
+  const blockLength = bytes.length - blockStart;
+  bytes[blockStart + 2] = blockLength & 0xff;
+  bytes[blockStart + 3] = (blockLength >> 8) & 0xff;
+  bytes[blockStart + 4] = (blockLength >> 16) & 0xff;
+
+  // Thumbnails of the whole design and of each color.
+  const allStitches = threads.flatMap(({ stitches }) => stitches);
+  bytes.push(...createPECIcon(allStitches, extents));
+  for (const { stitches } of threads) {
+    bytes.push(...createPECIcon(stitches, extents));
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Count the needle penetrations of a design
+ * @param {Array<Object>} threads - Threads as returned by
+ *     `createEmbroidery()`
+ * @returns {number} Stitch count
+ */
+const getStitchCount = (threads) =>
+  threads.reduce(
+    (count, { stitches }) =>
+      count + stitches.filter(({ jump }) => !jump).length,
+    0,
+  );
+
+/**
+ * Draw the simulated stitches over the SVG output and show the stitch count
+ * @param {string} svg - SVG string
+ * @param {Object} options - Embroidery options, see `createEmbroidery()`
+ * @param {boolean} preview - Draw the stitches, not only count them
+ * @returns {number} Stitch count
+ */
+const showStitchPreview = (svg, options, preview) => {
+  const { viewBox, scale, threads } = createEmbroidery(svg, options);
+  if (preview) {
+    const toSVG = (value, origin) => +(origin + value / scale).toFixed(2);
+    const paths = threads.map(({ color, stitches }) => {
+      const pathData = stitches
+        .map(
+          ({ x, y, jump }) =>
+            `${jump ? 'M' : 'L'}${toSVG(x, viewBox.x)} ${toSVG(y, viewBox.y)}`,
+        )
+        .join('');
+      return `<path class="stitch-path" stroke="rgb(${color.join()})" d="${pathData}" vector-effect="non-scaling-stroke"/>`;
+    });
+    setOverlay(STITCH_OVERLAY, paths.join(''), viewBox);
+  } else {
+    clearOverlay(STITCH_OVERLAY);
+  }
+  return getStitchCount(threads);
+};
+
+/**
+ * Remove the stitch preview
+ */
+const hideStitchPreview = () => {
+  clearOverlay(STITCH_OVERLAY);
+};
+
+/**
+ * Export SVG as a Tajima DST or Brother PES embroidery file
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {string} format - `'dst'` or `'pes'`
+ * @param {Object} options - Embroidery options, see `createEmbroidery()`
+ */
+const exportEmbroidery = async (svg, fileName, format, options) => {
+  try {
+    const { threads } = createEmbroidery(svg, options);
+    if (!threads.length) {
+      throw new Error(i18n.t('noStitches'));
+    }
+    const name = fileName.replace(/\.[^.]+$/, '');
+    const isDST = format === 'dst';
+    const saved = await saveBlob(
+      new Blob([isDST ? createDST(threads, name) : createPES(threads, name)], {
+        type: 'application/octet-stream',
+      }),
+      fileName,
+      {
+        description: isDST ? 'Tajima DST embroidery' : 'Brother PES embroidery',
+        mimeType: 'application/octet-stream',
+        extension: `.${format}`,
+      },
+    );
+    if (saved) {
+      showToast(
+        `${i18n.t(isDST ? 'exportedDST' : 'exportedPES')} (${i18n.t(
+          'stitchCount',
+        )}: ${getStitchCount(threads)})`,
+      );
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportEmbroidery, showStitchPreview, hideStitchPreview };
@@ -0,0 +1,627 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob, deflate } from './export.js';
+import { getSymbolID } from './exportsprite.js';
+import { getPolygons } from './exportmesh.js';
+import { getSVGShapes } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { createZip } from './zip.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const UNITS_PER_EM = 1000;
+const ASCENT = 850;
+const DESCENT = 150;
+// Start of the Private Use Area.
+const FIRST_CODEPOINT = 0xe000;
+// Maximum deviation of flattened curves in font units.
+const FLATTEN_TOLERANCE = 0.5;
+// Seconds between the TrueType epoch, 1904, and the Unix epoch.
+const MAC_EPOCH_OFFSET = 2082844800;
+const CHECKSUM_MAGIC = 0xb1b0afba;
+const ON_CURVE = 0x01;
+const X_SHORT = 0x02;
+const Y_SHORT = 0x04;
+const X_SAME_OR_POSITIVE = 0x10;
+const Y_SAME_OR_POSITIVE = 0x20;
+
+/**
+ * Round a length up to the four-byte alignment of font tables
+ * @param {number} length - Length in bytes
+ * @returns {number} Padded length
+ */
+const pad = (length) => Math.ceil(length / 4) * 4;
+
+/**
+ * Convert a traced SVG into the contours of a glyph
+ *
+ * The view box is scaled to fit the em square and centered in it. All fills
+ * are merged into one color, except white ones, which are treated as the
+ * paper the icon is printed on.
+ * @param {string} svg - SVG string
+ * @returns {Array<Array<number[]>>} Contours in font units, outlines
+ *     clockwise and holes counter-clockwise, as TrueType expects
+ */
+const createGlyphContours = (svg) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const size = Math.max(viewBox.width, viewBox.height) || 1;
+  const scale = UNITS_PER_EM / size;
+  const offsetX = (UNITS_PER_EM - viewBox.width * scale) / 2;
+  const offsetY = (UNITS_PER_EM - viewBox.height * scale) / 2;
+  const toFont = ([x, y]) => [
+    Math.round((x - viewBox.x) * scale + offsetX),
+    Math.round(ASCENT - (y - viewBox.y) * scale - offsetY),
+  ];
+  const contours = [];
+  for (const shape of shapes) {
+    if (
+      !shape.fill ||
+      !shape.fillOpacity ||
+      shape.fill.every((c) => c === 255) ||
+      !shape.commands.length
+    ) {
+      continue;
+    }
+    const rings = flattenPathCommands(
+      shape.commands,
+      FLATTEN_TOLERANCE / scale,
+    ).map(({ points }) =>
+      points
+        .map(toFont)
+        .filter(
+          ([x, y], i, points) =>
+            !i || x !== points[i - 1][0] || y !== points[i - 1][1],
+        ),
+    );
+    for (const polygon of getPolygons(rings, shape.fillRule)) {
+      contours.push(...polygon.map((ring) => [...ring].reverse()));
+    }
+  }
+  return contours;
+};
+
+/**
+ * Encode the contours of a simple glyph
+ * @param {Array<Array<number[]>>} contours - Contours in font units
+ * @returns {{bytes: Uint8Array, xMin: number, yMin: number, xMax: number,
+ *     yMax: number, points: number}} Glyph data, padded to four bytes so the
+ *     next glyph stays aligned, and its metrics
+ */
+const encodeGlyph = (contours) => {
+  const points = contours.flat();
+  if (!points.length) {
+    return { bytes: new Uint8Array(0), xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+  }
+  let xMin = Infinity;
+  let yMin = Infinity;
+  let xMax = -Infinity;
+  let yMax = -Infinity;
+  for (const [x, y] of points) {
+    xMin = Math.min(xMin, x);
+    yMin = Math.min(yMin, y);
+    xMax = Math.max(xMax, x);
+    yMax = Math.max(yMax, y);
+  }
+  const flags = [];
+  const xBytes = [];
+  const yBytes = [];
+  // Coordinates are stored as deltas, as a byte with the sign in the flags
+  // when they fit, or as a signed 16-bit number.
+  const encodeDelta = (delta, bytes, shortFlag, sameOrPositiveFlag) => {
+    if (delta === 0) {
+      return sameOrPositiveFlag;
+    }
+    if (Math.abs(delta) < 256) {
+      bytes.push(Math.abs(delta));
+      return shortFlag | (delta > 0 ? sameOrPositiveFlag : 0);
+    }
+    bytes.push((delta >> 8) & 0xff, delta & 0xff);
+    return 0;
+  };
+  let previousX = 0;
+  let previousY = 0;
+  for (const [x, y] of points) {
+    flags.push(
+      ON_CURVE |
+        encodeDelta(x - previousX, xBytes, X_SHORT, X_SAME_OR_POSITIVE) |
+        encodeDelta(y - previousY, yBytes, Y_SHORT, Y_SAME_OR_POSITIVE),
+    );
+    previousX = x;
+    previousY = y;
+  }
+  const headerLength = 10 + contours.length * 2 + 2;
+  const length = headerLength + flags.length + xBytes.length + yBytes.length;
+  const bytes = new Uint8Array(pad(length));
+  const view = new DataView(bytes.buffer);
+  view.setInt16(0, contours.length);
+  view.setInt16(2, xMin);
+  view.setInt16(4, yMin);
+  view.setInt16(6, xMax);
+  view.setInt16(8, yMax);
+  let end = -1;
+  contours.forEach((contour, i) => {
+    end += contour.length;
+    view.setUint16(10 + i * 2, end);
+  });
+  // No hinting instructions.
+  view.setUint16(headerLength - 2, 0);
+  bytes.set([...flags, ...xBytes, ...yBytes], headerLength);
+  return { bytes, xMin, yMin, xMax, yMax, points: points.length };
+};
+
+/**
+ * Calculate the checksum of a font table
+ * @param {Uint8Array} bytes - Table data
+ * @returns {number} Unsigned 32-bit checksum, as if the data were padded with
+ *     zeros
+ */
+const getTableChecksum = (bytes) => {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 4) {
+    const word =
+      (bytes[i] << 24) |
+      ((bytes[i + 1] ?? 0) << 16) |
+      ((bytes[i + 2] ?? 0) << 8) |
+      (bytes[i + 3] ?? 0);
+    sum = (sum + word) >>> 0;
+  }
+  return sum;
+};
+
+/**
+ * Create a table by writing into a data view
+ * @param {number} length - Table length in bytes
+ * @param {function(DataView): void} write - Writes the fields
+ * @returns {Uint8Array} Table data
+ */
+const createTable = (length, write) => {
+  const bytes = new Uint8Array(length);
+  write(new DataView(bytes.buffer));
+  return bytes;
+};
+
+/**
+ * Calculate the binary search fields of a font header or `cmap` subtable
+ * @param {number} count - Number of entries
+ * @param {number} size - Entry size in bytes
+ * @returns {{searchRange: number, entrySelector: number, rangeShift: number}}
+ *     Search fields
+ */
+const getSearchFields = (count, size) => {
+  const entrySelector = Math.floor(Math.log2(count));
+  const searchRange = 2 ** entrySelector * size;
+  return { searchRange, entrySelector, rangeShift: count * size - searchRange };
+};
+
+/**
+ * Create the `cmap` table, mapping one contiguous range of code points to the
+ * glyphs after `.notdef`
+ * @param {number} count - Number of icon glyphs
+ * @returns {Uint8Array} Table data
+ */
+const createCmapTable = (count) => {
+  const segments = [
+    {
+      start: FIRST_CODEPOINT,
+      end: FIRST_CODEPOINT + count - 1,
+      delta: (1 - FIRST_CODEPOINT) & 0xffff,
+    },
+    // The last segment has to map 0xFFFF to `.notdef`.
+    { start: 0xffff, end: 0xffff, delta: 1 },
+  ];
+  const subtableLength = 16 + segments.length * 8;
+  return createTable(12 + subtableLength, (view) => {
+    view.setUint16(0, 0);
+    view.setUint16(2, 1);
+    // Windows, Unicode BMP.
+    view.setUint16(4, 3);
+    view.setUint16(6, 1);
+    view.setUint32(8, 12);
+    const { searchRange, entrySelector, rangeShift } = getSearchFields(
+      segments.length,
+      2,
+    );
+    const offset = 12;
+    view.setUint16(offset, 4);
+    view.setUint16(offset + 2, subtableLength);
+    view.setUint16(offset + 4, 0);
+    view.setUint16(offset + 6, segments.length * 2);
+    view.setUint16(offset + 8, searchRange);
+    view.setUint16(offset + 10, entrySelector);
+    view.setUint16(offset + 12, rangeShift);
+    const arrays = offset + 14;
+    const stride = segments.length * 2;
+    segments.forEach(({ start, end, delta }, i) => {
+      view.setUint16(arrays + i * 2, end);
+      // Skips the reserved padding after the end codes.
+      view.setUint16(arrays + stride + 2 + i * 2, start);
+      view.setUint16(arrays + stride * 2 + 2 + i * 2, delta);
+      view.setUint16(arrays + stride * 3 + 2 + i * 2, 0);
+    });
+  });
+};
+
+/**
+ * Create the `name` table
+ * @param {string} name - Font family name
+ * @returns {Uint8Array} Table data
+ */
+const createNameTable = (name) => {
+  const postScriptName = name.replace(/[^\x21-\x7e]|[[\](){}<>/%]/g, '');
+  const records = [
+    [1, name],
+    [2, 'Regular'],
+    [3, `${name} Regular`],
+    [4, name],
+    [5, 'Version 1.0'],
+    [6, postScriptName || 'icons'],
+  ];
+  const strings = records.map(([, value]) => {
+    const bytes = new Uint8Array(value.length * 2);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < value.length; i++) {
+      view.setUint16(i * 2, value.charCodeAt(i));
+    }
+    return bytes;
+  });
+  const storageOffset = 6 + records.length * 12;
+  const length =
+    storageOffset + strings.reduce((sum, bytes) => sum + bytes.length, 0);
+  return createTable(length, (view) => {
+    view.setUint16(0, 0);
+    view.setUint16(2, records.length);
+    view.setUint16(4, storageOffset);
+    let stringOffset = 0;
+    records.forEach(([nameID], i) => {
+      const offset = 6 + i * 12;
+      // Windows, Unicode BMP, US English.
+      view.setUint16(offset, 3);
+      view.setUint16(offset + 2, 1);
+      view.setUint16(offset + 4, 0x409);
+      view.setUint16(offset + 6, nameID);
+      view.setUint16(offset + 8, strings[i].length);
+      view.setUint16(offset + 10, stringOffset);
+      new Uint8Array(view.buffer).set(strings[i], storageOffset + stringOffset);
+      stringOffset += strings[i].length;
+    });
+  });
+};
+
+/**
+ * Assemble tables into a TrueType font file
+ * @param {Object<string, Uint8Array>} tables - Tables by tag, with the
+ *     `head` table's checksum adjustment still zero
+ * @returns {Uint8Array} Font file
+ */
+const writeSFNT = (tables) => {
+  const tags = Object.keys(tables).sort();
+  const headerLength = 12 + tags.length * 16;
+  const length = tags.reduce(
+    (sum, tag) => sum + pad(tables[tag].length),
+    headerLength,
+  );
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  const { searchRange, entrySelector, rangeShift } = getSearchFields(
+    tags.length,
+    16,
+  );
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, tags.length);
+  view.setUint16(6, searchRange);
+  view.setUint16(8, entrySelector);
+  view.setUint16(10, rangeShift);
+  let offset = headerLength;
+  let headOffset = 0;
+  tags.forEach((tag, i) => {
+    const record = 12 + i * 16;
+    for (let j = 0; j < 4; j++) {
+      view.setUint8(record + j, tag.charCodeAt(j));
+    }
+    view.setUint32(record + 4, getTableChecksum(tables[tag]));
+    view.setUint32(record + 8, offset);
+    view.setUint32(record + 12, tables[tag].length);
+    bytes.set(tables[tag], offset);
+    if (tag === 'head') {
+      headOffset = offset;
+    }
+    offset += pad(tables[tag].length);
+  });
+  view.setUint32(
+    headOffset + 8,
+    (CHECKSUM_MAGIC - getTableChecksum(bytes)) >>> 0,
+  );
+  return bytes;
+};
+
+/**
+ * Create a TrueType icon font
+ * @param {Array<Array<Array<number[]>>>} glyphs - Contours of each icon, as
+ *     returned by `createGlyphContours()`
+ * @param {string} name - Font family name
+ * @returns {Uint8Array} Font file
+ */
+const createTTF = (glyphs, name) => {
+  // Glyph 0 is the empty `.notdef` glyph.
+  const encoded = [encodeGlyph([]), ...glyphs.map(encodeGlyph)];
+  const count = encoded.length;
+  const drawn = encoded.filter(({ points }) => points);
+  const xMin = Math.min(0, ...drawn.map((glyph) => glyph.xMin));
+  const yMin = Math.min(0, ...drawn.map((glyph) => glyph.yMin));
+  const xMax = Math.max(0, ...drawn.map((glyph) => glyph.xMax));
+  const yMax = Math.max(0, ...drawn.map((glyph) => glyph.yMax));
+  const maxPoints = Math.max(0, ...drawn.map(({ points }) => points));
+  const maxContours = Math.max(0, ...glyphs.map((contours) => contours.length));
+  const seconds = BigInt(Math.floor(Date.now() / 1000) + MAC_EPOCH_OFFSET);
+  const lastCodepoint = FIRST_CODEPOINT + glyphs.length - 1;
+
+  const glyf = new Uint8Array(
+    encoded.reduce((sum, { bytes }) => sum + bytes.length, 0),
+  );
+  const loca = createTable((count + 1) * 4, (view) => {
+    let offset = 0;
+    encoded.forEach(({ bytes }, i) => {
+      view.setUint32(i * 4, offset);
+      glyf.set(bytes, offset);
+      offset += bytes.length;
+    });
+    view.setUint32(count * 4, offset);
+  });
+
+  return writeSFNT({
+    head: createTable(54, (view) => {
+      view.setUint32(0, 0x00010000);
+      view.setUint32(4, 0x00010000);
+      view.setUint32(12, 0x5f0f3cf5);
+      // Baseline and left sidebearing at zero, integer scaling.
+      view.setUint16(16, 0x000b);
+      view.setUint16(18, UNITS_PER_EM);
+      view.setBigUint64(20, seconds);
+      view.setBigUint64(28, seconds);
+      view.setInt16(36, xMin);
+      view.setInt16(38, yMin);
+      view.setInt16(40, xMax);
+      view.setInt16(42, yMax);
+      view.setUint16(46, 8);
+      view.setInt16(48, 2);
+      // Long `loca` offsets.
+      view.setInt16(50, 1);
+    }),
+    hhea: createTable(36, (view) => {
+      view.setUint32(0, 0x00010000);
+      view.setInt16(4, ASCENT);
+      view.setInt16(6, -DESCENT);
+      view.setUint16(10, UNITS_PER_EM);
+      view.setInt16(12, xMin);
+      view.setInt16(14, UNITS_PER_EM - xMax);
+      view.setInt16(16, xMax);
+      view.setInt16(18, 1);
+      view.setUint16(34, count);
+    }),
+    maxp: createTable(32, (view) => {
+      view.setUint32(0, 0x00010000);
+      view.setUint16(4, count);
+      view.setUint16(6, maxPoints);
+      view.setUint16(8, maxContours);
+      view.setUint16(14, 2);
+    }),
+    'OS/2': createTable(96, (view) => {
+      view.setUint16(0, 4);
+      view.setInt16(2, UNITS_PER_EM);
+      view.setUint16(4, 400);
+      view.setUint16(6, 5);
+      // Subscript and superscript size and offset.
+      [650, 600, 0, 75, 650, 600, 0, 350].forEach((value, i) =>
+        view.setInt16(10 + i * 2, value),
+      );
+      view.setInt16(26, 50);
+      view.setInt16(28, 300);
+      // Private Use Area.
+      view.setUint32(46, 1 << 28);
+      [...'SVGc'].forEach((char, i) =>
+        view.setUint8(58 + i, char.charCodeAt(0)),
+      );
+      // Regular, and the typographic metrics are used for line spacing.
+      view.setUint16(62, 0x00c0);
+      view.setUint16(64, FIRST_CODEPOINT);
+      view.setUint16(66, lastCodepoint);
+      view.setInt16(68, ASCENT);
+      view.setInt16(70, -DESCENT);
+      view.setUint16(74, Math.max(ASCENT, yMax));
+      view.setUint16(76, Math.max(DESCENT, -yMin));
+      // Latin 1 code page.
+      view.setUint32(78, 1);
+    }),
+    hmtx: createTable(count * 4, (view) => {
+      encoded.forEach((glyph, i) => {
+        view.setUint16(i * 4, UNITS_PER_EM);
+        view.setInt16(i * 4 + 2, glyph.xMin);
+      });
+    }),
+    cmap: createCmapTable(glyphs.length),
+    loca,
+    glyf,
+    name: createNameTable(name),
+    post: createTable(32, (view) => {
+      // Version 3, without glyph names.
+      view.setUint32(0, 0x00030000);
+      view.setInt16(8, -75);
+      view.setInt16(10, 50);
+    }),
+  });
+};
+
+/**
+ * Wrap a TrueType font in a WOFF container, compressing each table when that
+ * makes it smaller
+ * @param {Uint8Array} ttf - Font file, as returned by `createTTF()`
+ * @returns {Promise<Uint8Array>} WOFF file
+ */
+const createWOFF = async (ttf) => {
+  const sfnt = new DataView(ttf.buffer, ttf.byteOffset, ttf.byteLength);
+  const numTables = sfnt.getUint16(4);
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const offset = sfnt.getUint32(record + 8);
+    const length = sfnt.getUint32(record + 12);
+    const data = ttf.subarray(offset, offset + length);
+    const compressed = await deflate(data);
+    tables.push({
+      tag: sfnt.getUint32(record),
+      checksum: sfnt.getUint32(record + 4),
+      length,
+      data: compressed && compressed.length < length ? compressed : data,
+    });
+  }
+  const headerLength = 44 + numTables * 20;
+  const length = tables.reduce(
+    (sum, { data }) => sum + pad(data.length),
+    headerLength,
+  );
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0x774f4646);
+  view.setUint32(4, 0x00010000);
+  view.setUint32(8, length);
+  view.setUint16(12, numTables);
+  view.setUint32(16, ttf.length);
+  view.setUint16(20, 1);
+  let offset = headerLength;
+  tables.forEach(({ tag, checksum, length, data }, i) => {
+    const entry = 44 + i * 20;
+    view.setUint32(entry, tag);
+    view.setUint32(entry + 4, offset);
+    view.setUint32(entry + 8, data.length);
+    view.setUint32(entry + 12, length);
+    view.setUint32(entry + 16, checksum);
+    bytes.set(data, offset);
+    offset += pad(data.length);
+  });
+  return bytes;
+};
+
+/**
+ * Create a style sheet with a class per icon
+ * @param {string} name - Font family name
+ * @param {Array<{id: string, codepoint: number}>} icons - Icons
+ * @returns {string} CSS
+ */
+const createFontCSS = (name, icons) => `@font-face {
+  font-family: '${name}';
+  src:
+    url('${name}.woff') format('woff'),
+    url('${name}.ttf') format('truetype');
+  font-weight: normal;
+  font-style: normal;
+  font-display: block;
+}
+
+[class^='${name}-'],
+[class*=' ${name}-'] {
+  font-family: '${name}' !important;
+  font-style: normal;
+  font-weight: normal;
+  font-variant: normal;
+  line-height: 1;
+  text-transform: none;
+  speak: never;
+  -webkit-font-smoothing: antialiased;
+  -moz-osx-font-smoothing: grayscale;
+}
+${icons
+  .map(
+    ({ id, codepoint }) => `
+.${name}-${id}::before {
+  content: '\\${codepoint.toString(16)}';
+}
+`,
+  )
+  .join('')}`;
+
+/**
+ * Create an icon font from batch results
+ *
+ * There is no WOFF2 file, as WOFF2 requires Brotli compression, which
+ * `CompressionStream` doesn't offer. Every browser that reads WOFF2 also
+ * reads WOFF.
+ * @param {Array<{fileName: string, svg: string|null}>} results - Batch results,
+ *     as returned by `batchProcess()`; failed files are skipped
+ * @param {Object} options - Font options
+ * @param {string} options.name - Font family name, also the CSS class prefix
+ * @returns {Promise<Array<{name: string, data: Uint8Array|string}>>} TTF,
+ *     WOFF, CSS, and JSON code point map files
+ */
+const createIconFont = async (results, { name = 'icons' } = {}) => {
+  const usedIDs = new Set();
+  const icons = [];
+  const glyphs = [];
+  for (const { fileName, svg } of results) {
+    if (!svg) {
+      continue;
+    }
+    icons.push({
+      id: getSymbolID(fileName, usedIDs),
+      codepoint: FIRST_CODEPOINT + glyphs.length,
+    });
+    glyphs.push(createGlyphContours(svg));
+  }
+  if (!glyphs.some((contours) => contours.length)) {
+    throw new Error(i18n.t('noSpriteIcons'));
+  }
+  const ttf = createTTF(glyphs, name);
+  const codepoints = Object.fromEntries(
+    icons.map(({ id, codepoint }) => [id, codepoint]),
+  );
+  return [
+    { name: `${name}.ttf`, data: ttf },
+    { name: `${name}.woff`, data: await createWOFF(ttf) },
+    { name: `${name}.css`, data: createFontCSS(name, icons) },
+    { name: `${name}.json`, data: `${JSON.stringify(codepoints, null, 2)}\n` },
+  ];
+};
+
+/**
+ * Save batch results as an icon font with its style sheet and code point map
+ * @param {Array<{fileName: string, svg: string|null}>} results - Batch results
+ * @param {Object} options - Font options, see `createIconFont()`
+ */
+const exportIconFont = async (results, options = {}) => {
+  try {
+    const files = await createIconFont(results, options);
+    const saved = await saveBlob(
+      createZip(files),
+      `${options.name || 'icons'}.zip`,
+      {
+        description: 'ZIP archive',
+        mimeType: 'application/zip',
+        extension: '.zip',
+      },
+    );
+    if (saved) {
+      showToast(i18n.t('exportedIconFont'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportIconFont };
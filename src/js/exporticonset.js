@@ -0,0 +1,281 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { svgToPNG, createICO, saveBlob } from './export.js';
+import { createZip } from './zip.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const FAVICON_ICO_SIZES = [16, 32, 48];
+const APPLE_TOUCH_ICON_SIZE = 180;
+const MANIFEST_ICON_SIZES = [192, 512];
+// Maskable icons may be cropped to any shape that contains a centered circle
+// of 80% of the icon size, see https://w3c.github.io/manifest/#icon-masks.
+const MASKABLE_SAFE_ZONE = 0.8;
+const APPLE_TOUCH_ICON_PADDING = 0.1;
+
+const MASKABLE_SHAPES = [
+  { name: 'maskSafeZone', borderRadius: '0' },
+  { name: 'maskCircle', borderRadius: '50%' },
+  { name: 'maskSquircle', borderRadius: '30%' },
+  { name: 'maskRoundedSquare', borderRadius: '15%' },
+  { name: 'maskTeardrop', borderRadius: '50% 50% 50% 10%' },
+];
+
+/**
+ * Measure the bounding box of what an SVG actually draws
+ * @param {string} svg - SVG string
+ * @returns {{x: number, y: number, width: number, height: number}} Bounding box
+ */
+const getContentBBox = (svg) => {
+  const container = document.createElement('div');
+  container.style.position = 'absolute';
+  container.style.visibility = 'hidden';
+  container.innerHTML = svg;
+  document.body.append(container);
+  const { x, y, width, height } = container.querySelector('svg').getBBox();
+  container.remove();
+  return { x, y, width, height };
+};
+
+/**
+ * Place the content of an SVG on a square icon canvas
+ * @param {string} svg - SVG string
+ * @param {Object} bbox - Content bounding box in SVG user units
+ * @param {number} size - Icon size
+ * @param {Object} options - Layout options
+ * @param {number} options.padding - Padding as a fraction of the icon size
+ * @param {boolean} options.safeZone - Fit the content into the maskable safe zone
+ * @param {string} options.background - Background color, if any
+ * @returns {string} Icon SVG string
+ */
+const layoutIcon = (
+  svg,
+  bbox,
+  size,
+  { padding = 0, safeZone = false, background = '' } = {},
+) => {
+  const available = size * (safeZone ? MASKABLE_SAFE_ZONE : 1 - 2 * padding);
+  // In the safe zone the content's corners must stay inside the circle.
+  const extent = safeZone
+    ? Math.hypot(bbox.width, bbox.height)
+    : Math.max(bbox.width, bbox.height);
+  const scale = available / (extent || 1);
+  const width = bbox.width * scale;
+  const height = bbox.height * scale;
+  const content = svg.replace(/<svg[^>]*>/, (openingTag) =>
+    openingTag
+      .replace(
+        /\s(?:x|y|width|height|viewBox|preserveAspectRatio)="[^"]*"/g,
+        '',
+      )
+      .replace(
+        '<svg',
+        `<svg x="${(size - width) / 2}" y="${(size - height) / 2}" width="${width}" height="${height}" viewBox="${bbox.x} ${bbox.y} ${bbox.width} ${bbox.height}"`,
+      ),
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}">${
+    background
+      ? `<rect width="${size}" height="${size}" fill="${background}"/>`
+      : ''
+  }${content}</svg>`;
+};
+
+/**
+ * Add a `prefers-color-scheme: dark` variant to a favicon
+ * @param {string} svg - SVG string
+ * @returns {string} SVG string with an embedded dark mode style
+ */
+const addDarkVariant = (svg) => {
+  // Inverting and rotating the hue by 180° flips the lightness of every color
+  // while keeping its hue, so dark marks become light on dark browser chrome.
+  const style =
+    '<style>@media (prefers-color-scheme: dark) { .favicon { filter: invert(1) hue-rotate(180deg); } }</style>';
+  return svg
+    .replace(/(<svg[^>]*>)/, `$1${style}<g class="favicon">`)
+    .replace(/<\/svg>\s*$/, '</g></svg>');
+};
+
+/**
+ * Create the web app manifest `icons` snippet
+ * @returns {string} JSON string
+ */
+const createManifestSnippet = () => {
+  const icons = [
+    ...MANIFEST_ICON_SIZES.map((size) => ({
+      src: `/icon-${size}.png`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+    })),
+    ...MANIFEST_ICON_SIZES.map((size) => ({
+      src: `/icon-maskable-${size}.png`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+      purpose: 'maskable',
+    })),
+  ];
+  return `${JSON.stringify({ icons }, null, 2)}\n`;
+};
+
+/**
+ * Create the HTML `<link>` snippet
+ * @returns {string} HTML string
+ */
+const createHeadSnippet = () => {
+  return [
+    '<link rel="icon" href="/favicon.ico" sizes="32x32">',
+    '<link rel="icon" href="/favicon.svg" type="image/svg+xml">',
+    '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+    '<link rel="manifest" href="/manifest.webmanifest">',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render all icons of a web app icon package
+ * @param {string} svg - SVG string
+ * @param {Object} options - Icon options
+ * @param {boolean} options.darkVariant - Add a dark mode favicon variant
+ * @param {string} options.background - Background color for opaque icons
+ * @returns {Promise<Blob>} ZIP blob
+ */
+const createIconSet = async (svg, { darkVariant, background }) => {
+  const bbox = getContentBBox(svg);
+  const render = (size, options) =>
+    svgToPNG(layoutIcon(svg, bbox, size, options), size, size);
+
+  const files = [
+    { name: 'favicon.svg', data: darkVariant ? addDarkVariant(svg) : svg },
+    {
+      name: 'favicon.ico',
+      data: await createICO(layoutIcon(svg, bbox, 256), FAVICON_ICO_SIZES),
+    },
+    {
+      name: 'apple-touch-icon.png',
+      data: await render(APPLE_TOUCH_ICON_SIZE, {
+        padding: APPLE_TOUCH_ICON_PADDING,
+        background,
+      }),
+    },
+  ];
+  for (const size of MANIFEST_ICON_SIZES) {
+    files.push({ name: `icon-${size}.png`, data: await render(size) });
+  }
+  for (const size of MANIFEST_ICON_SIZES) {
+    files.push({
+      name: `icon-maskable-${size}.png`,
+      data: await render(size, { safeZone: true, background }),
+    });
+  }
+  files.push(
+    { name: 'manifest.webmanifest', data: createManifestSnippet() },
+    { name: 'head.html', data: createHeadSnippet() },
+  );
+  return createZip(files);
+};
+
+/**
+ * Show how the maskable icon gets cropped by common launcher shapes
+ * @param {string} url - Object URL of the maskable icon
+ * @returns {Promise<boolean>} Whether the user confirmed the export
+ */
+const previewMaskableIcon = (url) => {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('dialog');
+    dialog.classList.add('icon-preview');
+    const heading = document.createElement('h2');
+    heading.textContent = i18n.t('maskablePreview');
+    dialog.append(heading);
+
+    const shapes = document.createElement('div');
+    shapes.classList.add('icon-preview-shapes');
+    for (const { name, borderRadius } of MASKABLE_SHAPES) {
+      const figure = document.createElement('figure');
+      if (name === 'maskSafeZone') {
+        figure.classList.add('safe-zone');
+      }
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = '';
+      img.style.borderRadius = borderRadius;
+      const caption = document.createElement('figcaption');
+      caption.textContent = i18n.t(name);
+      figure.append(img, caption);
+      shapes.append(figure);
+    }
+    dialog.append(shapes);
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+    const cancelButton = document.createElement('button');
+    cancelButton.value = 'cancel';
+    cancelButton.textContent = i18n.t('cancel');
+    const exportButton = document.createElement('button');
+    exportButton.value = 'export';
+    exportButton.textContent = i18n.t('export');
+    form.append(cancelButton, exportButton);
+    dialog.append(form);
+
+    dialog.addEventListener('close', () => {
+      dialog.remove();
+      resolve(dialog.returnValue === 'export');
+    });
+    document.body.append(dialog);
+    dialog.showModal();
+  });
+};
+
+/**
+ * Export a web app icon package
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {Object} options - Icon options, see `createIconSet()`
+ */
+const exportIconSet = async (svg, fileName, options) => {
+  try {
+    const bbox = getContentBBox(svg);
+    const maskable = await svgToPNG(
+      layoutIcon(svg, bbox, 512, {
+        safeZone: true,
+        background: options.background,
+      }),
+      512,
+      512,
+    );
+    const url = URL.createObjectURL(maskable);
+    const confirmed = await previewMaskableIcon(url);
+    URL.revokeObjectURL(url);
+    if (!confirmed) {
+      return;
+    }
+    const saved = await saveBlob(createIconSet(svg, options), fileName, {
+      description: 'ZIP archive',
+      mimeType: 'application/zip',
+      extension: '.zip',
+    });
+    if (saved) {
+      showToast(i18n.t('exportedIconSet'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportIconSet };
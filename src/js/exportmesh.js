@@ -0,0 +1,694 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { getSVGShapes } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { createZip } from './zip.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const MM_PER_INCH = 25.4;
+const BASE_PLATE_MARGIN_MM = 2;
+const STL_HEADER_SIZE = 80;
+const STL_TRIANGLE_SIZE = 50;
+const MODEL_NAMESPACE =
+  'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+
+/**
+ * Compute the signed area of a ring, positive if counter-clockwise with the
+ * y axis pointing up
+ * @param {Array<number[]>} ring - Points
+ * @returns {number} Signed area
+ */
+const getSignedArea = (ring) => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area / 2;
+};
+
+/**
+ * Test whether a point lies inside a ring
+ * @param {number[]} point - `[x, y]`
+ * @param {Array<number[]>} ring - Points
+ * @returns {boolean} Whether the point is inside
+ */
+const isPointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Group the rings of one shape into polygons with holes, following the
+ * shape's fill rule
+ *
+ * For each ring, the winding number just inside and just outside of it is
+ * derived from the rings that contain it. Rings with filled area inside and
+ * empty area outside are outlines, the reverse are holes, and all others
+ * separate two equally filled areas and can be dropped. This assumes rings
+ * don't cross, which holds for traced output.
+ * @param {Array<Array<number[]>>} rings - Closed rings in y-up coordinates
+ * @param {string} fillRule - `'nonzero'` or `'evenodd'`
+ * @returns {Array<Array<Array<number[]>>>} Polygons, each an outline oriented
+ *     counter-clockwise followed by its holes oriented clockwise
+ */
+const getPolygons = (rings, fillRule) => {
+  const entries = rings
+    .filter((ring) => ring.length >= 3)
+    .map((ring) => {
+      const area = getSignedArea(ring);
+      return { ring, area: Math.abs(area), sign: Math.sign(area) };
+    })
+    .filter(({ area }) => area > 0);
+  const isFilled = (winding, count) =>
+    fillRule === 'evenodd' ? count % 2 === 1 : winding !== 0;
+  const outlines = [];
+  const holes = [];
+  for (const entry of entries) {
+    let winding = 0;
+    let count = 0;
+    for (const other of entries) {
+      if (
+        other !== entry &&
+        other.area > entry.area &&
+        isPointInRing(entry.ring[0], other.ring)
+      ) {
+        winding += other.sign;
+        count++;
+      }
+    }
+    const filledOutside = isFilled(winding, count);
+    const filledInside = isFilled(winding + entry.sign, count + 1);
+    if (filledInside && !filledOutside) {
+      outlines.push(entry);
+    } else if (!filledInside && filledOutside) {
+      holes.push(entry);
+    }
+  }
+  const polygons = outlines.map((outline) => ({
+    ...outline,
+    holes: [],
+  }));
+  for (const hole of holes) {
+    let parent = null;
+    for (const polygon of polygons) {
+      if (
+        polygon.area > hole.area &&
+        (!parent || polygon.area < parent.area) &&
+        isPointInRing(hole.ring[0], polygon.ring)
+      ) {
+        parent = polygon;
+      }
+    }
+    if (parent) {
+      parent.holes.push(hole);
+    }
+  }
+  return polygons.map(({ ring, sign, holes }) => [
+    sign > 0 ? ring : [...ring].reverse(),
+    ...holes.map((hole) =>
+      hole.sign < 0 ? hole.ring : [...hole.ring].reverse(),
+    ),
+  ]);
+};
+
+/**
+ * Create a circular doubly linked list of ring points
+ * @param {Array<number[]>} ring - Points
+ * @returns {Object} Any node of the list
+ */
+const createNodeList = (ring) => {
+  let last = null;
+  for (const [x, y] of ring) {
+    const node = { x, y, prev: last, next: null };
+    if (last) {
+      last.next = node;
+    }
+    last = node;
+  }
+  let first = last;
+  while (first.prev) {
+    first = first.prev;
+  }
+  first.prev = last;
+  last.next = first;
+  return first;
+};
+
+/**
+ * Twice the signed area of the triangle `a`, `b`, `c`
+ * @param {{x: number, y: number}} a - First point
+ * @param {{x: number, y: number}} b - Second point
+ * @param {{x: number, y: number}} c - Third point
+ * @returns {number} Positive if counter-clockwise
+ */
+const cross = (a, b, c) =>
+  (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+/**
+ * Test whether a point lies inside or on a counter-clockwise triangle
+ * @param {{x: number, y: number}} p - Point
+ * @param {{x: number, y: number}} a - First corner
+ * @param {{x: number, y: number}} b - Second corner
+ * @param {{x: number, y: number}} c - Third corner
+ * @returns {boolean} Whether the point is inside
+ */
+const isPointInTriangle = (p, a, b, c) =>
+  cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+/**
+ * Connect a clockwise hole to the counter-clockwise outline it lies in, so
+ * both form one simple polygon
+ *
+ * The bridge runs from the hole's rightmost point to a visible outline point,
+ * found as described in David Eberly's "Triangulation by Ear Clipping".
+ * @param {Object} outline - Any node of the outline list
+ * @param {Object} hole - Any node of the hole list
+ * @returns {boolean} Whether a bridge was found
+ */
+const bridgeHole = (outline, hole) => {
+  let m = hole;
+  for (let node = hole.next; node !== hole; node = node.next) {
+    if (node.x > m.x) {
+      m = node;
+    }
+  }
+  // Cast a ray from the hole to the right and find the closest edge it hits.
+  let closestX = Infinity;
+  let p = null;
+  let node = outline;
+  do {
+    const { next } = node;
+    // With the material to the left of each edge, only upward edges can
+    // bound the area to the right of the hole.
+    if (node.y <= m.y && next.y >= m.y && node.y !== next.y) {
+      const x =
+        node.x + ((m.y - node.y) * (next.x - node.x)) / (next.y - node.y);
+      if (x >= m.x && x < closestX) {
+        closestX = x;
+        p = node.x > next.x ? node : next;
+      }
+    }
+    node = next;
+  } while (node !== outline);
+  if (!p) {
+    return false;
+  }
+  // Points inside the triangle between the ray hit and `p` may block the
+  // bridge. Prefer the one with the smallest angle to the ray.
+  const hit = { x: closestX, y: m.y };
+  const [a, c] = p.y < m.y ? [p, hit] : [hit, p];
+  let bestTan = Infinity;
+  let candidate = p;
+  node = outline;
+  do {
+    if (
+      node !== p &&
+      node.x >= m.x &&
+      isPointInTriangle(node, m, a, c) &&
+      cross(node.prev, node, node.next) <= 0
+    ) {
+      const tan = Math.abs(m.y - node.y) / (node.x - m.x || Infinity);
+      if (tan < bestTan || (tan === bestTan && node.x < candidate.x)) {
+        bestTan = tan;
+        candidate = node;
+      }
+    }
+    node = node.next;
+  } while (node !== outline);
+  // Split the outline at the bridge, duplicating both of its ends.
+  const candidate2 = { x: candidate.x, y: candidate.y };
+  const m2 = { x: m.x, y: m.y };
+  const candidateNext = candidate.next;
+  const mPrev = m.prev;
+  candidate.next = m;
+  m.prev = candidate;
+  candidate2.next = candidateNext;
+  candidateNext.prev = candidate2;
+  m2.next = candidate2;
+  candidate2.prev = m2;
+  mPrev.next = m2;
+  m2.prev = mPrev;
+  return true;
+};
+
+/**
+ * Test whether a node is an ear, i.e., convex and with no other point of the
+ * polygon inside the triangle it forms with its neighbors
+ * @param {Object} ear - Node
+ * @returns {boolean} Whether the node can be clipped
+ */
+const isEar = (ear) => {
+  const { prev: a, next: c } = ear;
+  if (cross(a, ear, c) <= 0) {
+    return false;
+  }
+  for (let node = c.next; node !== a; node = node.next) {
+    const isCorner = [a, ear, c].some(
+      (corner) => corner.x === node.x && corner.y === node.y,
+    );
+    if (!isCorner && isPointInTriangle(node, a, ear, c)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Triangulate a polygon with holes by ear clipping
+ * @param {Array<Array<number[]>>} polygon - Counter-clockwise outline
+ *     followed by clockwise holes
+ * @returns {Array<Array<number[]>>} Counter-clockwise triangles
+ */
+const triangulate = ([outline, ...holes]) => {
+  let node = createNodeList(outline);
+  // Bridge holes from right to left, so earlier bridges can't block later
+  // ones.
+  const holeLists = holes
+    .map((hole) => ({
+      list: createNodeList(hole),
+      length: hole.length,
+      maxX: Math.max(...hole.map(([x]) => x)),
+    }))
+    .sort((a, b) => b.maxX - a.maxX);
+  let remaining = outline.length;
+  for (const { list, length } of holeLists) {
+    if (bridgeHole(node, list)) {
+      remaining += length + 2;
+    }
+  }
+  const triangles = [];
+  let stop = node;
+  while (remaining > 3) {
+    const { prev, next } = node;
+    const degenerate = cross(prev, node, next) === 0;
+    if (degenerate || isEar(node)) {
+      if (!degenerate) {
+        triangles.push([
+          [prev.x, prev.y],
+          [node.x, node.y],
+          [next.x, next.y],
+        ]);
+      }
+      prev.next = next;
+      next.prev = prev;
+      remaining--;
+      node = next;
+      stop = next;
+      continue;
+    }
+    node = next;
+    if (node === stop) {
+      // No ear left, which only happens with self-touching input. Clip the
+      // current convex corner regardless to make progress.
+      while (cross(node.prev, node, node.next) <= 0 && node.next !== stop) {
+        node = node.next;
+      }
+      const { prev: a, next: c } = node;
+      triangles.push([
+        [a.x, a.y],
+        [node.x, node.y],
+        [c.x, c.y],
+      ]);
+      a.next = c;
+      c.prev = a;
+      remaining--;
+      node = c;
+      stop = c;
+    }
+  }
+  if (remaining === 3 && cross(node.prev, node, node.next) > 0) {
+    const { prev, next } = node;
+    triangles.push([
+      [prev.x, prev.y],
+      [node.x, node.y],
+      [next.x, next.y],
+    ]);
+  }
+  return triangles;
+};
+
+/**
+ * Extrude a polygon with holes into a closed solid
+ * @param {Array<Array<number[]>>} polygon - Counter-clockwise outline
+ *     followed by clockwise holes
+ * @param {number} bottom - Bottom z
+ * @param {number} top - Top z
+ * @returns {Array<Array<number[]>>} Triangles with outward normals by the
+ *     right-hand rule
+ */
+const extrudePolygon = (polygon, bottom, top) => {
+  const triangles = [];
+  for (const [a, b, c] of triangulate(polygon)) {
+    triangles.push(
+      [
+        [...a, top],
+        [...b, top],
+        [...c, top],
+      ],
+      [
+        [...a, bottom],
+        [...c, bottom],
+        [...b, bottom],
+      ],
+    );
+  }
+  // Outlines run counter-clockwise and holes clockwise, so the material is
+  // always to the left of each edge.
+  for (const ring of polygon) {
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      triangles.push(
+        [
+          [...a, bottom],
+          [...b, bottom],
+          [...b, top],
+        ],
+        [
+          [...a, bottom],
+          [...b, top],
+          [...a, top],
+        ],
+      );
+    }
+  }
+  return triangles;
+};
+
+/**
+ * Extrude the filled regions of an SVG into solids, one per fill color
+ * @param {string} svg - SVG string
+ * @param {Object} options - Extrusion options
+ * @param {string} options.units - Units of `width`, `'mm'` or `'inch'`
+ * @param {number} options.width - Physical width of the model
+ * @param {number} options.height - Extrusion height in millimeters
+ * @param {number} options.colorOffset - Extra height per color layer in
+ *     millimeters, stacking later colors on top of earlier ones
+ * @param {boolean} options.basePlate - Add a plate below all regions
+ * @param {number} options.baseHeight - Base plate height in millimeters
+ * @param {number} options.tolerance - Curve flattening tolerance in pixels
+ * @returns {Array<{color: string, triangles: Array<Array<number[]>>}>} Solids
+ *     in millimeters
+ */
+const createMeshes = (
+  svg,
+  {
+    units = 'mm',
+    width = 100,
+    height = 3,
+    colorOffset = 0,
+    basePlate = false,
+    baseHeight = 1,
+    tolerance = 0.1,
+  } = {},
+) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const scale =
+    (width * (units === 'inch' ? MM_PER_INCH : 1)) / (viewBox.width || 1);
+  // Flip the y axis, since 3D printing uses a right-handed, z-up system.
+  const toModel = ([x, y]) => [
+    (x - viewBox.x) * scale,
+    (viewBox.y + viewBox.height - y) * scale,
+  ];
+  const layers = [];
+  for (const shape of shapes) {
+    if (!shape.fill || !shape.commands.length) {
+      continue;
+    }
+    const color = `#${shape.fill
+      .map((c) => c.toString(16).padStart(2, '0'))
+      .join('')}`;
+    const rings = flattenPathCommands(shape.commands, tolerance).map(
+      ({ points }) => points.map(toModel),
+    );
+    const polygons = getPolygons(rings, shape.fillRule);
+    let layer = layers.find((candidate) => candidate.color === color);
+    if (!layer) {
+      layer = { color, polygons: [] };
+      layers.push(layer);
+    }
+    layer.polygons.push(...polygons);
+  }
+  if (!layers.some(({ polygons }) => polygons.length)) {
+    throw new Error(i18n.t('noFilledRegions'));
+  }
+  const plateHeight = basePlate ? baseHeight : 0;
+  const meshes = layers.map(({ color, polygons }, i) => {
+    // Regions start at the bottom, so they overlap the base plate instead of
+    // sharing its top face, which slicers merge more reliably.
+    const top =
+      plateHeight + height + (layers.length > 1 ? i * colorOffset : 0);
+    return {
+      color,
+      triangles: polygons.flatMap((polygon) => extrudePolygon(polygon, 0, top)),
+    };
+  });
+  if (basePlate) {
+    const points = layers.flatMap(({ polygons }) =>
+      polygons.flatMap(([outline]) => outline),
+    );
+    // Reduce instead of spreading, which overflows the stack for large
+    // traces.
+    const minX =
+      points.reduce((min, [x]) => Math.min(min, x), Infinity) -
+      BASE_PLATE_MARGIN_MM;
+    const minY =
+      points.reduce((min, [, y]) => Math.min(min, y), Infinity) -
+      BASE_PLATE_MARGIN_MM;
+    const maxX =
+      points.reduce((max, [x]) => Math.max(max, x), -Infinity) +
+      BASE_PLATE_MARGIN_MM;
+    const maxY =
+      points.reduce((max, [, y]) => Math.max(max, y), -Infinity) +
+      BASE_PLATE_MARGIN_MM;
+    const plate = [
+      [minX, minY],
+      [maxX, minY],
+      [maxX, maxY],
+      [minX, maxY],
+    ];
+    meshes.unshift({
+      color: layers[0].color,
+      triangles: extrudePolygon([plate], 0, plateHeight),
+    });
+  }
+  return meshes;
+};
+
+/**
+ * Compute the unit normal of a triangle
+ * @param {Array<number[]>} triangle - Three `[x, y, z]` vertices
+ * @returns {number[]} `[x, y, z]`
+ */
+const getNormal = ([a, b, c]) => {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const n = [
+    u[1] * v[2] - u[2] * v[1],
+    u[2] * v[0] - u[0] * v[2],
+    u[0] * v[1] - u[1] * v[0],
+  ];
+  const length = Math.hypot(...n) || 1;
+  return n.map((value) => value / length);
+};
+
+/**
+ * Write a binary STL
+ * @param {Array<{triangles: Array<Array<number[]>>}>} meshes - Solids
+ * @returns {ArrayBuffer} STL data
+ */
+const createBinarySTL = (meshes) => {
+  const triangles = meshes.flatMap((mesh) => mesh.triangles);
+  const buffer = new ArrayBuffer(
+    STL_HEADER_SIZE + 4 + triangles.length * STL_TRIANGLE_SIZE,
+  );
+  new Uint8Array(buffer).set(new TextEncoder().encode('SVGcode STL export'));
+  const view = new DataView(buffer);
+  view.setUint32(STL_HEADER_SIZE, triangles.length, true);
+  let offset = STL_HEADER_SIZE + 4;
+  for (const triangle of triangles) {
+    for (const value of [...getNormal(triangle), ...triangle.flat()]) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    // Attribute byte count, unused.
+    offset += 2;
+  }
+  return buffer;
+};
+
+/**
+ * Write an ASCII STL
+ * @param {Array<{triangles: Array<Array<number[]>>}>} meshes - Solids
+ * @param {string} name - Solid name
+ * @returns {string} STL source
+ */
+const createASCIISTL = (meshes, name) => {
+  const n = (value) => value.toExponential(6);
+  const lines = [`solid ${name}`];
+  for (const triangle of meshes.flatMap((mesh) => mesh.triangles)) {
+    lines.push(
+      `  facet normal ${getNormal(triangle).map(n).join(' ')}`,
+      '    outer loop',
+      ...triangle.map((vertex) => `      vertex ${vertex.map(n).join(' ')}`),
+      '    endloop',
+      '  endfacet',
+    );
+  }
+  lines.push(`endsolid ${name}`, '');
+  return lines.join('\n');
+};
+
+/**
+ * Write a 3MF package with one colored object per solid
+ * @param {Array<{color: string, triangles: Array<Array<number[]>>}>} meshes -
+ *     Solids
+ * @returns {Promise<Blob>} 3MF blob
+ */
+const create3MF = (meshes) => {
+  const colors = [...new Set(meshes.map(({ color }) => color.toUpperCase()))];
+  const objects = meshes.map(({ color, triangles }, i) => {
+    // 3MF meshes are indexed, and shared vertices keep them watertight.
+    const indices = new Map();
+    const vertices = [];
+    const faces = triangles.map((triangle) =>
+      triangle.map((vertex) => {
+        const key = vertex.map((value) => +value.toFixed(5)).join(' ');
+        if (!indices.has(key)) {
+          indices.set(key, vertices.length);
+          vertices.push(key.split(' '));
+        }
+        return indices.get(key);
+      }),
+    );
+    return [
+      `    <object id="${i + 2}" type="model" pid="1" pindex="${colors.indexOf(
+        color.toUpperCase(),
+      )}">`,
+      '      <mesh>',
+      '        <vertices>',
+      ...vertices.map(
+        ([x, y, z]) => `          <vertex x="${x}" y="${y}" z="${z}" />`,
+      ),
+      '        </vertices>',
+      '        <triangles>',
+      ...faces.map(
+        ([v1, v2, v3]) =>
+          `          <triangle v1="${v1}" v2="${v2}" v3="${v3}" />`,
+      ),
+      '        </triangles>',
+      '      </mesh>',
+      '    </object>',
+    ].join('\n');
+  });
+  const model = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<model unit="millimeter" xml:lang="en-US" xmlns="${MODEL_NAMESPACE}">`,
+    '  <resources>',
+    '    <basematerials id="1">',
+    ...colors.map(
+      (color) => `      <base name="${color}" displaycolor="${color}" />`,
+    ),
+    '    </basematerials>',
+    ...objects,
+    '  </resources>',
+    '  <build>',
+    ...meshes.map((_, i) => `    <item objectid="${i + 2}" />`),
+    '  </build>',
+    '</model>',
+    '',
+  ].join('\n');
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />
+</Types>
+`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />
+</Relationships>
+`,
+    },
+    { name: '3D/3dmodel.model', data: model },
+  ]);
+};
+
+/**
+ * Export SVG as an extruded STL or 3MF model
+ * @param {string} svg - SVG string
+ * @param {string} fileName - Suggested file name
+ * @param {string} format - `'stl'` or `'3mf'`
+ * @param {Object} options - Extrusion options, see `createMeshes()`, plus
+ *     `ascii` to write a text STL
+ */
+const exportMesh = async (svg, fileName, format, options) => {
+  try {
+    const meshes = createMeshes(svg, options);
+    let blob;
+    if (format === '3mf') {
+      blob = create3MF(meshes);
+    } else if (options.ascii) {
+      blob = new Blob([createASCIISTL(meshes, 'svgcode')], {
+        type: 'model/stl',
+      });
+    } else {
+      blob = new Blob([createBinarySTL(meshes)], { type: 'model/stl' });
+    }
+    const saved = await saveBlob(
+      blob,
+      fileName,
+      format === '3mf'
+        ? {
+            description: '3MF model',
+            mimeType: 'model/3mf',
+            extension: '.3mf',
+          }
+        : {
+            description: 'STL model',
+            mimeType: 'model/stl',
+            extension: '.stl',
+          },
+    );
+    if (saved) {
+      showToast(i18n.t(format === '3mf' ? 'exported3MF' : 'exportedSTL'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportMesh, getPolygons, getSignedArea };
@@ -0,0 +1,400 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { getSVGShapes, commandsToPathData } from './svgpaths.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const NATIVE_FILE_TYPES = {
+  swiftui: {
+    description: 'Swift source',
+    mimeType: 'text/x-swift',
+    extension: '.swift',
+  },
+  flutter: {
+    description: 'Dart source',
+    mimeType: 'text/x-dart',
+    extension: '.dart',
+  },
+  xaml: {
+    description: 'XAML resource dictionary',
+    mimeType: 'application/xaml+xml',
+    extension: '.xaml',
+  },
+};
+
+const FLUTTER_STROKE_CAPS = { butt: 'butt', round: 'round', square: 'square' };
+const FLUTTER_STROKE_JOINS = { miter: 'miter', round: 'round', bevel: 'bevel' };
+const SWIFTUI_LINE_CAPS = { butt: '.butt', round: '.round', square: '.square' };
+const SWIFTUI_LINE_JOINS = {
+  miter: '.miter',
+  round: '.round',
+  bevel: '.bevel',
+};
+const XAML_LINE_JOINS = { miter: 'Miter', round: 'Round', bevel: 'Bevel' };
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Number with at most three decimals
+ */
+const formatNumber = (value) => String(+value.toFixed(3));
+
+/**
+ * Format a color as hex digits, with the alpha channel first
+ * @param {number[]} rgb - `[r, g, b]`
+ * @param {number} opacity - Opacity between 0 and 1
+ * @returns {string} `AARRGGBB` in upper case
+ */
+const toARGBHex = (rgb, opacity = 1) =>
+  [Math.round(Math.min(1, Math.max(0, opacity)) * 255), ...rgb]
+    .map((c) => c.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+
+/**
+ * Collect paint layers with coordinates relative to the view box origin
+ *
+ * Consecutive shapes with the same paint are merged into one layer, so each
+ * color becomes one path while the stacking order is kept.
+ * @param {string} svg - SVG string
+ * @returns {{width: number, height: number, layers: Array<Object>}} Size and
+ *     layers with `commands`, `fill`, and `stroke` paint
+ */
+const getNativeLayers = (svg) => {
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const layers = [];
+  for (const shape of shapes) {
+    if (!shape.commands.length || !(shape.fill || shape.stroke)) {
+      continue;
+    }
+    const fill = shape.fill
+      ? {
+          color: toARGBHex(shape.fill, shape.fillOpacity),
+          evenOdd: shape.fillRule === 'evenodd',
+        }
+      : null;
+    const stroke =
+      shape.stroke && shape.strokeWidth > 0
+        ? {
+            color: toARGBHex(shape.stroke, shape.strokeOpacity),
+            width: shape.strokeWidth,
+            linecap: shape.strokeLinecap,
+            linejoin: shape.strokeLinejoin,
+          }
+        : null;
+    if (!fill && !stroke) {
+      continue;
+    }
+    const commands = shape.commands.map(({ type, values }) => ({
+      type,
+      values: values.map((value, i) =>
+        i % 2 ? value - viewBox.y : value - viewBox.x,
+      ),
+    }));
+    const key = JSON.stringify([fill, stroke]);
+    const previous = layers[layers.length - 1];
+    if (previous && previous.key === key) {
+      previous.commands.push(...commands);
+    } else {
+      layers.push({ key, fill, stroke, commands });
+    }
+  }
+  return { width: viewBox.width, height: viewBox.height, layers };
+};
+
+/**
+ * Convert path commands to calls of a path builder
+ * @param {Array<{type: string, values: number[]}>} commands - Absolute
+ *     M/L/C/Z commands
+ * @param {Object<string, function(string[]): string>} calls - Formatter per
+ *     command type, receiving the formatted coordinates
+ * @returns {string[]} One call per command
+ */
+const commandsToCalls = (commands, calls) =>
+  commands.map(({ type, values }) => calls[type](values.map(formatNumber)));
+
+/**
+ * Write a SwiftUI `Shape`, plus a `View` that paints each layer in its color
+ * @param {{width: number, height: number, layers: Array<Object>}} vector -
+ *     Vector as returned by `getNativeLayers()`
+ * @param {string} name - Type name in PascalCase
+ * @returns {string} Swift source
+ */
+const createSwiftUI = ({ width, height, layers }, name) => {
+  const point = (x, y) => `CGPoint(x: ${x}, y: ${y})`;
+  const calls = {
+    M: ([x, y]) => `path.move(to: ${point(x, y)})`,
+    L: ([x, y]) => `path.addLine(to: ${point(x, y)})`,
+    C: ([x1, y1, x2, y2, x, y]) =>
+      `path.addCurve(to: ${point(x, y)}, control1: ${point(x1, y1)}, control2: ${point(x2, y2)})`,
+    Z: () => 'path.closeSubpath()',
+  };
+  const color = (hex) => {
+    const [a, r, g, b] = hex.match(/../g).map((c) => parseInt(c, 16) / 255);
+    return `Color(.sRGB, red: ${formatNumber(r)}, green: ${formatNumber(g)}, blue: ${formatNumber(b)}, opacity: ${formatNumber(a)})`;
+  };
+  const lines = [
+    'import SwiftUI',
+    '',
+    `/// Traced shape, scaled to fill the proposed rectangle. Set \`layer\` to`,
+    '/// draw a single color layer, or leave it `nil` to draw all of them.',
+    `struct ${name}: Shape {`,
+    '    var layer: Int? = nil',
+    '',
+    `    static let size = CGSize(width: ${formatNumber(width)}, height: ${formatNumber(height)})`,
+    `    static let layerCount = ${layers.length}`,
+    '',
+    '    func path(in rect: CGRect) -> Path {',
+    '        var path = Path()',
+  ];
+  layers.forEach(({ commands }, i) => {
+    lines.push(`        if layer == nil || layer == ${i} {`);
+    lines.push(
+      ...commandsToCalls(commands, calls).map((call) => `            ${call}`),
+    );
+    lines.push('        }');
+  });
+  lines.push(
+    '        return path.applying(',
+    '            CGAffineTransform(translationX: rect.minX, y: rect.minY)',
+    `                .scaledBy(x: rect.width / Self.size.width, y: rect.height / Self.size.height)`,
+    '        )',
+    '    }',
+    '}',
+    '',
+    `struct ${name}View: View {`,
+    '    var body: some View {',
+    '        ZStack {',
+  );
+  layers.forEach(({ fill, stroke }, i) => {
+    if (fill) {
+      lines.push(
+        `            ${name}(layer: ${i})`,
+        `                .fill(${color(fill.color)}, style: FillStyle(eoFill: ${fill.evenOdd}))`,
+      );
+    }
+    if (stroke) {
+      lines.push(
+        `            ${name}(layer: ${i})`,
+        `                .stroke(${color(stroke.color)}, style: StrokeStyle(lineWidth: ${formatNumber(stroke.width)}, lineCap: ${SWIFTUI_LINE_CAPS[stroke.linecap] || '.butt'}, lineJoin: ${SWIFTUI_LINE_JOINS[stroke.linejoin] || '.miter'}))`,
+      );
+    }
+  });
+  lines.push(
+    '        }',
+    `        .aspectRatio(${name}.size, contentMode: .fit)`,
+    '    }',
+    '}',
+    '',
+  );
+  return lines.join('\n');
+};
+
+/**
+ * Write a Flutter `CustomPainter` with one `Paint` object per color
+ * @param {{width: number, height: number, layers: Array<Object>}} vector -
+ *     Vector as returned by `getNativeLayers()`
+ * @param {string} name - Class name prefix in PascalCase
+ * @returns {string} Dart source
+ */
+const createFlutter = ({ width, height, layers }, name) => {
+  const calls = {
+    M: ([x, y]) => `..moveTo(${x}, ${y})`,
+    L: ([x, y]) => `..lineTo(${x}, ${y})`,
+    C: (values) => `..cubicTo(${values.join(', ')})`,
+    Z: () => '..close()',
+  };
+  // Share paints between layers with the same color and style.
+  const paints = new Map();
+  const getPaint = (paint, isStroke) => {
+    const key = JSON.stringify([paint.color, isStroke && paint]);
+    if (!paints.has(key)) {
+      const lines = [
+        `  final _paint${paints.size} = Paint()`,
+        `    ..color = const Color(0x${paint.color})`,
+        `    ..style = PaintingStyle.${isStroke ? 'stroke' : 'fill'}`,
+      ];
+      if (isStroke) {
+        lines.push(
+          `    ..strokeWidth = ${formatNumber(paint.width)}`,
+          `    ..strokeCap = StrokeCap.${FLUTTER_STROKE_CAPS[paint.linecap] || 'butt'}`,
+          `    ..strokeJoin = StrokeJoin.${FLUTTER_STROKE_JOINS[paint.linejoin] || 'miter'}`,
+        );
+      }
+      lines[lines.length - 1] += ';';
+      paints.set(key, { name: `_paint${paints.size}`, lines });
+    }
+    return paints.get(key).name;
+  };
+  const body = [];
+  layers.forEach(({ fill, stroke, commands }, i) => {
+    body.push(`    final path${i} = Path()`);
+    if (fill && fill.evenOdd) {
+      body.push('      ..fillType = PathFillType.evenOdd');
+    }
+    body.push(
+      ...commandsToCalls(commands, calls).map((call) => `      ${call}`),
+    );
+    body[body.length - 1] += ';';
+    if (fill) {
+      body.push(`    canvas.drawPath(path${i}, ${getPaint(fill, false)});`);
+    }
+    if (stroke) {
+      body.push(`    canvas.drawPath(path${i}, ${getPaint(stroke, true)});`);
+    }
+  });
+  return [
+    "import 'package:flutter/widgets.dart';",
+    '',
+    '/// Paints the traced image, scaled to the canvas size.',
+    `class ${name}Painter extends CustomPainter {`,
+    `  static const size = Size(${formatNumber(width)}, ${formatNumber(height)});`,
+    '',
+    ...[...paints.values()].flatMap(({ lines }) => lines),
+    '',
+    '  @override',
+    '  void paint(Canvas canvas, Size size) {',
+    `    canvas.scale(size.width / ${name}Painter.size.width, size.height / ${name}Painter.size.height);`,
+    ...body,
+    '  }',
+    '',
+    '  @override',
+    '  bool shouldRepaint(covariant CustomPainter oldDelegate) => false;',
+    '}',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Write a XAML resource dictionary with a `PathGeometry` of all layers and a
+ * colored `DrawingImage`, usable in WPF and, after swapping the default
+ * namespace, in Avalonia
+ * @param {{width: number, height: number, layers: Array<Object>}} vector -
+ *     Vector as returned by `getNativeLayers()`
+ * @param {string} name - Resource key prefix in PascalCase
+ * @returns {string} XAML source
+ */
+const createXAML = ({ width, height, layers }, name) => {
+  const w = formatNumber(width);
+  const h = formatNumber(height);
+  const geometry = (commands, evenOdd, key = '') =>
+    `<PathGeometry${key} FillRule="${evenOdd ? 'EvenOdd' : 'Nonzero'}" Figures="${commandsToPathData(commands)}" />`;
+  const lines = [
+    '<ResourceDictionary',
+    '    xmlns="http://schemas.microsoft.com/winfx/2006/xaml/presentation"',
+    '    xmlns:x="http://schemas.microsoft.com/winfx/2006/xaml">',
+    `    ${geometry(
+      layers.flatMap(({ commands }) => commands),
+      layers.some(({ fill }) => fill && fill.evenOdd),
+      ` x:Key="${name}Geometry"`,
+    )}`,
+    `    <DrawingImage x:Key="${name}Image">`,
+    '        <DrawingImage.Drawing>',
+    `            <DrawingGroup ClipGeometry="M0 0H${w}V${h}H0Z">`,
+  ];
+  for (const { fill, stroke, commands } of layers) {
+    const brush = fill ? ` Brush="#${fill.color}"` : '';
+    lines.push(`                <GeometryDrawing${brush}>`);
+    if (stroke) {
+      lines.push(
+        '                    <GeometryDrawing.Pen>',
+        `                        <Pen Brush="#${stroke.color}" Thickness="${formatNumber(stroke.width)}" LineJoin="${XAML_LINE_JOINS[stroke.linejoin] || 'Miter'}" />`,
+        '                    </GeometryDrawing.Pen>',
+      );
+    }
+    lines.push(
+      '                    <GeometryDrawing.Geometry>',
+      `                        ${geometry(commands, fill && fill.evenOdd)}`,
+      '                    </GeometryDrawing.Geometry>',
+      '                </GeometryDrawing>',
+    );
+  }
+  lines.push(
+    '            </DrawingGroup>',
+    '        </DrawingImage.Drawing>',
+    '    </DrawingImage>',
+    '</ResourceDictionary>',
+    '',
+  );
+  return lines.join('\n');
+};
+
+/**
+ * Convert an SVG into native drawing code
+ * @param {string} svg - SVG string
+ * @param {string} format - `'swiftui'`, `'flutter'`, or `'xaml'`
+ * @param {Object} options - Code options
+ * @param {string} options.name - Type name in PascalCase
+ * @returns {string} Source code
+ */
+const createNativeCode = (svg, format, { name }) => {
+  const vector = getNativeLayers(svg);
+  switch (format) {
+    case 'flutter':
+      return createFlutter(vector, name);
+    case 'xaml':
+      return createXAML(vector, name);
+    case 'swiftui':
+    default:
+      return createSwiftUI(vector, name);
+  }
+};
+
+/**
+ * Get the file name of native code, following each language's conventions
+ * @param {string} format - `'swiftui'`, `'flutter'`, or `'xaml'`
+ * @param {string} name - Type name in PascalCase
+ * @returns {string} File name
+ */
+const getNativeFileName = (format, name) => {
+  const { extension } = NATIVE_FILE_TYPES[format];
+  if (format === 'flutter') {
+    // Dart files use lowercase_with_underscores.
+    return `${name.replace(/(?<=.)([A-Z])/g, '_$1').toLowerCase()}${extension}`;
+  }
+  return `${name}${extension}`;
+};
+
+/**
+ * Save an SVG as native drawing code
+ * @param {string} svg - SVG string
+ * @param {string} format - `'swiftui'`, `'flutter'`, or `'xaml'`
+ * @param {Object} options - Code options, see `createNativeCode()`
+ */
+const exportNativeCode = async (svg, format, options) => {
+  try {
+    const saved = await saveBlob(
+      new Blob([createNativeCode(svg, format, options)], {
+        type: 'text/plain',
+      }),
+      getNativeFileName(format, options.name),
+      NATIVE_FILE_TYPES[format],
+    );
+    if (saved) {
+      showToast(i18n.t('exportedNativeCode'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { createNativeCode, exportNativeCode };
@@ -0,0 +1,381 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { getSVGShapes } from './svgpaths.js';
+import { flattenPathCommands } from './pathsimplify.js';
+import { setOverlay, clearOverlay } from './overlay.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const MM_PER_INCH = 25.4;
+// HP-GL plotter units are 0.025 mm.
+const HPGL_UNITS_PER_MM = 40;
+// 2-opt is quadratic in the number of paths per pass, so large traces are
+// only ordered with the nearest-neighbour heuristic.
+const TWO_OPT_MAX_PATHS = 2000;
+const TWO_OPT_MAX_PASSES = 10;
+const TRAVEL_OVERLAY = 'travel';
+
+/**
+ * Get the distance between two points
+ * @param {number[]} a - `[x, y]`
+ * @param {number[]} b - `[x, y]`
+ * @returns {number} Distance
+ */
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+/**
+ * Get the first point a path is drawn from
+ * @param {{points: number[][], reversed: boolean}} path - Path
+ * @returns {number[]} `[x, y]`
+ */
+const getStart = ({ points, reversed }) =>
+  reversed ? points[points.length - 1] : points[0];
+
+/**
+ * Get the last point of a drawn path
+ * @param {{points: number[][], reversed: boolean}} path - Path
+ * @returns {number[]} `[x, y]`
+ */
+const getEnd = ({ points, reversed }) =>
+  reversed ? points[0] : points[points.length - 1];
+
+/**
+ * Order paths to minimize the pen-up travel distance
+ *
+ * Starts with a nearest-neighbour tour, which may draw paths in reverse, and
+ * then improves it with 2-opt moves. Reversing a run of the tour also reverses
+ * the direction of every path in it. Closed paths start and end at the same
+ * point, so their direction doesn't matter.
+ * @param {Array<number[][]>} polylines - Point lists
+ * @param {number[]} origin - Pen position before the first path
+ * @returns {Array<{points: number[][], reversed: boolean}>} Ordered paths
+ */
+const orderPaths = (polylines, origin) => {
+  const remaining = polylines.map((points) => ({ points, reversed: false }));
+  const tour = [];
+  let position = origin;
+  while (remaining.length) {
+    let best = 0;
+    let bestDistance = Infinity;
+    let reversed = false;
+    for (const [i, { points }] of remaining.entries()) {
+      const toStart = distance(position, points[0]);
+      const toEnd = distance(position, points[points.length - 1]);
+      if (toStart < bestDistance) {
+        [best, bestDistance, reversed] = [i, toStart, false];
+      }
+      if (toEnd < bestDistance) {
+        [best, bestDistance, reversed] = [i, toEnd, true];
+      }
+    }
+    const [path] = remaining.splice(best, 1);
+    path.reversed = reversed;
+    tour.push(path);
+    position = getEnd(path);
+  }
+
+  if (tour.length > TWO_OPT_MAX_PATHS) {
+    return tour;
+  }
+  let improved = true;
+  for (let pass = 0; improved && pass < TWO_OPT_MAX_PASSES; pass++) {
+    improved = false;
+    for (let i = 0; i < tour.length - 1; i++) {
+      const before = i ? getEnd(tour[i - 1]) : origin;
+      for (let j = i + 1; j < tour.length; j++) {
+        const after = tour[j + 1] ? getStart(tour[j + 1]) : null;
+        const oldDistance =
+          distance(before, getStart(tour[i])) +
+          (after ? distance(getEnd(tour[j]), after) : 0);
+        const newDistance =
+          distance(before, getEnd(tour[j])) +
+          (after ? distance(getStart(tour[i]), after) : 0);
+        if (newDistance < oldDistance - 1e-9) {
+          const run = tour.slice(i, j + 1).reverse();
+          for (const path of run) {
+            path.reversed = !path.reversed;
+          }
+          tour.splice(i, run.length, ...run);
+          improved = true;
+        }
+      }
+    }
+  }
+  return tour;
+};
+
+/**
+ * Get the total pen-up distance of ordered paths
+ * @param {Array<{points: number[][], reversed: boolean}>} paths - Paths
+ * @param {number[]} origin - Pen position before the first path
+ * @returns {number} Distance
+ */
+const getTravelDistance = (paths, origin) => {
+  let total = 0;
+  let position = origin;
+  for (const path of paths) {
+    total += distance(position, getStart(path));
+    position = getEnd(path);
+  }
+  return total;
+};
+
+/**
+ * Flatten a drawing into per-color groups of ordered paths
+ * @param {{viewBox: Object, shapes: Array<Object>}} drawing - Shapes as
+ *     returned by `getSVGShapes()`
+ * @param {Object} options - Options
+ * @param {number} options.tolerance - Curve flattening tolerance in pixels
+ * @param {boolean} options.optimize - Whether to optimize the travel path
+ * @returns {{origin: number[], groups: Array<{color: number[],
+ *     paths: Array<Object>}>}} Plotter origin and pen groups in drawing
+ *     coordinates
+ */
+const getPlotterGroups = (
+  { viewBox, shapes },
+  { tolerance = 0.1, optimize = true } = {},
+) => {
+  const colors = new Map();
+  for (const shape of shapes) {
+    const color = shape.fill || shape.stroke;
+    if (!color) {
+      continue;
+    }
+    const key = color.join();
+    if (!colors.has(key)) {
+      colors.set(key, { color, polylines: [] });
+    }
+    for (const { points, closed } of flattenPathCommands(
+      shape.commands,
+      tolerance,
+    )) {
+      if (points.length < 2) {
+        continue;
+      }
+      colors.get(key).polylines.push(closed ? [...points, points[0]] : points);
+    }
+  }
+  // Plotters home in the bottom left corner.
+  const origin = [viewBox.x, viewBox.y + viewBox.height];
+  const groups = [];
+  let position = origin;
+  for (const { color, polylines } of colors.values()) {
+    const paths = optimize
+      ? orderPaths(polylines, position)
+      : polylines.map((points) => ({ points, reversed: false }));
+    if (!paths.length) {
+      continue;
+    }
+    groups.push({ color, paths });
+    position = getEnd(paths[paths.length - 1]);
+  }
+  return { origin, groups };
+};
+
+/**
+ * Get the points of a path in drawing order
+ * @param {{points: number[][], reversed: boolean}} path - Path
+ * @returns {number[][]} Points
+ */
+const getPoints = ({ points, reversed }) =>
+  reversed ? [...points].reverse() : points;
+
+/**
+ * Format a color as a hex string for comments
+ * @param {number[]} rgb - `[r, g, b]`
+ * @returns {string} Hex color
+ */
+const toHex = (rgb) =>
+  `#${rgb.map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Create a transform from drawing coordinates to machine coordinates
+ * @param {Object} viewBox - View box of the drawing
+ * @param {number} scale - Machine units per drawing unit
+ * @returns {function(number[]): number[]} Transform
+ */
+const createMachineTransform =
+  (viewBox, scale) =>
+  ([x, y]) => [
+    (x - viewBox.x) * scale,
+    // The machine's y axis points up.
+    (viewBox.y + viewBox.height - y) * scale,
+  ];
+
+/**
+ * Write a drawing as G-code
+ * @param {{viewBox: Object, shapes: Array<Object>}} drawing - Shapes as
+ *     returned by `getSVGShapes()`
+ * @param {Object} options - G-code options
+ * @param {string} options.units - `'mm'` or `'inch'`
+ * @param {number} options.width - Physical width of the drawing in `units`
+ * @param {number} options.feedRate - Drawing feed rate in mm/min
+ * @param {string} options.penUp - Command that lifts the pen or tool
+ * @param {string} options.penDown - Command that lowers the pen or tool
+ * @param {number} options.tolerance - Curve flattening tolerance in pixels
+ * @param {boolean} options.optimize - Whether to optimize the travel path
+ * @returns {string} G-code
+ */
+const createGCode = (drawing, options) => {
+  const {
+    units = 'mm',
+    width = 100,
+    feedRate = 1500,
+    penUp = 'G0 Z5',
+    penDown = 'G1 Z0',
+  } = options;
+  const { groups } = getPlotterGroups(drawing, options);
+  const toMachine = createMachineTransform(
+    drawing.viewBox,
+    width / drawing.viewBox.width,
+  );
+  const n = (value) => value.toFixed(3);
+  const feed = units === 'inch' ? feedRate / MM_PER_INCH : feedRate;
+  const lines = [
+    '; SVGcode',
+    units === 'inch' ? 'G20 ; Inches' : 'G21 ; Millimeters',
+    'G90 ; Absolute positioning',
+    penUp,
+  ];
+  for (const [i, { color, paths }] of groups.entries()) {
+    if (groups.length > 1) {
+      lines.push(`T${i + 1} M6 ; ${toHex(color)}`);
+    }
+    for (const path of paths) {
+      const [[x, y], ...rest] = getPoints(path).map(toMachine);
+      lines.push(`G0 X${n(x)} Y${n(y)}`, penDown);
+      for (const [j, [x, y]] of rest.entries()) {
+        lines.push(`G1 X${n(x)} Y${n(y)}${j ? '' : ` F${+feed.toFixed(1)}`}`);
+      }
+      lines.push(penUp);
+    }
+  }
+  lines.push('G0 X0 Y0', 'M2', '');
+  return lines.join('\n');
+};
+
+/**
+ * Write a drawing as HP-GL
+ * @param {{viewBox: Object, shapes: Array<Object>}} drawing - Shapes as
+ *     returned by `getSVGShapes()`
+ * @param {Object} options - HP-GL options, see `createGCode()`
+ * @returns {string} HP-GL
+ */
+const createHPGL = (drawing, options) => {
+  const { units = 'mm', width = 100, feedRate = 1500 } = options;
+  const { groups } = getPlotterGroups(drawing, options);
+  const widthMM = units === 'inch' ? width * MM_PER_INCH : width;
+  const toMachine = createMachineTransform(
+    drawing.viewBox,
+    (widthMM / drawing.viewBox.width) * HPGL_UNITS_PER_MM,
+  );
+  // Velocity is given in cm/s.
+  const commands = ['IN', `VS${Math.max(1, Math.round(feedRate / 600))}`];
+  for (const [i, { paths }] of groups.entries()) {
+    commands.push(`SP${i + 1}`);
+    for (const path of paths) {
+      const [start, ...rest] = getPoints(path)
+        .map(toMachine)
+        .map((point) => point.map(Math.round).join(','));
+      commands.push(`PU${start}`, `PD${rest.join(',')}`);
+    }
+  }
+  commands.push('PU0,0', 'SP0', '');
+  return commands.join(';\n');
+};
+
+/**
+ * Draw the pen-up moves of the plotter output over the SVG output
+ * @param {string} svg - SVG string
+ * @param {Object} options - Options, see `getPlotterGroups()`
+ */
+const showTravelPreview = (svg, options) => {
+  const drawing = getSVGShapes(svg);
+  const { origin, groups } = getPlotterGroups(drawing, options);
+  const paths = groups.flatMap((group) => group.paths);
+  let position = origin;
+  let pathData = '';
+  for (const path of paths) {
+    const [x1, y1] = position;
+    const [x2, y2] = getStart(path);
+    pathData += `M${x1} ${y1}L${x2} ${y2}`;
+    position = getEnd(path);
+  }
+  setOverlay(
+    TRAVEL_OVERLAY,
+    `<path class="travel-path" d="${pathData}" vector-effect="non-scaling-stroke"/>`,
+    drawing.viewBox,
+  );
+  const scale = options.width / drawing.viewBox.width;
+  showToast(
+    `${i18n.t('travelDistance')}: ${(
+      getTravelDistance(paths, origin) * scale
+    ).toFixed(1)} ${i18n.t(options.units)}`,
+    3000,
+  );
+};
+
+/**
+ * Remove the travel path preview
+ */
+const hideTravelPreview = () => {
+  clearOverlay(TRAVEL_OVERLAY);
+};
+
+/**
+ * Export SVG as G-code or HP-GL
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {string} format - `'gcode'` or `'hpgl'`
+ * @param {Object} options - Plotter options, see `createGCode()`
+ */
+const exportPlotter = async (svg, fileName, format, options) => {
+  try {
+    const drawing = getSVGShapes(svg);
+    const isGCode = format === 'gcode';
+    const output = isGCode
+      ? createGCode(drawing, options)
+      : createHPGL(drawing, options);
+    const saved = await saveBlob(
+      new Blob([output], { type: 'text/plain' }),
+      fileName,
+      isGCode
+        ? {
+            description: 'G-code',
+            mimeType: 'text/x-gcode',
+            extension: '.gcode',
+          }
+        : {
+            description: 'HP-GL',
+            mimeType: 'application/vnd.hp-hpgl',
+            extension: '.hpgl',
+          },
+    );
+    if (saved) {
+      showToast(i18n.t(isGCode ? 'exportedGCode' : 'exportedHPGL'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportPlotter, showTravelPreview, hideTravelPreview };
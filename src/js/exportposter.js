@@ -0,0 +1,349 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { getSVGShapes } from './svgpaths.js';
+import {
+  getSVGViewBox,
+  createPDFPage,
+  writePDF,
+  saveBlob,
+  PDF_PAGE_SIZES,
+  PT_PER_MM,
+} from './export.js';
+import { createZip } from './zip.js';
+import { setOverlay, clearOverlay } from './overlay.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const MM_PER_INCH = 25.4;
+const TILE_OVERLAY = 'tiles';
+// Used when the page size is set to fit the drawing, which can't be tiled.
+const DEFAULT_PAGE_SIZE = 'a4';
+const CROP_MARK_MM = 5;
+const CROP_MARK_GAP_MM = 1;
+const LABEL_SIZE_MM = 3;
+
+/**
+ * Get the name of a tile, rows as letters and columns as numbers, like in a
+ * spreadsheet
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @returns {string} Tile name, like `'B3'`
+ */
+const getTileName = (row, column) => {
+  let letters = '';
+  for (let i = row + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((i - 1) % 26)) + letters;
+  }
+  return `${letters}${column + 1}`;
+};
+
+/**
+ * Split a drawing into pages
+ *
+ * Neighboring pages share `overlap` millimeters of the drawing, so they can
+ * be trimmed at the crop marks and glued on top of each other. Pages are
+ * turned to whichever orientation needs fewer of them.
+ * @param {{x: number, y: number, width: number, height: number}} viewBox -
+ *     Drawing bounds
+ * @param {Object} options - Poster options
+ * @param {string} options.units - Units of `width`, `'mm'` or `'inch'`
+ * @param {number} options.width - Physical width of the poster
+ * @param {string} options.pageSize - Key of `PDF_PAGE_SIZES`
+ * @param {number} options.margin - Unprintable page margin in millimeters
+ * @param {number} options.overlap - Overlap in millimeters
+ * @returns {Object} Layout with the page size in millimeters and the tiles
+ *     in drawing units
+ */
+const getPosterLayout = (
+  viewBox,
+  { units = 'mm', width = 1000, pageSize, margin = 10, overlap = 10 },
+) => {
+  const posterWidth = width * (units === 'inch' ? MM_PER_INCH : 1);
+  const posterHeight = (posterWidth * viewBox.height) / viewBox.width;
+  const size = PDF_PAGE_SIZES[pageSize] ? pageSize : DEFAULT_PAGE_SIZE;
+  const [shortSide, longSide] = PDF_PAGE_SIZES[size].map(
+    (side) => side / PT_PER_MM,
+  );
+  const getGrid = (pageWidth, pageHeight) => {
+    const printableWidth = Math.max(1, pageWidth - 2 * margin);
+    const printableHeight = Math.max(1, pageHeight - 2 * margin);
+    // The overlap can't take up the whole page.
+    const stepX = Math.max(printableWidth / 2, printableWidth - overlap);
+    const stepY = Math.max(printableHeight / 2, printableHeight - overlap);
+    return {
+      pageWidth,
+      pageHeight,
+      printableWidth,
+      printableHeight,
+      stepX,
+      stepY,
+      columns: Math.max(
+        1,
+        Math.ceil((posterWidth - (printableWidth - stepX)) / stepX),
+      ),
+      rows: Math.max(
+        1,
+        Math.ceil((posterHeight - (printableHeight - stepY)) / stepY),
+      ),
+    };
+  };
+  const portrait = getGrid(shortSide, longSide);
+  const landscape = getGrid(longSide, shortSide);
+  const grid =
+    landscape.columns * landscape.rows < portrait.columns * portrait.rows
+      ? landscape
+      : portrait;
+  const unitsPerMM = viewBox.width / posterWidth;
+  const tiles = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let column = 0; column < grid.columns; column++) {
+      tiles.push({
+        row,
+        column,
+        name: getTileName(row, column),
+        x: viewBox.x + column * grid.stepX * unitsPerMM,
+        y: viewBox.y + row * grid.stepY * unitsPerMM,
+        width: grid.printableWidth * unitsPerMM,
+        height: grid.printableHeight * unitsPerMM,
+      });
+    }
+  }
+  return { ...grid, pageSize: size, margin, overlap, unitsPerMM, tiles };
+};
+
+/**
+ * Get the crop marks, overlap marks and label of a page, in millimeters from
+ * the top left page corner
+ * @param {Object} layout - Layout as returned by `getPosterLayout()`
+ * @param {Object} tile - Tile
+ * @returns {{lines: Array<number[]>, label: {x: number, y: number, text:
+ *     string}}} Marks as `[x1, y1, x2, y2]` lines, and the label
+ */
+const getPageMarks = (layout, tile) => {
+  const { margin, printableWidth, printableHeight, columns, rows } = layout;
+  const left = margin;
+  const top = margin;
+  const right = margin + printableWidth;
+  const bottom = margin + printableHeight;
+  const length = Math.min(CROP_MARK_MM, margin - CROP_MARK_GAP_MM);
+  const lines = [];
+  if (length > 0) {
+    const gap = CROP_MARK_GAP_MM;
+    for (const [x, dx] of [
+      [left, -1],
+      [right, 1],
+    ]) {
+      for (const [y, dy] of [
+        [top, -1],
+        [bottom, 1],
+      ]) {
+        lines.push(
+          [x + dx * gap, y, x + dx * (gap + length), y],
+          [x, y + dy * gap, x, y + dy * (gap + length)],
+        );
+      }
+    }
+    // Pages to the right and below are glued on top of this one, up to
+    // these marks.
+    if (tile.column < columns - 1) {
+      const x = right - layout.printableWidth + layout.stepX;
+      lines.push(
+        [x, top - gap, x, top - gap - length],
+        [x, bottom + gap, x, bottom + gap + length],
+      );
+    }
+    if (tile.row < rows - 1) {
+      const y = bottom - layout.printableHeight + layout.stepY;
+      lines.push(
+        [left - gap, y, left - gap - length, y],
+        [right + gap, y, right + gap + length, y],
+      );
+    }
+  }
+  const page = tile.row * columns + tile.column + 1;
+  return {
+    lines,
+    label: {
+      x: left,
+      y: bottom + Math.max(LABEL_SIZE_MM, margin / 2 + LABEL_SIZE_MM / 3),
+      text: `${tile.name}  ${page}/${columns * rows}`,
+    },
+  };
+};
+
+/**
+ * Write the poster as one PDF page per tile
+ * @param {string} svg - SVG string
+ * @param {Object} layout - Layout as returned by `getPosterLayout()`
+ * @returns {Promise<Blob>} PDF file
+ */
+const createPosterPDF = (svg, layout) => {
+  const { shapes } = getSVGShapes(svg);
+  const n = (value) => String(+value.toFixed(3));
+  const pages = layout.tiles.map((tile) => {
+    const { x, y, width, height } = tile;
+    const pageHeight = layout.pageHeight * PT_PER_MM;
+    const page = createPDFPage(
+      { viewBox: { x, y, width, height }, shapes },
+      // The tile has the aspect ratio of the printable area, so it fills it.
+      { pageSize: layout.pageSize, margin: layout.margin },
+    );
+    const { lines, label } = getPageMarks(layout, tile);
+    const toPt = (mm) => n(mm * PT_PER_MM);
+    const marks = lines.map(
+      ([x1, y1, x2, y2]) =>
+        `${toPt(x1)} ${n(pageHeight - y1 * PT_PER_MM)} m ${toPt(x2)} ${n(
+          pageHeight - y2 * PT_PER_MM,
+        )} l`,
+    );
+    return {
+      ...page,
+      // Clip the drawing to the printable area of the page.
+      content: [
+        'q',
+        `${toPt(layout.margin)} ${toPt(layout.margin)} ${toPt(
+          layout.printableWidth,
+        )} ${toPt(layout.printableHeight)} re W n`,
+        page.content,
+        'Q',
+        '0 G 0.5 w',
+        ...marks,
+        'S',
+        `BT /F1 ${toPt(LABEL_SIZE_MM)} Tf 0 g ${toPt(label.x)} ${n(
+          pageHeight - label.y * PT_PER_MM,
+        )} Td (${label.text}) Tj ET`,
+      ].join('\n'),
+      fonts: new Map([['F1', 'Helvetica']]),
+    };
+  });
+  return writePDF(pages);
+};
+
+/**
+ * Write the poster as one SVG file per tile
+ * @param {string} svg - SVG string
+ * @param {Object} layout - Layout as returned by `getPosterLayout()`
+ * @returns {Array<{name: string, svg: string}>} Tiles
+ */
+const createPosterSVGs = (svg, layout) => {
+  const content = svg
+    .replace(/^[\s\S]*?<svg[^>]*>/, '')
+    .replace(/<\/svg>\s*$/, '');
+  const n = (value) => +value.toFixed(3);
+  const { pageWidth, pageHeight, margin } = layout;
+  return layout.tiles.map((tile) => {
+    const { lines, label } = getPageMarks(layout, tile);
+    // The nested SVG clips the drawing to the printable area.
+    return {
+      name: tile.name,
+      svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${n(
+        pageWidth,
+      )}mm" height="${n(pageHeight)}mm" viewBox="0 0 ${n(pageWidth)} ${n(
+        pageHeight,
+      )}"><svg x="${n(margin)}" y="${n(margin)}" width="${n(
+        layout.printableWidth,
+      )}" height="${n(layout.printableHeight)}" viewBox="${n(tile.x)} ${n(
+        tile.y,
+      )} ${n(tile.width)} ${n(tile.height)}">${content}</svg><path d="${lines
+        .map(([x1, y1, x2, y2]) => `M${n(x1)} ${n(y1)}L${n(x2)} ${n(y2)}`)
+        .join('')}" fill="none" stroke="#000" stroke-width="0.2"/><text x="${n(
+        label.x,
+      )}" y="${n(label.y)}" font-family="sans-serif" font-size="${LABEL_SIZE_MM}">${
+        label.text
+      }</text></svg>`,
+    };
+  });
+};
+
+/**
+ * Draw the page grid of the poster over the SVG output
+ * @param {string} svg - SVG string
+ * @param {Object} options - Poster options, see `getPosterLayout()`
+ * @returns {number} Page count
+ */
+const showTilePreview = (svg, options) => {
+  const viewBox = getSVGViewBox(svg);
+  const layout = getPosterLayout(viewBox, options);
+  const fontSize = Math.min(layout.tiles[0].width, layout.tiles[0].height) / 6;
+  const tiles = layout.tiles.map(
+    ({ name, x, y, width, height }) =>
+      `<rect class="tile-page" x="${x}" y="${y}" width="${width}" height="${height}" vector-effect="non-scaling-stroke"/><text class="tile-label" x="${
+        x + width / 2
+      }" y="${y + height / 2}" font-size="${fontSize}">${name}</text>`,
+  );
+  setOverlay(TILE_OVERLAY, tiles.join(''), viewBox);
+  return layout.tiles.length;
+};
+
+/**
+ * Remove the page grid from the SVG output
+ */
+const hideTilePreview = () => {
+  clearOverlay(TILE_OVERLAY);
+};
+
+/**
+ * Export the SVG as a poster tiled across pages
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {string} format - `'pdf'` for a multi-page PDF, or `'svg'` for a ZIP
+ *     of SVG files
+ * @param {Object} options - Poster options, see `getPosterLayout()`
+ */
+const exportPoster = async (svg, fileName, format, options) => {
+  try {
+    const layout = getPosterLayout(getSVGViewBox(svg), options);
+    let blob;
+    if (format === 'pdf') {
+      blob = createPosterPDF(svg, layout);
+    } else {
+      const baseName = fileName.replace(/\.zip$/, '');
+      blob = createZip(
+        createPosterSVGs(svg, layout).map(({ name, svg: data }) => ({
+          name: `${baseName}-${name}.svg`,
+          data,
+        })),
+      );
+    }
+    const saved = await saveBlob(
+      blob,
+      fileName,
+      format === 'pdf'
+        ? {
+            description: 'PDF document',
+            mimeType: 'application/pdf',
+            extension: '.pdf',
+          }
+        : {
+            description: 'ZIP archive',
+            mimeType: 'application/zip',
+            extension: '.zip',
+          },
+    );
+    if (saved) {
+      showToast(`${i18n.t('exportedPoster')}: ${layout.tiles.length}`);
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportPoster, showTilePreview, hideTilePreview };
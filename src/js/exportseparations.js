@@ -0,0 +1,398 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { getSVGShapes, commandsToPathData } from './svgpaths.js';
+import { writePDF, saveBlob, PT_PER_MM } from './export.js';
+import { createZip } from './zip.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+
+const MM_PER_INCH = 25.4;
+// Registration marks and labels are sized relative to the artwork.
+const MARK_SIZE = 0.03;
+const MARK_STROKE = 1 / 15;
+// Small enough that labels end before the registration mark below the
+// artwork.
+const LABEL_SIZE = 0.6;
+// A circle as four cubic Bézier curves is within 0.03% of the radius.
+const CIRCLE_KAPPA = 0.5523;
+const PDF_FONT = 'Helvetica';
+
+/**
+ * Calculate the relative luminance of a color
+ * @param {number[]} rgb - `[r, g, b]`
+ * @returns {number} Luminance from 0 to 1
+ */
+const getLuminance = ([r, g, b]) =>
+  (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+/**
+ * Format a color as hex
+ * @param {number[]} rgb - `[r, g, b]`
+ * @returns {string} Hex color
+ */
+const toHex = (rgb) =>
+  `#${rgb.map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Split an SVG into one ink per fill color, in painting order
+ * @param {string} svg - SVG string
+ * @returns {{viewBox: Object, inks: Array<{color: number[], shapes:
+ *     Array<Object>}>}} Inks, each with the shapes painted in it
+ */
+const getInks = (svg) => {
+  // The color trace paints each color in one layer, so the order in which
+  // fill colors first appear is the painting order of the inks.
+  const { viewBox, shapes } = getSVGShapes(svg);
+  const inks = new Map();
+  for (const shape of shapes) {
+    const fill = shape.fill && shape.fillOpacity > 0;
+    const stroke =
+      shape.stroke && shape.strokeOpacity > 0 && shape.strokeWidth > 0;
+    if (!shape.commands.length || !fill) {
+      continue;
+    }
+    const key = shape.fill.join();
+    if (!inks.has(key)) {
+      inks.set(key, { color: shape.fill, shapes: [] });
+    }
+    inks.get(key).shapes.push({
+      commands: shape.commands,
+      fillRule: shape.fillRule,
+      // Color traces stroke each shape in its own color to close gaps.
+      strokeWidth:
+        stroke && shape.stroke.join() === key ? shape.strokeWidth : 0,
+    });
+  }
+  return { viewBox, inks: [...inks.values()] };
+};
+
+/**
+ * Lay out the films of all inks
+ *
+ * Each film paints its ink in black. With knock-out, the inks painted later
+ * are cut out of it in white. Trapping then grows each ink into its
+ * neighbors, so misregistration shows no paper between adjacent colors. A
+ * spread grows the lighter ink into all darker inks, which keeps the shapes
+ * of the dark inks, as the light ink is hidden under them. A choke grows the
+ * darker ink into all lighter inks instead, which shrinks the light shapes
+ * and suits thin light details on a dark ground.
+ * @param {string} svg - SVG string
+ * @param {Object} options - Separation options
+ * @param {string} options.mode - `'knockout'` or `'overprint'`
+ * @param {number} options.trap - Trap width in SVG units
+ * @param {string} options.trapDirection - `'spread'` or `'choke'`
+ * @returns {{bounds: Object, markSize: number, films: Array<Object>}} Films
+ */
+const createSeparations = (
+  svg,
+  { mode = 'knockout', trap = 0, trapDirection = 'spread' } = {},
+) => {
+  const { viewBox, inks } = getInks(svg);
+  if (!inks.length) {
+    throw new Error(i18n.t('noFilledRegions'));
+  }
+  const markSize = Math.max(viewBox.width, viewBox.height) * MARK_SIZE;
+  const margin = markSize * 3;
+  const bounds = {
+    x: viewBox.x - margin,
+    y: viewBox.y - margin,
+    width: viewBox.width + 2 * margin,
+    height: viewBox.height + 2 * margin,
+  };
+  const films = inks.map((ink, i) => {
+    const luminance = getLuminance(ink.color);
+    const label = [
+      `${i + 1}/${inks.length}`,
+      toHex(ink.color),
+      mode === 'knockout' ? 'knock-out' : 'overprint',
+      trap > 0 ? `${trapDirection} ${trap}px` : '',
+    ]
+      .filter(Boolean)
+      .join('  ');
+    return {
+      color: ink.color,
+      label,
+      shapes: ink.shapes,
+      knockouts:
+        mode === 'knockout'
+          ? inks.slice(i + 1).flatMap(({ shapes }) => shapes)
+          : [],
+      trapArea:
+        trap > 0
+          ? inks
+              .filter((other) =>
+                trapDirection === 'choke'
+                  ? getLuminance(other.color) > luminance
+                  : getLuminance(other.color) < luminance,
+              )
+              .flatMap(({ shapes }) => shapes)
+          : [],
+      trap,
+    };
+  });
+  return { viewBox, bounds, markSize, films };
+};
+
+/**
+ * Get the registration marks around the artwork, centered on each side
+ * @param {Object} viewBox - Artwork bounds
+ * @param {number} markSize - Mark size
+ * @returns {Array<{x: number, y: number, radius: number}>} Mark centers
+ */
+const getMarks = ({ x, y, width, height }, markSize) => {
+  const offset = markSize * 1.5;
+  return [
+    [x + width / 2, y - offset],
+    [x + width / 2, y + height + offset],
+    [x - offset, y + height / 2],
+    [x + width + offset, y + height / 2],
+  ].map(([cx, cy]) => ({ x: cx, y: cy, radius: markSize / 2 }));
+};
+
+/**
+ * Write a film as SVG
+ * @param {Object} separations - Separations as returned by
+ *     `createSeparations()`
+ * @param {Object} film - Film
+ * @param {number} unitsPerMM - SVG units per millimeter
+ * @returns {string} SVG string
+ */
+const createFilmSVG = ({ viewBox, bounds, markSize }, film, unitsPerMM) => {
+  const n = (value) => +value.toFixed(3);
+  const toPath = ({ commands, fillRule, strokeWidth }, attributes = '') =>
+    `<path d="${commandsToPathData(commands)}"${
+      fillRule === 'evenodd' ? ' fill-rule="evenodd"' : ''
+    }${strokeWidth ? ` stroke-width="${n(strokeWidth)}"` : ''}${attributes}/>`;
+  const parts = [
+    `<g fill="#000" stroke="#000" stroke-width="0">${film.shapes
+      .map((shape) => toPath(shape))
+      .join('')}</g>`,
+  ];
+  if (film.knockouts.length) {
+    parts.push(
+      `<g fill="#fff" stroke="#fff" stroke-width="0">${film.knockouts
+        .map((shape) => toPath(shape))
+        .join('')}</g>`,
+    );
+  }
+  if (film.trapArea.length) {
+    parts.push(
+      `<defs><clipPath id="trap">${film.trapArea
+        .map(({ commands, fillRule }) =>
+          toPath(
+            { commands },
+            fillRule === 'evenodd' ? ' clip-rule="evenodd"' : '',
+          ),
+        )
+        .join('')}</clipPath></defs>`,
+      `<g clip-path="url(#trap)" fill="none" stroke="#000" stroke-width="${n(
+        film.trap * 2,
+      )}" stroke-linejoin="round">${film.shapes
+        .map(({ commands }) => toPath({ commands }))
+        .join('')}</g>`,
+    );
+  }
+  const marks = getMarks(viewBox, markSize)
+    .map(
+      ({ x, y, radius }) =>
+        `<circle cx="${n(x)}" cy="${n(y)}" r="${n(radius)}"/><path d="M${n(
+          x - radius * 1.5,
+        )} ${n(y)}H${n(x + radius * 1.5)}M${n(x)} ${n(y - radius * 1.5)}V${n(
+          y + radius * 1.5,
+        )}"/>`,
+    )
+    .join('');
+  parts.push(
+    `<g fill="none" stroke="#000" stroke-width="${n(
+      markSize * MARK_STROKE,
+    )}">${marks}</g>`,
+    `<text x="${n(viewBox.x)}" y="${n(
+      viewBox.y + viewBox.height + markSize * 2,
+    )}" font-family="sans-serif" font-size="${n(markSize * LABEL_SIZE)}">${
+      film.label
+    }</text>`,
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${n(
+    bounds.width / unitsPerMM,
+  )}mm" height="${n(bounds.height / unitsPerMM)}mm" viewBox="${n(
+    bounds.x,
+  )} ${n(bounds.y)} ${n(bounds.width)} ${n(bounds.height)}">${parts.join(
+    '',
+  )}</svg>`;
+};
+
+/**
+ * Write a film as a PDF page
+ * @param {Object} separations - Separations as returned by
+ *     `createSeparations()`
+ * @param {Object} film - Film
+ * @param {number} unitsPerMM - SVG units per millimeter
+ * @returns {Object} Page for `writePDF()`
+ */
+const createFilmPage = ({ viewBox, bounds, markSize }, film, unitsPerMM) => {
+  const n = (value) => String(+value.toFixed(3));
+  const scale = PT_PER_MM / unitsPerMM;
+  const width = bounds.width * scale;
+  const height = bounds.height * scale;
+  const toPath = ({ commands }) =>
+    commands
+      .map(({ type, values }) =>
+        values
+          .map(n)
+          .concat({ M: 'm', L: 'l', C: 'c', Z: 'h' }[type])
+          .join(' '),
+      )
+      .join('\n');
+  const paint = (shapes, gray) => {
+    const lines = [`${gray} g`, `${gray} G`];
+    for (const shape of shapes) {
+      const evenOdd = shape.fillRule === 'evenodd' ? '*' : '';
+      lines.push(
+        toPath(shape),
+        shape.strokeWidth
+          ? `${n(shape.strokeWidth)} w B${evenOdd}`
+          : `f${evenOdd}`,
+      );
+    }
+    return lines;
+  };
+  // SVG's y axis points down, PDF's points up.
+  const lines = [
+    `${n(scale)} 0 0 ${n(-scale)} ${n(-scale * bounds.x)} ${n(
+      height + scale * bounds.y,
+    )} cm`,
+    ...paint(film.shapes, 0),
+    ...paint(film.knockouts, 1),
+  ];
+  if (film.trapArea.length) {
+    // All trap areas in one clipping path form their union.
+    const evenOdd = film.trapArea.every(
+      ({ fillRule }) => fillRule === 'evenodd',
+    );
+    lines.push(
+      'q',
+      ...film.trapArea.map(toPath),
+      evenOdd ? 'W* n' : 'W n',
+      '0 G',
+      `${n(film.trap * 2)} w`,
+      '1 j',
+      ...film.shapes.map((shape) => `${toPath(shape)}\nS`),
+      'Q',
+    );
+  }
+  lines.push('0 G', `${n(markSize * MARK_STROKE)} w`);
+  for (const { x, y, radius } of getMarks(viewBox, markSize)) {
+    const k = radius * CIRCLE_KAPPA;
+    lines.push(
+      `${n(x + radius)} ${n(y)} m`,
+      `${n(x + radius)} ${n(y + k)} ${n(x + k)} ${n(y + radius)} ${n(x)} ${n(
+        y + radius,
+      )} c`,
+      `${n(x - k)} ${n(y + radius)} ${n(x - radius)} ${n(y + k)} ${n(
+        x - radius,
+      )} ${n(y)} c`,
+      `${n(x - radius)} ${n(y - k)} ${n(x - k)} ${n(y - radius)} ${n(x)} ${n(
+        y - radius,
+      )} c`,
+      `${n(x + k)} ${n(y - radius)} ${n(x + radius)} ${n(y - k)} ${n(
+        x + radius,
+      )} ${n(y)} c`,
+      `${n(x - radius * 1.5)} ${n(y)} m ${n(x + radius * 1.5)} ${n(y)} l`,
+      `${n(x)} ${n(y - radius * 1.5)} m ${n(x)} ${n(y + radius * 1.5)} l`,
+      'S',
+    );
+  }
+  // Flip the text back upright.
+  lines.push(
+    `q 1 0 0 -1 ${n(viewBox.x)} ${n(
+      viewBox.y + viewBox.height + markSize * 2,
+    )} cm`,
+    `BT /F1 ${n(markSize * LABEL_SIZE)} Tf 0 g (${film.label.replace(
+      /[()\\]/g,
+      '\\$&',
+    )}) Tj ET Q`,
+  );
+  return {
+    width,
+    height,
+    content: lines.join('\n'),
+    extGStates: new Map(),
+    fonts: new Map([['F1', PDF_FONT]]),
+  };
+};
+
+/**
+ * Export color separations for screen printing, one film per ink
+ * @param {string} svg - SVG string
+ * @param {string} fileName - File name
+ * @param {string} format - `'svg'` for a ZIP of SVG files, or `'pdf'` for one
+ *     PDF page per ink
+ * @param {Object} options - Separation options, see `createSeparations()`,
+ *     plus the physical `width` and its `units`
+ */
+const exportSeparations = async (svg, fileName, format, options) => {
+  try {
+    const separations = createSeparations(svg, options);
+    const widthMM =
+      options.width * (options.units === 'inch' ? MM_PER_INCH : 1);
+    const unitsPerMM = separations.viewBox.width / widthMM;
+    let blob;
+    if (format === 'pdf') {
+      blob = writePDF(
+        separations.films.map((film) =>
+          createFilmPage(separations, film, unitsPerMM),
+        ),
+      );
+    } else {
+      const baseName = fileName.replace(/\.zip$/, '');
+      blob = createZip(
+        separations.films.map((film, i) => ({
+          name: `${baseName}-${i + 1}-${toHex(film.color).slice(1)}.svg`,
+          data: createFilmSVG(separations, film, unitsPerMM),
+        })),
+      );
+    }
+    const saved = await saveBlob(
+      blob,
+      fileName,
+      format === 'pdf'
+        ? {
+            description: 'PDF document',
+            mimeType: 'application/pdf',
+            extension: '.pdf',
+          }
+        : {
+            description: 'ZIP archive',
+            mimeType: 'application/zip',
+            extension: '.zip',
+          },
+    );
+    if (saved) {
+      showToast(
+        `${i18n.t('exportedSeparations')}: ${separations.films.length}`,
+      );
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportSeparations };
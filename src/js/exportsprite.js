@@ -0,0 +1,194 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { saveBlob } from './export.js';
+import { useCurrentColor } from './exportcomponent.js';
+import { createZip } from './zip.js';
+import { showToast } from './ui.js';
+import { i18n } from './i18n.js';
+import { escapeHTML } from './util.js';
+
+const SPRITE_FILE_NAME = 'sprite.svg';
+const PREVIEW_FILE_NAME = 'sprite.html';
+
+/**
+ * Derive a symbol ID from a file name
+ * @param {string} fileName - File name
+ * @param {Set<string>} usedIDs - IDs already taken, the new ID is added
+ * @returns {string} Unique ID that is valid in HTML and CSS selectors
+ */
+const getSymbolID = (fileName, usedIDs) => {
+  let base = fileName
+    .replace(/\.[^.]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (!/^[a-z]/.test(base)) {
+    base = `icon-${base}`.replace(/-$/, '');
+  }
+  let id = base;
+  for (let i = 2; usedIDs.has(id); i++) {
+    id = `${base}-${i}`;
+  }
+  usedIDs.add(id);
+  return id;
+};
+
+/**
+ * Turn an SVG into a `<symbol>`
+ *
+ * IDs inside the SVG, like those of gradients or clip paths, are prefixed with
+ * the symbol ID, so they don't clash with those of other symbols.
+ * @param {string} svg - SVG string
+ * @param {string} id - Symbol ID
+ * @returns {string|null} Symbol markup, or `null` if the SVG can't be parsed
+ */
+const createSymbol = (svg, id) => {
+  const match = svg.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/);
+  if (!match) {
+    return null;
+  }
+  const [, attributes, content] = match;
+  let viewBox = attributes.match(/\sviewBox="([^"]+)"/)?.[1];
+  if (!viewBox) {
+    const width = parseFloat(attributes.match(/\swidth="([^"]+)"/)?.[1]);
+    const height = parseFloat(attributes.match(/\sheight="([^"]+)"/)?.[1]);
+    if (!width || !height) {
+      return null;
+    }
+    viewBox = `0 0 ${width} ${height}`;
+  }
+  const prefixed = content
+    .replace(/\sid="([^"]+)"/g, (_, name) => ` id="${id}-${name}"`)
+    .replace(/url\(\s*#([^)\s]+)\s*\)/g, (_, name) => `url(#${id}-${name})`)
+    .replace(
+      /\s((?:xlink:)?href)="#([^"]+)"/g,
+      (_, attribute, name) => ` ${attribute}="#${id}-${name}"`,
+    );
+  return `<symbol id="${id}" viewBox="${viewBox}">${prefixed.trim()}</symbol>`;
+};
+
+/**
+ * Combine batch results into an SVG sprite
+ * @param {Array<{fileName: string, svg: string|null}>} results - Batch results,
+ *     as returned by `batchProcess()`; failed files are skipped
+ * @param {Object} options - Sprite options
+ * @param {boolean} options.currentColor - Replace colors by `currentColor`
+ * @returns {{sprite: string, ids: string[]}} Sprite SVG and its symbol IDs
+ */
+const createSprite = (results, { currentColor = false } = {}) => {
+  const usedIDs = new Set();
+  const ids = [];
+  const symbols = [];
+  for (const { fileName, svg } of results) {
+    if (!svg) {
+      continue;
+    }
+    const id = getSymbolID(fileName, usedIDs);
+    const symbol = createSymbol(currentColor ? useCurrentColor(svg) : svg, id);
+    if (symbol) {
+      ids.push(id);
+      symbols.push(symbol);
+    }
+  }
+  if (!symbols.length) {
+    throw new Error(i18n.t('noSpriteIcons'));
+  }
+  const sprite = `<svg xmlns="http://www.w3.org/2000/svg">\n${symbols.join(
+    '\n',
+  )}\n</svg>\n`;
+  return { sprite, ids };
+};
+
+/**
+ * Create an HTML page that shows every icon of a sprite with its `<use>`
+ * snippet
+ * @param {string} sprite - Sprite SVG
+ * @param {string[]} ids - Symbol IDs
+ * @returns {string} HTML page
+ */
+const createSpritePreview = (sprite, ids) => {
+  const icons = ids
+    .map((id) => {
+      const snippet = `<svg><use href="${SPRITE_FILE_NAME}#${id}"/></svg>`;
+      return `<figure>
+  <svg class="icon"><use href="#${id}"/></svg>
+  <figcaption>${id}</figcaption>
+  <code>${escapeHTML(snippet)}</code>
+</figure>`;
+    })
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${SPRITE_FILE_NAME}</title>
+<style>
+  .sprite { position: absolute; width: 0; height: 0; overflow: hidden; }
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  main { display: grid; gap: 1rem; grid-template-columns: repeat(auto-fill, minmax(12rem, 1fr)); }
+  figure { margin: 0; padding: 1rem; border: 1px solid #ddd; border-radius: 0.5rem; text-align: center; }
+  .icon { width: 4rem; height: 4rem; }
+  figcaption { margin: 0.5rem 0; font-weight: bold; }
+  code { display: block; font-size: 0.75rem; word-break: break-all; user-select: all; }
+</style>
+</head>
+<body>
+<div class="sprite">
+${sprite.trim()}
+</div>
+<main>
+${icons}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Save batch results as an SVG sprite with an HTML preview page
+ * @param {Array<{fileName: string, svg: string|null}>} results - Batch results
+ * @param {Object} options - Sprite options, see `createSprite()`
+ */
+const exportSprite = async (results, options = {}) => {
+  try {
+    const { sprite, ids } = createSprite(results, options);
+    const saved = await saveBlob(
+      createZip([
+        { name: SPRITE_FILE_NAME, data: sprite },
+        { name: PREVIEW_FILE_NAME, data: createSpritePreview(sprite, ids) },
+      ]),
+      'sprite.zip',
+      {
+        description: 'ZIP archive',
+        mimeType: 'application/zip',
+        extension: '.zip',
+      },
+    );
+    if (saved) {
+      showToast(i18n.t('exportedSprite'));
+    }
+  } catch (err) {
+    console.error(err);
+    showToast(err.message);
+  }
+};
+
+export { exportSprite, getSymbolID };
@@ -21,8 +21,12 @@ import { fileOpen, fileSave, supported } from 'browser-fs-access';
 import {
   inputImage,
   fileOpenButton,
+  batchOpenButton,
+  batchOutputSelect,
+  spriteCurrentColorCheckbox,
   saveSVGButton,
-  exportPNGButton,
+  exportButton,
+  exportFormatSelect,
   svgOutput,
   documentElement,
 } from './domrefs.js';
@@ -66,6 +70,15 @@ fileOpenButton.addEventListener('click', async () => {
   }
 });
 
+batchOpenButton.addEventListener('click', async () => {
+  const { handleBatchSelection } = await import('./batch.js');
+  await handleBatchSelection({
+    sprite: batchOutputSelect.value === 'sprite',
+    currentColor: spriteCurrentColorCheckbox.checked,
+    iconFont: batchOutputSelect.value === 'font',
+  });
+});
+
 document.addEventListener('dragover', (event) => {
   event.preventDefault();
 });
@@ -114,8 +127,8 @@ document.addEventListener('drop', async (event) => {
   }
 });
 
-exportPNGButton.addEventListener('click', async () => {
-  await exportSVG('png');
+exportButton.addEventListener('click', async () => {
+  await exportSVG(exportFormatSelect.value);
 });
 
 saveSVGButton.addEventListener('click', async () => {
@@ -0,0 +1,447 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+// Color models are fitted to the features 1, x, y, and x² + y², so the
+// first three describe a linear gradient and all four a radial one.
+const FEATURES = 4;
+const LINEAR_FEATURES = 3;
+// Regions smaller than this many pixels stay flat.
+const MIN_GRADIENT_PIXELS = 64;
+// A gradient must change at least this much, in 0–255 levels, or the region
+// is just flat with some noise.
+const MIN_COLOR_RANGE = 16;
+const RADIAL_STOPS = 5;
+
+/**
+ * Solve a linear system with Gaussian elimination
+ * @param {number[][]} matrix - Square matrix, changed in place
+ * @param {number[]} vector - Right-hand side, changed in place
+ * @returns {number[]|null} Solution, or `null` if the matrix is singular
+ */
+const solve = (matrix, vector) => {
+  const n = vector.length;
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-12) {
+      return null;
+    }
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+    [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+    for (let row = column + 1; row < n; row++) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k < n; k++) {
+        matrix[row][k] -= factor * matrix[column][k];
+      }
+      vector[row] -= factor * vector[column];
+    }
+  }
+  const solution = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= matrix[row][k] * solution[k];
+    }
+    solution[row] = sum / matrix[row][row];
+  }
+  return solution;
+};
+
+/**
+ * Create empty least-squares sums
+ * @returns {Object} Sums of the feature products, the feature and color
+ *     products, the squared colors, the pixel count, and the bounding box
+ */
+const createSums = () => ({
+  ff: new Float64Array(FEATURES * FEATURES),
+  fc: new Float64Array(FEATURES * 3),
+  cc: new Float64Array(3),
+  count: 0,
+  minX: Infinity,
+  minY: Infinity,
+  maxX: -Infinity,
+  maxY: -Infinity,
+});
+
+/**
+ * Add least-squares sums, which is all it takes to fit the union of regions
+ * @param {Object} a - Sums
+ * @param {Object} b - Sums
+ * @returns {Object} Combined sums
+ */
+const addSums = (a, b) => {
+  const sums = createSums();
+  for (const key of ['ff', 'fc', 'cc']) {
+    for (let i = 0; i < a[key].length; i++) {
+      sums[key][i] = a[key][i] + b[key][i];
+    }
+  }
+  sums.count = a.count + b.count;
+  sums.minX = Math.min(a.minX, b.minX);
+  sums.minY = Math.min(a.minY, b.minY);
+  sums.maxX = Math.max(a.maxX, b.maxX);
+  sums.maxY = Math.max(a.maxY, b.maxY);
+  return sums;
+};
+
+/**
+ * Fit a color model to the pixels of a region by least squares
+ * @param {Object} sums - Least-squares sums of the region
+ * @param {number} size - Number of features to use
+ * @returns {{coefficients: number[][], rms: number}|null} Coefficients per
+ *     RGB channel and the root mean square error in 0–255 levels, or `null`
+ *     if the region doesn't determine the model
+ */
+const fitModel = (sums, size) => {
+  let squaredError = 0;
+  const coefficients = [];
+  for (let channel = 0; channel < 3; channel++) {
+    const matrix = [];
+    const vector = [];
+    for (let i = 0; i < size; i++) {
+      matrix.push(
+        Array.from({ length: size }, (_, j) => sums.ff[i * FEATURES + j]),
+      );
+      vector.push(sums.fc[i * 3 + channel]);
+    }
+    const solution = solve(matrix, [...vector]);
+    if (!solution) {
+      return null;
+    }
+    // With the normal equations solved, the residual sum of squares is the
+    // sum of squared colors minus the explained part.
+    squaredError +=
+      sums.cc[channel] -
+      solution.reduce((sum, value, i) => sum + value * vector[i], 0);
+    coefficients.push(solution);
+  }
+  return {
+    coefficients,
+    rms: Math.sqrt(Math.max(0, squaredError) / (3 * sums.count)),
+  };
+};
+
+/**
+ * Split an image into regions of one color and sum up the original colors
+ * of each region
+ * @param {ImageData} imageData - Posterized image data
+ * @param {ImageData} original - Image data before posterization
+ * @param {Function} toFeatures - Converts pixel coordinates to features
+ * @returns {{regionOf: Int32Array, regions: Array<{color: number,
+ *     sums: Object, neighbors: Set<number>}>}} Region per pixel, -1 for
+ *     pixels that aren't opaque, and the regions
+ */
+const getRegions = (imageData, original, toFeatures) => {
+  const { width, height } = imageData;
+  const colors = new Uint32Array(imageData.data.buffer);
+  const regionOf = new Int32Array(width * height).fill(-1);
+  const regions = [];
+  for (let start = 0; start < regionOf.length; start++) {
+    if (regionOf[start] !== -1 || imageData.data[start * 4 + 3] !== 255) {
+      continue;
+    }
+    const id = regions.length;
+    const color = colors[start];
+    const sums = createSums();
+    const stack = [start];
+    regionOf[start] = id;
+    while (stack.length) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      const features = toFeatures(x, y);
+      for (let i = 0; i < FEATURES; i++) {
+        for (let j = 0; j < FEATURES; j++) {
+          sums.ff[i * FEATURES + j] += features[i] * features[j];
+        }
+        for (let channel = 0; channel < 3; channel++) {
+          sums.fc[i * 3 + channel] +=
+            features[i] * original.data[p * 4 + channel];
+        }
+      }
+      for (let channel = 0; channel < 3; channel++) {
+        sums.cc[channel] += original.data[p * 4 + channel] ** 2;
+      }
+      sums.count++;
+      sums.minX = Math.min(sums.minX, x);
+      sums.minY = Math.min(sums.minY, y);
+      sums.maxX = Math.max(sums.maxX, x + 1);
+      sums.maxY = Math.max(sums.maxY, y + 1);
+      for (const q of [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        y > 0 ? p - width : -1,
+        y < height - 1 ? p + width : -1,
+      ]) {
+        if (q !== -1 && regionOf[q] === -1 && colors[q] === color) {
+          regionOf[q] = id;
+          stack.push(q);
+        }
+      }
+    }
+    regions.push({ color, sums, neighbors: new Set() });
+  }
+  for (let p = 0; p < regionOf.length; p++) {
+    const region = regionOf[p];
+    if (region === -1) {
+      continue;
+    }
+    for (const q of [(p + 1) % width ? p + 1 : -1, p + width]) {
+      const neighbor = regionOf[q] ?? -1;
+      if (q !== -1 && neighbor !== -1 && neighbor !== region) {
+        regions[region].neighbors.add(neighbor);
+        regions[neighbor].neighbors.add(region);
+      }
+    }
+  }
+  return { regionOf, regions };
+};
+
+/**
+ * Turn a fitted color model into an SVG gradient description
+ * @param {Object} sums - Least-squares sums of the region
+ * @param {number} tolerance - Maximum root mean square error
+ * @param {Function} toPixels - Converts feature coordinates to pixels
+ * @param {Function} toFeatures - Converts pixel coordinates to features
+ * @returns {Object|null} Gradient, or `null` if no gradient fits
+ */
+const describeGradient = (sums, tolerance, toPixels, toFeatures) => {
+  const clamp = (value) => Math.min(255, Math.max(0, Math.round(value)));
+  const corners = [
+    [sums.minX, sums.minY],
+    [sums.maxX, sums.minY],
+    [sums.minX, sums.maxY],
+    [sums.maxX, sums.maxY],
+  ].map(([x, y]) => toFeatures(x, y));
+  const color = [0, 1, 2].map((channel) =>
+    clamp(sums.fc[channel] / sums.count),
+  );
+
+  const linear = fitModel(sums, LINEAR_FEATURES);
+  if (linear && linear.rms <= tolerance) {
+    // Follow the direction in which the colors change the most.
+    let xx = 0;
+    let xy = 0;
+    let yy = 0;
+    for (const [, bx, by] of linear.coefficients) {
+      xx += bx * bx;
+      xy += bx * by;
+      yy += by * by;
+    }
+    const angle = Math.atan2(2 * xy, xx - yy) / 2;
+    const direction = [Math.cos(angle), Math.sin(angle)];
+    const center = [sums.ff[1] / sums.count, sums.ff[2] / sums.count];
+    const offsets = corners.map(
+      ([, u, v]) =>
+        (u - center[0]) * direction[0] + (v - center[1]) * direction[1],
+    );
+    const [start, end] = [Math.min(...offsets), Math.max(...offsets)].map(
+      (offset) => [
+        center[0] + direction[0] * offset,
+        center[1] + direction[1] * offset,
+      ],
+    );
+    const stops = [start, end].map(([u, v], i) => ({
+      offset: i,
+      color: linear.coefficients.map(([c, bx, by]) =>
+        clamp(c + bx * u + by * v),
+      ),
+    }));
+    if (
+      Math.max(
+        ...[0, 1, 2].map((c) =>
+          Math.abs(stops[0].color[c] - stops[1].color[c]),
+        ),
+      ) < MIN_COLOR_RANGE
+    ) {
+      return null;
+    }
+    const [x1, y1] = toPixels(...start);
+    const [x2, y2] = toPixels(...end);
+    return { type: 'linear', x1, y1, x2, y2, stops, color };
+  }
+
+  const radial = fitModel(sums, FEATURES);
+  if (!radial || radial.rms > tolerance) {
+    return null;
+  }
+  // Take the center from the lightness, as SVG gradients share one center.
+  const lightness = [0, 1, 2, 3].map(
+    (i) =>
+      0.2126 * radial.coefficients[0][i] +
+      0.7152 * radial.coefficients[1][i] +
+      0.0722 * radial.coefficients[2][i],
+  );
+  if (Math.abs(lightness[3]) < 1e-9) {
+    return null;
+  }
+  const cu = -lightness[1] / (2 * lightness[3]);
+  const cv = -lightness[2] / (2 * lightness[3]);
+  const [minU, minV] = corners[0].slice(1);
+  const [maxU, maxV] = corners[3].slice(1);
+  // A center far outside the region means the gradient is not really radial.
+  if (
+    cu < 2 * minU - maxU ||
+    cu > 2 * maxU - minU ||
+    cv < 2 * minV - maxV ||
+    cv > 2 * maxV - minV
+  ) {
+    return null;
+  }
+  const radius = Math.max(
+    ...corners.map(([, u, v]) => Math.hypot(u - cu, v - cv)),
+  );
+  // Averaged around the center, each channel depends on the squared
+  // distance, which the stops approximate piecewise linearly.
+  const stops = Array.from({ length: RADIAL_STOPS }, (_, i) => {
+    const r = (radius * i) / (RADIAL_STOPS - 1);
+    return {
+      offset: i / (RADIAL_STOPS - 1),
+      color: radial.coefficients.map(([c, bu, bv, bq]) =>
+        clamp(c + bu * cu + bv * cv + bq * (cu * cu + cv * cv + r * r)),
+      ),
+    };
+  });
+  const range = Math.max(
+    ...[0, 1, 2].map((c) =>
+      Math.abs(stops[0].color[c] - stops[RADIAL_STOPS - 1].color[c]),
+    ),
+  );
+  if (range < MIN_COLOR_RANGE) {
+    return null;
+  }
+  const [cx, cy] = toPixels(cu, cv);
+  const [edge] = toPixels(cu + radius, cv);
+  return { type: 'radial', cx, cy, r: edge - cx, stops, color };
+};
+
+/**
+ * Find regions that posterization split into bands, but whose original
+ * colors follow a linear or radial gradient
+ *
+ * Starting with the largest, neighboring single-color regions are merged
+ * while a gradient still fits their original colors within the tolerance.
+ * @param {ImageData} imageData - Posterized image data
+ * @param {ImageData} original - Image data before posterization, of the same
+ *     size
+ * @param {number} tolerance - Maximum root mean square error of the fit, in
+ *     0–255 levels
+ * @returns {{gradientOf: Int32Array, gradients: Array<Object>}} Gradient per
+ *     pixel, -1 for flat pixels, and the gradients
+ */
+const findGradients = (imageData, original, tolerance) => {
+  const { width, height } = imageData;
+  const scale = Math.max(width, height);
+  // Normalized coordinates keep the least-squares sums well conditioned.
+  const toFeatures = (x, y) => {
+    const u = (x + 0.5 - width / 2) / scale;
+    const v = (y + 0.5 - height / 2) / scale;
+    return [1, u, v, u * u + v * v];
+  };
+  const toPixels = (u, v) => [
+    u * scale + width / 2 - 0.5,
+    v * scale + height / 2 - 0.5,
+  ];
+
+  const { regionOf, regions } = getRegions(imageData, original, toFeatures);
+  const groupOf = new Int32Array(regions.length).fill(-1);
+  const gradients = [];
+  const bySize = regions
+    .map((_, i) => i)
+    .sort((a, b) => regions[b].sums.count - regions[a].sums.count);
+  for (const seed of bySize) {
+    if (groupOf[seed] !== -1) {
+      continue;
+    }
+    const members = [seed];
+    const colors = new Set([regions[seed].color]);
+    let sums = regions[seed].sums;
+    const tried = new Set(members);
+    const queue = [...regions[seed].neighbors];
+    while (queue.length) {
+      const candidate = queue.shift();
+      if (tried.has(candidate) || groupOf[candidate] !== -1) {
+        continue;
+      }
+      tried.add(candidate);
+      const merged = addSums(sums, regions[candidate].sums);
+      const fit = fitModel(merged, FEATURES);
+      if (fit && fit.rms <= tolerance) {
+        sums = merged;
+        members.push(candidate);
+        colors.add(regions[candidate].color);
+        queue.push(...regions[candidate].neighbors);
+      }
+    }
+    if (colors.size < 2 || sums.count < MIN_GRADIENT_PIXELS) {
+      continue;
+    }
+    const gradient = describeGradient(sums, tolerance, toPixels, toFeatures);
+    if (!gradient) {
+      continue;
+    }
+    for (const member of members) {
+      groupOf[member] = gradients.length;
+    }
+    gradients.push(gradient);
+  }
+
+  const gradientOf = regionOf.map((region) =>
+    region === -1 ? -1 : groupOf[region],
+  );
+  return { gradientOf, gradients };
+};
+
+/**
+ * Create the SVG element for a gradient
+ * @param {Object} gradient - Gradient from `findGradients()`
+ * @param {string} id - Element ID
+ * @param {string} transform - Transform from pixels to the user space of the
+ *     paths the gradient fills
+ * @returns {string} `<defs>` with the gradient element
+ */
+const createGradientElement = (gradient, id, transform) => {
+  const f = (value) => +value.toFixed(2);
+  const stops = gradient.stops
+    .map(
+      ({ offset, color }) =>
+        `<stop offset="${f(offset)}" stop-color="rgb(${color.join(',')})"/>`,
+    )
+    .join('');
+  const attributes = `id="${id}" gradientUnits="userSpaceOnUse"${
+    transform ? ` gradientTransform="${transform}"` : ''
+  }`;
+  const element =
+    gradient.type === 'linear'
+      ? `<linearGradient ${attributes} x1="${f(gradient.x1)}" y1="${f(
+          gradient.y1,
+        )}" x2="${f(gradient.x2)}" y2="${f(
+          gradient.y2,
+        )}">${stops}</linearGradient>`
+      : `<radialGradient ${attributes} cx="${f(gradient.cx)}" cy="${f(
+          gradient.cy,
+        )}" r="${f(gradient.r)}">${stops}</radialGradient>`;
+  return `<defs>${element}</defs>`;
+};
+
+export { findGradients, createGradientElement };
@@ -21,21 +21,51 @@ import {
   preProcessMainCanvas,
   preProcessInputImage,
   supportsOffscreenCanvas,
+  getUnposterizedImageData,
 } from './preprocess.js';
-import { colorRadio, svgOutput, previewModeSelect } from './domrefs.js';
+import {
+  colorRadio,
+  centerlineRadio,
+  paletteSwatches,
+  svgOutput,
+  previewModeSelect,
+  travelPreviewCheckbox,
+  cuttingModeCheckbox,
+  weedingBoxCheckbox,
+  weedLinesCheckbox,
+  physicalUnitsSelect,
+} from './domrefs.js';
 import { convertToMonochromeSVG } from './monochrome.js';
+import { convertToCenterlineSVG } from './centerline.js';
 import { convertToColorSVG, intervalID } from './color.js';
-import { showToast, MONOCHROME, COLOR, filterInputs, POTRACE } from './ui.js';
+import {
+  showToast,
+  MONOCHROME,
+  CENTERLINE,
+  COLOR,
+  filterInputs,
+  POTRACE,
+} from './ui.js';
 import { i18n } from './i18n.js';
 import { simplifySVGPaths } from './pathsimplify.js';
 import { smoothSVGPaths } from './pathsmooth.js';
 import { mergeSVGPaths } from './pathmerge.js';
 import { removeSmallRegions } from './remove-small-regions.js';
+import { addStencilBridges, showBridgeOverlay } from './stencil.js';
 import { extractSVGOutline } from './pathoutline.js';
 import { groupPaths } from './pathgroup.js';
+import { detectSVGPrimitives } from './pathprimitives.js';
 import { reduceColorCount } from './colorquantize.js';
 import { applyPreviewMode } from './previewmode.js';
 import { getSVGStats } from './stats.js';
+import { clearOverlay } from './overlay.js';
+import { createCutPaths } from './cutpaths.js';
+import {
+  updateTravelPreview,
+  updateStitchPreview,
+  updateTilePreview,
+  getPhysicalWidth,
+} from './export.js';
 
 import spinnerSVG from '/spinner.svg?raw';
 
@@ -62,6 +92,7 @@ const displayResult = (svg, className) => {
   
   svgOutput.classList.remove(COLOR);
   svgOutput.classList.remove(MONOCHROME);
+  svgOutput.classList.remove(CENTERLINE);
   svgOutput.classList.add(className);
   svgOutput.innerHTML = svg;
   
@@ -101,11 +132,32 @@ const displayResult = (svg, className) => {
   }
   
   showToast(`${i18n.t('svgSize')}: ${readableSize(svg.length)}`, 3000);
+
+  if (travelPreviewCheckbox.checked) {
+    updateTravelPreview();
+  }
+  // Also adds the stitch count to the statistics for embroidery formats.
+  updateStitchPreview();
+  updateTilePreview();
 };
 
+/**
+ * Get the cutting options from the SVG and export options
+ * @returns {Object} Cutting options
+ */
+const getCuttingOptions = () => ({
+  units: physicalUnitsSelect.value,
+  width: getPhysicalWidth(),
+  kerf: Number(filterInputs[POTRACE.kerfWidth].value),
+  weedingBox: weedingBoxCheckbox.checked,
+  weedLines: weedLinesCheckbox.checked,
+});
+
 const startProcessing = async () => {
+  clearOverlay();
   svgOutput.innerHTML = '';
-  svgOutput.classList.remove(COLOR, MONOCHROME);
+  svgOutput.classList.remove(COLOR, MONOCHROME, CENTERLINE);
+  paletteSwatches.hidden = true;
   if (intervalID.current) {
     clearInterval(intervalID.current);
     intervalID.current = null;
@@ -120,7 +172,7 @@ const startProcessing = async () => {
     ? await preProcessInputImage()
     : preProcessMainCanvas();
   if (colorRadio.checked) {
-    let svg = await convertToColorSVG(imageData);
+    let svg = await convertToColorSVG(imageData, getUnposterizedImageData());
     // Apply path simplification if enabled
     const simplifyTolerance = Number(filterInputs[POTRACE.pathSimplify]?.value || 0);
     if (simplifyTolerance > 0) {
@@ -142,6 +194,15 @@ const startProcessing = async () => {
     if (removeSmallThreshold > 0) {
       svg = removeSmallRegions(svg, removeSmallThreshold, 'dimension');
     }
+    // Add stencil bridges to islands if enabled
+    const bridgeCount = Number(filterInputs[POTRACE.stencilBridges]?.value || 0);
+    let bridges = [];
+    if (bridgeCount > 0) {
+      ({ svg, bridges } = addStencilBridges(svg, {
+        count: bridgeCount,
+        width: Number(filterInputs[POTRACE.bridgeWidth].value),
+      }));
+    }
     // Extract outline if enabled
     const outlineWidth = Number(filterInputs[POTRACE.pathOutline]?.value || 0);
     if (outlineWidth > 0) {
@@ -153,15 +214,37 @@ const startProcessing = async () => {
     if (pathGroupEnabled) {
       svg = groupPaths(svg, { byColor: true, byProximity: false });
     }
+    // Replace geometric paths with primitives if enabled
+    const primitiveTolerance = Number(filterInputs[POTRACE.primitiveTolerance]?.value || 0);
+    if (primitiveTolerance > 0) {
+      svg = detectSVGPrimitives(svg, primitiveTolerance);
+    }
     // Optimize color quantization if enabled
     const colorQuantization = Number(filterInputs[POTRACE.colorQuantization]?.value || 0);
     if (colorQuantization > 0 && colorQuantization < 256) {
       svg = reduceColorCount(svg, colorQuantization);
     }
+    // Convert fills to cut paths if cutting mode is enabled
+    if (cuttingModeCheckbox.checked) {
+      svg = createCutPaths(svg, getCuttingOptions());
+    }
     if (transform) {
       svgOutput.setAttribute('transform', transform);
     }
+    showBridgeOverlay(svg, bridges);
     displayResult(svg, COLOR);
+  } else if (centerlineRadio.checked) {
+    let svg = await convertToCenterlineSVG(imageData);
+    // The strokes are open, so only simplification applies; the other path
+    // options work on filled regions.
+    const simplifyTolerance = Number(filterInputs[POTRACE.pathSimplify]?.value || 0);
+    if (simplifyTolerance > 0) {
+      svg = simplifySVGPaths(svg, simplifyTolerance);
+    }
+    if (transform) {
+      svgOutput.setAttribute('transform', transform);
+    }
+    displayResult(svg, CENTERLINE);
   } else {
     let svg = await convertToMonochromeSVG(imageData);
     // Apply path simplification if enabled
@@ -185,6 +268,15 @@ const startProcessing = async () => {
     if (removeSmallThreshold > 0) {
       svg = removeSmallRegions(svg, removeSmallThreshold, 'dimension');
     }
+    // Add stencil bridges to islands if enabled
+    const bridgeCount = Number(filterInputs[POTRACE.stencilBridges]?.value || 0);
+    let bridges = [];
+    if (bridgeCount > 0) {
+      ({ svg, bridges } = addStencilBridges(svg, {
+        count: bridgeCount,
+        width: Number(filterInputs[POTRACE.bridgeWidth].value),
+      }));
+    }
     // Extract outline if enabled
     const outlineWidth = Number(filterInputs[POTRACE.pathOutline]?.value || 0);
     if (outlineWidth > 0) {
@@ -196,14 +288,24 @@ const startProcessing = async () => {
     if (pathGroupEnabled) {
       svg = groupPaths(svg, { byColor: true, byProximity: false });
     }
+    // Replace geometric paths with primitives if enabled
+    const primitiveTolerance = Number(filterInputs[POTRACE.primitiveTolerance]?.value || 0);
+    if (primitiveTolerance > 0) {
+      svg = detectSVGPrimitives(svg, primitiveTolerance);
+    }
     // Optimize color quantization if enabled
     const colorQuantization = Number(filterInputs[POTRACE.colorQuantization]?.value || 0);
     if (colorQuantization > 0 && colorQuantization < 256) {
       svg = reduceColorCount(svg, colorQuantization);
     }
+    // Convert fills to cut paths if cutting mode is enabled
+    if (cuttingModeCheckbox.checked) {
+      svg = createCutPaths(svg, getCuttingOptions());
+    }
     if (transform) {
       svgOutput.setAttribute('transform', transform);
     }
+    showBridgeOverlay(svg, bridges);
     displayResult(svg, MONOCHROME);
   }
 };
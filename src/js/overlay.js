@@ -0,0 +1,55 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { svgOutput, svgOverlay } from './domrefs.js';
+
+/**
+ * Draw preview content over the SVG output
+ *
+ * Each overlay is a nested SVG with the output's view box, so content can be
+ * drawn in the output's coordinates. Setting an overlay again replaces it.
+ * @param {string} name - Overlay name
+ * @param {string} content - SVG markup in the output's coordinates
+ * @param {{x: number, y: number, width: number, height: number}} viewBox -
+ *     View box of the output
+ */
+const setOverlay = (name, content, { x, y, width, height }) => {
+  clearOverlay(name);
+  svgOverlay.setAttribute(
+    'transform',
+    svgOutput.getAttribute('transform') || '',
+  );
+  svgOverlay.insertAdjacentHTML(
+    'beforeend',
+    `<svg data-overlay="${name}" viewBox="${x} ${y} ${width} ${height}">${content}</svg>`,
+  );
+};
+
+/**
+ * Remove an overlay, or all overlays if no name is given
+ * @param {string} [name] - Overlay name
+ */
+const clearOverlay = (name) => {
+  const selector = name ? `[data-overlay="${name}"]` : '[data-overlay]';
+  for (const overlay of svgOverlay.querySelectorAll(selector)) {
+    overlay.remove();
+  }
+};
+
+export { setOverlay, clearOverlay };
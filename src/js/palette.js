@@ -0,0 +1,348 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+// Clustering works on colors rounded to this many bits per channel, weighted
+// by how often they occur, which keeps it fast for photos.
+const HISTOGRAM_BITS = 5;
+const MAX_ITERATIONS = 20;
+// Stop iterating once no cluster center moves further than this, in Lab units.
+const CONVERGENCE_DISTANCE = 0.5;
+// Pixels at least this opaque get a palette color, the others become
+// transparent.
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Convert an sRGB color to CIE Lab, so distances match perceived differences
+ * @param {number} r - Red, 0–255
+ * @param {number} g - Green, 0–255
+ * @param {number} b - Blue, 0–255
+ * @returns {number[]} `[L, a, b]`
+ */
+const rgbToLab = (r, g, b) => {
+  const toLinear = (c) => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+  // D65 white point.
+  const x = (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047;
+  const y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  const z = (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883;
+  const f = (t) =>
+    t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116;
+  const fy = f(y);
+  return [116 * fy - 16, 500 * (f(x) - fy), 200 * (fy - f(z))];
+};
+
+/**
+ * Compute the squared distance between two colors
+ * @param {number[]} a - First color
+ * @param {number[]} b - Second color
+ * @returns {number} Squared distance
+ */
+const distanceSquared = (a, b) =>
+  (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+/**
+ * Create a seeded pseudo-random number generator (Mulberry32), so the same
+ * image always gets the same palette
+ * @param {number} seed - Seed
+ * @returns {Function} Function returning numbers in `[0, 1)`
+ */
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Count the distinct colors of the visible pixels, up to a limit
+ * @param {ImageData} imageData - Image data
+ * @param {number} limit - Stop counting above this number
+ * @returns {number} Number of colors, at most `limit + 1`
+ */
+const countColors = ({ data }, limit) => {
+  const colors = new Set();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) {
+      continue;
+    }
+    colors.add(
+      ((data[i] << 24) |
+        (data[i + 1] << 16) |
+        (data[i + 2] << 8) |
+        data[i + 3]) >>>
+        0,
+    );
+    if (colors.size > limit) {
+      break;
+    }
+  }
+  return colors.size;
+};
+
+/**
+ * Collect the colors of the opaque pixels into a histogram of rounded colors
+ * @param {ImageData} imageData - Image data
+ * @returns {Array<{rgb: number[], lab: number[], weight: number}>} Mean color
+ *     and pixel count of each occupied bin
+ */
+const getHistogram = ({ data }) => {
+  const shift = 8 - HISTOGRAM_BITS;
+  const bins = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < ALPHA_THRESHOLD) {
+      continue;
+    }
+    const key =
+      ((data[i] >> shift) << (2 * HISTOGRAM_BITS)) |
+      ((data[i + 1] >> shift) << HISTOGRAM_BITS) |
+      (data[i + 2] >> shift);
+    let bin = bins.get(key);
+    if (!bin) {
+      bin = { r: 0, g: 0, b: 0, weight: 0 };
+      bins.set(key, bin);
+    }
+    bin.r += data[i];
+    bin.g += data[i + 1];
+    bin.b += data[i + 2];
+    bin.weight++;
+  }
+  return [...bins.values()].map(({ r, g, b, weight }) => {
+    const rgb = [r / weight, g / weight, b / weight];
+    return { rgb, lab: rgbToLab(...rgb), weight };
+  });
+};
+
+/**
+ * Average the colors of histogram bins
+ * @param {Array<Object>} bins - Histogram bins
+ * @returns {number[]} Weighted mean RGB color
+ */
+const getMeanColor = (bins) => {
+  const sum = [0, 0, 0];
+  let weight = 0;
+  for (const bin of bins) {
+    for (let c = 0; c < 3; c++) {
+      sum[c] += bin.rgb[c] * bin.weight;
+    }
+    weight += bin.weight;
+  }
+  return sum.map((value) => value / weight);
+};
+
+/**
+ * Cluster colors with k-means in Lab space, seeded with k-means++
+ * @param {Array<Object>} bins - Histogram bins
+ * @param {number} size - Number of colors
+ * @returns {Array<number[]>} Palette of RGB colors
+ */
+const kMeansPalette = (bins, size) => {
+  const random = createRandom(bins.length);
+  const pickWeighted = (weights, total) => {
+    let target = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+      target -= weights[i];
+      if (target <= 0) {
+        return i;
+      }
+    }
+    return weights.length - 1;
+  };
+
+  // k-means++: spread the initial centers by picking each next one with a
+  // probability proportional to its squared distance to the closest center.
+  const centers = [
+    bins[
+      pickWeighted(
+        bins.map(({ weight }) => weight),
+        bins.reduce((sum, { weight }) => sum + weight, 0),
+      )
+    ].lab,
+  ];
+  const closest = bins.map(({ lab }) => distanceSquared(lab, centers[0]));
+  while (centers.length < size) {
+    const weights = bins.map(({ weight }, i) => weight * closest[i]);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+      break;
+    }
+    const center = bins[pickWeighted(weights, total)].lab;
+    centers.push(center);
+    bins.forEach(({ lab }, i) => {
+      closest[i] = Math.min(closest[i], distanceSquared(lab, center));
+    });
+  }
+
+  const assignments = new Array(bins.length).fill(0);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    bins.forEach(({ lab }, i) => {
+      let best = Infinity;
+      centers.forEach((center, k) => {
+        const distance = distanceSquared(lab, center);
+        if (distance < best) {
+          best = distance;
+          assignments[i] = k;
+        }
+      });
+    });
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    bins.forEach(({ lab, weight }, i) => {
+      const sum = sums[assignments[i]];
+      for (let c = 0; c < 3; c++) {
+        sum[c] += lab[c] * weight;
+      }
+      sum[3] += weight;
+    });
+    let moved = 0;
+    sums.forEach((sum, k) => {
+      if (!sum[3]) {
+        return;
+      }
+      const center = sum.slice(0, 3).map((value) => value / sum[3]);
+      moved = Math.max(moved, distanceSquared(center, centers[k]));
+      centers[k] = center;
+    });
+    if (moved < CONVERGENCE_DISTANCE ** 2) {
+      break;
+    }
+  }
+
+  return centers
+    .map((_, k) => bins.filter((_, i) => assignments[i] === k))
+    .filter((members) => members.length)
+    .map(getMeanColor);
+};
+
+/**
+ * Split the color space into boxes with the median cut algorithm
+ * @param {Array<Object>} bins - Histogram bins
+ * @param {number} size - Number of colors
+ * @returns {Array<number[]>} Palette of RGB colors
+ */
+const medianCutPalette = (bins, size) => {
+  const describe = (members) => {
+    let widest = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const { rgb } of members) {
+        min = Math.min(min, rgb[c]);
+        max = Math.max(max, rgb[c]);
+      }
+      const channelRange = max - min;
+      if (channelRange > range) {
+        range = channelRange;
+        widest = c;
+      }
+    }
+    const weight = members.reduce((sum, bin) => sum + bin.weight, 0);
+    return { members, widest, priority: range * weight };
+  };
+
+  const boxes = [describe(bins)];
+  while (boxes.length < size) {
+    let index = 0;
+    boxes.forEach(({ priority }, i) => {
+      if (priority > boxes[index].priority) {
+        index = i;
+      }
+    });
+    const { members, widest, priority } = boxes[index];
+    if (!priority || members.length < 2) {
+      break;
+    }
+    // Split where half of the box's pixels lie on either side.
+    const sorted = [...members].sort((a, b) => a.rgb[widest] - b.rgb[widest]);
+    const half = sorted.reduce((sum, { weight }) => sum + weight, 0) / 2;
+    let split = 1;
+    for (let count = sorted[0].weight; split < sorted.length - 1; split++) {
+      if (count + sorted[split].weight > half) {
+        break;
+      }
+      count += sorted[split].weight;
+    }
+    boxes.splice(
+      index,
+      1,
+      describe(sorted.slice(0, split)),
+      describe(sorted.slice(split)),
+    );
+  }
+  return boxes.map(({ members }) => getMeanColor(members));
+};
+
+/**
+ * Reduce an image to a palette of colors, in place
+ *
+ * Every pixel gets the perceptually closest palette color. Pixels that are
+ * less than half opaque become transparent, the others opaque.
+ * @param {ImageData} imageData - Image data, changed in place
+ * @param {number} size - Number of colors
+ * @param {string} method - `'kmeans'` for k-means++ in Lab space, or
+ *     `'median-cut'`
+ * @returns {Array<number[]>} Palette of rounded RGB colors, ordered from
+ *     light to dark
+ */
+const applyPalette = (imageData, size, method) => {
+  const bins = getHistogram(imageData);
+  if (!bins.length) {
+    return [];
+  }
+  const palette = (
+    method === 'median-cut'
+      ? medianCutPalette(bins, size)
+      : kMeansPalette(bins, size)
+  )
+    .map((rgb) => rgb.map(Math.round))
+    .sort((a, b) => rgbToLab(...b)[0] - rgbToLab(...a)[0]);
+  const labs = palette.map((rgb) => rgbToLab(...rgb));
+
+  const { data } = imageData;
+  const nearest = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < ALPHA_THRESHOLD) {
+      data[i + 3] = 0;
+      continue;
+    }
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let index = nearest.get(key);
+    if (index === undefined) {
+      const lab = rgbToLab(data[i], data[i + 1], data[i + 2]);
+      let best = Infinity;
+      labs.forEach((center, k) => {
+        const distance = distanceSquared(lab, center);
+        if (distance < best) {
+          best = distance;
+          index = k;
+        }
+      });
+      nearest.set(key, index);
+    }
+    [data[i], data[i + 1], data[i + 2]] = palette[index];
+    data[i + 3] = 255;
+  }
+  return palette;
+};
+
+export { applyPalette, countColors };
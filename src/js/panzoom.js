@@ -17,11 +17,13 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { svgOutput, pinchZoom } from './domrefs.js';
+import { svgOutput, svgOverlay, pinchZoom } from './domrefs.js';
 
 pinchZoom.addEventListener('change', () => {
   const { x, y, scale } = pinchZoom;
-  svgOutput.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`);
+  const transform = `translate(${x}, ${y}) scale(${scale})`;
+  svgOutput.setAttribute('transform', transform);
+  svgOverlay.setAttribute('transform', transform);
 });
 
 pinchZoom.addEventListener('pointerdown', () => {
@@ -34,6 +36,7 @@ pinchZoom.addEventListener('pointerup', () => {
 
 const resetPanAndZoom = () => {
   svgOutput.setAttribute('transform', '');
+  svgOverlay.setAttribute('transform', '');
 };
 
 export { resetPanAndZoom };
@@ -0,0 +1,356 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import {
+  parsePathCommands,
+  flattenPathCommands,
+  douglasPeucker,
+} from './pathsimplify.js';
+
+// Outlines with more corners than this stay paths.
+const MAX_POLYGON_VERTICES = 16;
+// Outlines are flattened this much finer than the tolerance, so the
+// flattening doesn't eat up the tolerance.
+const FLATTEN_FACTOR = 0.25;
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {number} Number with at most two decimals
+ */
+const f = (value) => +value.toFixed(2);
+
+/**
+ * Compute the area, centroid, and central second moments of a polygon
+ * @param {Array<number[]>} points - Closed outline
+ * @returns {{area: number, cx: number, cy: number, xx: number, xy: number,
+ *     yy: number}} Unsigned area, centroid, and moments per area
+ */
+const getMoments = (points) => {
+  let area = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(([x0, y0], i) => {
+    const [x1, y1] = points[(i + 1) % points.length];
+    const cross = x0 * y1 - x1 * y0;
+    area += cross / 2;
+    sx += ((x0 + x1) * cross) / 6;
+    sy += ((y0 + y1) * cross) / 6;
+    sxx += ((x0 * x0 + x0 * x1 + x1 * x1) * cross) / 12;
+    syy += ((y0 * y0 + y0 * y1 + y1 * y1) * cross) / 12;
+    sxy += ((x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * cross) / 24;
+  });
+  // Dividing by the signed area makes the direction of the outline irrelevant.
+  const cx = sx / area;
+  const cy = sy / area;
+  return {
+    area: Math.abs(area),
+    cx,
+    cy,
+    xx: sxx / area - cx * cx,
+    xy: sxy / area - cx * cy,
+    yy: syy / area - cy * cy,
+  };
+};
+
+/**
+ * Add points along the edges of an outline, so checking the points also
+ * checks the edges between them
+ * @param {Array<number[]>} points - Closed outline
+ * @param {number} spacing - Maximum distance between consecutive points
+ * @returns {Array<number[]>} Outline with the added points
+ */
+const densify = (points, spacing) =>
+  points.flatMap(([x0, y0], i) => {
+    const [x1, y1] = points[(i + 1) % points.length];
+    const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0) / spacing) || 1;
+    return Array.from({ length: steps }, (_, step) => [
+      x0 + ((x1 - x0) * step) / steps,
+      y0 + ((y1 - y0) * step) / steps,
+    ]);
+  });
+
+/**
+ * Rotate points into a frame centered on a point
+ * @param {Array<number[]>} points - Points
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} angle - Angle of the frame's x-axis, in radians
+ * @returns {Array<number[]>} Points in the frame
+ */
+const toFrame = (points, cx, cy, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return points.map(([x, y]) => [
+    (x - cx) * cos + (y - cy) * sin,
+    -(x - cx) * sin + (y - cy) * cos,
+  ]);
+};
+
+/**
+ * Create a `rotate()` transform attribute
+ * @param {number} angle - Angle in radians
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @returns {string} Attribute, empty if the angle is negligible
+ */
+const rotateAttribute = (angle, cx, cy) => {
+  const degrees = f((angle * 180) / Math.PI);
+  return degrees ? ` transform="rotate(${degrees} ${f(cx)} ${f(cy)})"` : '';
+};
+
+/**
+ * Fit a circle or an ellipse to an outline
+ *
+ * The second moments of a filled ellipse are a quarter of its squared
+ * semi-axes, so they determine the ellipse directly.
+ * @param {Array<number[]>} points - Closed outline
+ * @param {Object} moments - Moments from `getMoments()`
+ * @param {number} tolerance - Maximum deviation of the outline
+ * @returns {{tag: string, attributes: string}|null} `<circle>` or
+ *     `<ellipse>`, or `null` if the outline isn't elliptical
+ */
+const fitEllipse = (points, { cx, cy, xx, xy, yy }, tolerance) => {
+  const mean = (xx + yy) / 2;
+  const spread = Math.sqrt(((xx - yy) / 2) ** 2 + xy ** 2);
+  const rx = 2 * Math.sqrt(mean + spread);
+  const ry = 2 * Math.sqrt(Math.max(0, mean - spread));
+  const r = (rx + ry) / 2;
+  if (
+    points.every(
+      ([x, y]) => Math.abs(Math.hypot(x - cx, y - cy) - r) <= tolerance,
+    )
+  ) {
+    return {
+      tag: 'circle',
+      attributes: ` cx="${f(cx)}" cy="${f(cy)}" r="${f(r)}"`,
+    };
+  }
+  const angle = Math.atan2(2 * xy, xx - yy) / 2;
+  const fits = toFrame(points, cx, cy, angle).every(([u, v]) => {
+    const scale = Math.hypot(u / rx, v / ry);
+    // Measured along the ray from the center, which is close enough to the
+    // true distance for the nearly elliptical outlines that pass.
+    return Math.hypot(u, v) * Math.abs(1 - 1 / scale) <= tolerance;
+  });
+  if (!fits) {
+    return null;
+  }
+  return {
+    tag: 'ellipse',
+    attributes: ` cx="${f(cx)}" cy="${f(cy)}" rx="${f(rx)}" ry="${f(
+      ry,
+    )}"${rotateAttribute(angle, cx, cy)}`,
+  };
+};
+
+/**
+ * Fit a rectangle with a given rotation to an outline, trying sharp corners
+ * first and then rounded ones
+ * @param {Array<number[]>} points - Closed outline
+ * @param {Object} moments - Moments from `getMoments()`
+ * @param {number} angle - Rotation in radians
+ * @param {number} tolerance - Maximum deviation of the outline
+ * @returns {{tag: string, attributes: string}|null} `<rect>`, or `null` if
+ *     the outline isn't such a rectangle
+ */
+const fitRotatedRectangle = (points, { area, cx, cy }, angle, tolerance) => {
+  const framed = toFrame(points, cx, cy, angle);
+  let minU = Infinity;
+  let minV = Infinity;
+  let maxU = -Infinity;
+  let maxV = -Infinity;
+  for (const [u, v] of framed) {
+    minU = Math.min(minU, u);
+    minV = Math.min(minV, v);
+    maxU = Math.max(maxU, u);
+    maxV = Math.max(maxV, v);
+  }
+  const width = maxU - minU;
+  const height = maxV - minV;
+  const midU = (minU + maxU) / 2;
+  const midV = (minV + maxV) / 2;
+  const fits = (radius) =>
+    framed.every(([u, v]) => {
+      // Signed distance to a rounded rectangle.
+      const qu = Math.abs(u - midU) - width / 2 + radius;
+      const qv = Math.abs(v - midV) - height / 2 + radius;
+      const distance =
+        Math.hypot(Math.max(qu, 0), Math.max(qv, 0)) +
+        Math.min(Math.max(qu, qv), 0) -
+        radius;
+      return Math.abs(distance) <= tolerance;
+    });
+  // Each rounded corner cuts off (4 - π) r² of the rectangle's area.
+  const rounding = Math.min(
+    Math.sqrt(Math.max(0, (width * height - area) / (4 - Math.PI))),
+    Math.min(width, height) / 2,
+  );
+  const radius = [0, rounding].find(fits);
+  if (radius === undefined) {
+    return null;
+  }
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const centerX = cx + midU * cos - midV * sin;
+  const centerY = cy + midU * sin + midV * cos;
+  return {
+    tag: 'rect',
+    attributes: ` x="${f(centerX - width / 2)}" y="${f(
+      centerY - height / 2,
+    )}" width="${f(width)}" height="${f(height)}"${
+      radius ? ` rx="${f(radius)}"` : ''
+    }${rotateAttribute(angle, centerX, centerY)}`,
+  };
+};
+
+/**
+ * Fit a rectangle, possibly rotated and with rounded corners, to an outline
+ * @param {Array<number[]>} points - Closed outline
+ * @param {Object} moments - Moments from `getMoments()`
+ * @param {number} tolerance - Maximum deviation of the outline
+ * @returns {{tag: string, attributes: string}|null} `<rect>`, or `null` if
+ *     the outline isn't rectangular
+ */
+const fitRectangle = (points, moments, tolerance) => {
+  // The sides are perpendicular, so their directions agree modulo 90°. Unlike
+  // the moments, this also orients squares.
+  let cos4 = 0;
+  let sin4 = 0;
+  points.forEach(([x0, y0], i) => {
+    const [x1, y1] = points[(i + 1) % points.length];
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    const direction = 4 * Math.atan2(y1 - y0, x1 - x0);
+    cos4 += length * Math.cos(direction);
+    sin4 += length * Math.sin(direction);
+  });
+  // Axis-aligned rectangles are the common case, so don't let noise tilt them.
+  return (
+    fitRotatedRectangle(points, moments, 0, tolerance) ||
+    fitRotatedRectangle(points, moments, Math.atan2(sin4, cos4) / 4, tolerance)
+  );
+};
+
+/**
+ * Fit a polygon with few corners to an outline
+ * @param {Array<number[]>} points - Closed outline
+ * @param {Object} moments - Moments from `getMoments()`
+ * @param {number} tolerance - Maximum deviation of the outline
+ * @returns {{tag: string, attributes: string}|null} `<polygon>`, or `null`
+ *     if the outline needs too many corners
+ */
+const fitPolygon = (points, { cx, cy }, tolerance) => {
+  // Start at the point farthest from the centroid, which is a corner.
+  let start = 0;
+  points.forEach(([x, y], i) => {
+    if (
+      Math.hypot(x - cx, y - cy) >
+      Math.hypot(points[start][0] - cx, points[start][1] - cy)
+    ) {
+      start = i;
+    }
+  });
+  const ring = [...points.slice(start), ...points.slice(0, start + 1)].map(
+    ([x, y]) => ({ x, y }),
+  );
+  const corners = douglasPeucker(ring, tolerance).slice(0, -1);
+  if (corners.length < 3 || corners.length > MAX_POLYGON_VERTICES) {
+    return null;
+  }
+  return {
+    tag: 'polygon',
+    attributes: ` points="${corners
+      .map(({ x, y }) => `${f(x)},${f(y)}`)
+      .join(' ')}"`,
+  };
+};
+
+/**
+ * Find the simplest primitive that matches a path
+ * @param {string} pathData - Path data
+ * @param {number} tolerance - Maximum deviation, in percent of the radius of
+ *     a circle with the same area
+ * @returns {{tag: string, attributes: string}|null} Element name and
+ *     geometry attributes, or `null` if no primitive fits
+ */
+const fitPrimitive = (pathData, tolerance) => {
+  const commands = parsePathCommands(pathData);
+  const polylines = flattenPathCommands(commands);
+  // Outlines with holes can't be expressed as a single primitive.
+  if (
+    polylines.length !== 1 ||
+    !polylines[0].closed ||
+    polylines[0].points.length < 3
+  ) {
+    return null;
+  }
+  const { area } = getMoments(polylines[0].points);
+  if (!area) {
+    return null;
+  }
+  const maxDeviation = (Math.sqrt(area / Math.PI) * tolerance) / 100;
+  const points = densify(
+    flattenPathCommands(commands, maxDeviation * FLATTEN_FACTOR)[0].points,
+    maxDeviation,
+  );
+  const moments = getMoments(points);
+  return (
+    fitEllipse(points, moments, maxDeviation) ||
+    fitRectangle(points, moments, maxDeviation) ||
+    fitPolygon(points, moments, maxDeviation)
+  );
+};
+
+/**
+ * Replace closed paths that match a circle, an ellipse, a rectangle, a
+ * rounded rectangle, or a polygon with few corners by that primitive
+ *
+ * The other attributes of each path, like its fill, are kept.
+ * @param {string} svg - SVG string
+ * @param {number} tolerance - Maximum deviation of a path from the primitive,
+ *     in percent of the radius of a circle with the same area
+ * @returns {string} SVG string with primitives
+ */
+const detectSVGPrimitives = (svg, tolerance) => {
+  if (!svg || typeof svg !== 'string' || tolerance <= 0) {
+    return svg;
+  }
+
+  // Only self-closing paths, so no closing tag is left behind.
+  const pathRegex = /<path\s+[^>]*d="([^"]+)"[^>]*\/>/gi;
+
+  return svg.replace(pathRegex, (match, pathData) => {
+    // A rotation would clash with a transform of the path's own.
+    if (/\stransform=/.test(match)) {
+      return match;
+    }
+    const primitive = fitPrimitive(pathData, tolerance);
+    if (!primitive) {
+      return match;
+    }
+    return match
+      .replace(/^<path/i, `<${primitive.tag}`)
+      .replace(/\sd="[^"]*"/, primitive.attributes);
+  });
+};
+
+export { detectSVGPrimitives };
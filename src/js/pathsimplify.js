@@ -101,6 +101,358 @@ const parsePathData = (pathData) => {
   return points;
 };
 
+const PATH_NUMBER_REGEX = /[\s,]*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+// Arc flags may be written without separators, e.g. `a1 1 0 01 5 5`.
+const PATH_FLAG_REGEX = /[\s,]*([01])/y;
+const PATH_COMMAND_ARITY = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7 };
+
+/**
+ * Read the numeric arguments of a path command
+ * @param {string} str - Arguments string
+ * @param {boolean} isArc - Whether the arguments belong to an arc command
+ * @returns {number[]} Arguments
+ */
+const parsePathArguments = (str, isArc) => {
+  const args = [];
+  let index = 0;
+  while (index < str.length) {
+    const position = args.length % 7;
+    const regex =
+      isArc && (position === 3 || position === 4)
+        ? PATH_FLAG_REGEX
+        : PATH_NUMBER_REGEX;
+    regex.lastIndex = index;
+    const match = regex.exec(str);
+    if (!match) {
+      break;
+    }
+    args.push(parseFloat(match[1]));
+    index = regex.lastIndex;
+  }
+  return args;
+};
+
+/**
+ * Approximate an elliptical arc with cubic Bézier curves
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y
+ * @param {number[]} arc - Arc arguments (rx, ry, rotation, largeArc, sweep, x, y)
+ * @returns {Array<number[]>} Cubic curve control and end points
+ */
+const arcToCubics = (x1, y1, [rx, ry, rotation, largeArc, sweep, x2, y2]) => {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry || (x1 === x2 && y1 === y2)) {
+    return [[x1, y1, x2, y2, x2, y2]];
+  }
+  const phi = (rotation * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  // Endpoint to center parameterization, see SVG 1.1 implementation notes.
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const sign = largeArc === sweep ? -1 : 1;
+  const numerator =
+    rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient =
+    sign * Math.sqrt(Math.max(0, numerator / denominator) || 0);
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let deltaTheta = angle(
+    (x1p - cxp) / rx,
+    (y1p - cyp) / ry,
+    (-x1p - cxp) / rx,
+    (-y1p - cyp) / ry,
+  );
+  if (!sweep && deltaTheta > 0) {
+    deltaTheta -= 2 * Math.PI;
+  } else if (sweep && deltaTheta < 0) {
+    deltaTheta += 2 * Math.PI;
+  }
+
+  const segments = Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2));
+  const delta = deltaTheta / segments;
+  const k = (4 / 3) * Math.tan(delta / 4);
+  const point = (theta) => {
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    return [
+      cx + rx * cos * cosPhi - ry * sin * sinPhi,
+      cy + rx * cos * sinPhi + ry * sin * cosPhi,
+      -rx * sin * cosPhi - ry * cos * sinPhi,
+      -rx * sin * sinPhi + ry * cos * cosPhi,
+    ];
+  };
+  const curves = [];
+  let theta = theta1;
+  let [px, py, pdx, pdy] = point(theta);
+  for (let i = 0; i < segments; i++) {
+    theta += delta;
+    const [qx, qy, qdx, qdy] = point(theta);
+    curves.push([
+      px + k * pdx,
+      py + k * pdy,
+      qx - k * qdx,
+      qy - k * qdy,
+      qx,
+      qy,
+    ]);
+    [px, py, pdx, pdy] = [qx, qy, qdx, qdy];
+  }
+  // Snap the last point to the exact end point.
+  curves[curves.length - 1][4] = x2;
+  curves[curves.length - 1][5] = y2;
+  return curves;
+};
+
+/**
+ * Parse SVG path data into absolute commands, preserving curves
+ *
+ * Unlike `parsePathData()`, which keeps only segment end points, this
+ * normalizes every command to one of `M`, `L`, `C` (with both control points)
+ * and `Z`. Horizontal and vertical lines become `L`, and quadratic curves,
+ * smooth curves and arcs become `C`.
+ * @param {string} pathData - SVG path data string
+ * @returns {Array<{type: string, values: number[]}>} Absolute commands
+ */
+const parsePathCommands = (pathData) => {
+  const commands = [];
+  const segments =
+    pathData.match(/[MmLlHhVvCcSsQqTtAaZz][^MmLlHhVvCcSsQqTtAaZz]*/g) || [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // Reflection points for smooth curve commands.
+  let lastCubicControl = null;
+  let lastQuadraticControl = null;
+
+  for (const segment of segments) {
+    const type = segment[0];
+    const command = type.toLowerCase();
+    const isRelative = type === command;
+    if (command === 'z') {
+      commands.push({ type: 'Z', values: [] });
+      x = startX;
+      y = startY;
+      lastCubicControl = null;
+      lastQuadraticControl = null;
+      continue;
+    }
+    const arity = PATH_COMMAND_ARITY[command];
+    const args = parsePathArguments(segment.slice(1), command === 'a');
+    for (let i = 0; i + arity <= args.length; i += arity) {
+      const a = args.slice(i, i + arity);
+      const offsetX = isRelative ? x : 0;
+      const offsetY = isRelative ? y : 0;
+      let cubicControl = null;
+      let quadraticControl = null;
+      switch (command) {
+        case 'm':
+          x = a[0] + offsetX;
+          y = a[1] + offsetY;
+          // Subsequent pairs of a moveto are implicit linetos.
+          if (i === 0) {
+            startX = x;
+            startY = y;
+            commands.push({ type: 'M', values: [x, y] });
+          } else {
+            commands.push({ type: 'L', values: [x, y] });
+          }
+          break;
+        case 'l':
+          x = a[0] + offsetX;
+          y = a[1] + offsetY;
+          commands.push({ type: 'L', values: [x, y] });
+          break;
+        case 'h':
+          x = a[0] + offsetX;
+          commands.push({ type: 'L', values: [x, y] });
+          break;
+        case 'v':
+          y = a[0] + offsetY;
+          commands.push({ type: 'L', values: [x, y] });
+          break;
+        case 'c':
+        case 's': {
+          let x1 = x;
+          let y1 = y;
+          let rest = a;
+          if (command === 'c') {
+            x1 = a[0] + offsetX;
+            y1 = a[1] + offsetY;
+            rest = a.slice(2);
+          } else if (lastCubicControl) {
+            x1 = 2 * x - lastCubicControl[0];
+            y1 = 2 * y - lastCubicControl[1];
+          }
+          const x2 = rest[0] + offsetX;
+          const y2 = rest[1] + offsetY;
+          x = rest[2] + offsetX;
+          y = rest[3] + offsetY;
+          commands.push({ type: 'C', values: [x1, y1, x2, y2, x, y] });
+          cubicControl = [x2, y2];
+          break;
+        }
+        case 'q':
+        case 't': {
+          let qx = x;
+          let qy = y;
+          if (command === 'q') {
+            qx = a[0] + offsetX;
+            qy = a[1] + offsetY;
+          } else if (lastQuadraticControl) {
+            qx = 2 * x - lastQuadraticControl[0];
+            qy = 2 * y - lastQuadraticControl[1];
+          }
+          const endX = a[arity - 2] + offsetX;
+          const endY = a[arity - 1] + offsetY;
+          commands.push({
+            type: 'C',
+            values: [
+              x + (2 / 3) * (qx - x),
+              y + (2 / 3) * (qy - y),
+              endX + (2 / 3) * (qx - endX),
+              endY + (2 / 3) * (qy - endY),
+              endX,
+              endY,
+            ],
+          });
+          x = endX;
+          y = endY;
+          quadraticControl = [qx, qy];
+          break;
+        }
+        case 'a': {
+          const endX = a[5] + offsetX;
+          const endY = a[6] + offsetY;
+          for (const values of arcToCubics(x, y, [
+            ...a.slice(0, 5),
+            endX,
+            endY,
+          ])) {
+            commands.push({ type: 'C', values });
+          }
+          x = endX;
+          y = endY;
+          break;
+        }
+      }
+      lastCubicControl = cubicControl;
+      lastQuadraticControl = quadraticControl;
+    }
+  }
+
+  return commands;
+};
+
+/**
+ * Append the adaptively flattened points of a cubic Bézier curve
+ * @param {number[]} p - Start, both control points and end as eight values
+ * @param {number} tolerance - Maximum distance from the curve
+ * @param {Array<number[]>} points - Points to append to
+ * @param {number} depth - Recursion depth
+ */
+const flattenCubic = (p, tolerance, points, depth = 0) => {
+  const [x0, y0, x1, y1, x2, y2, x3, y3] = p;
+  const dx = x3 - x0;
+  const dy = y3 - y0;
+  const length = Math.hypot(dx, dy);
+  // Distance of both control points from the chord.
+  const flatness = length
+    ? Math.max(
+        Math.abs((x1 - x0) * dy - (y1 - y0) * dx),
+        Math.abs((x2 - x0) * dy - (y2 - y0) * dx),
+      ) / length
+    : Math.max(Math.hypot(x1 - x0, y1 - y0), Math.hypot(x2 - x0, y2 - y0));
+  if (flatness <= tolerance || depth >= 16) {
+    points.push([x3, y3]);
+    return;
+  }
+  // Split at t = 0.5 with de Casteljau's algorithm.
+  const x01 = (x0 + x1) / 2;
+  const y01 = (y0 + y1) / 2;
+  const x12 = (x1 + x2) / 2;
+  const y12 = (y1 + y2) / 2;
+  const x23 = (x2 + x3) / 2;
+  const y23 = (y2 + y3) / 2;
+  const x012 = (x01 + x12) / 2;
+  const y012 = (y01 + y12) / 2;
+  const x123 = (x12 + x23) / 2;
+  const y123 = (y12 + y23) / 2;
+  const xm = (x012 + x123) / 2;
+  const ym = (y012 + y123) / 2;
+  const left = [x0, y0, x01, y01, x012, y012, xm, ym];
+  const right = [xm, ym, x123, y123, x23, y23, x3, y3];
+  flattenCubic(left, tolerance, points, depth + 1);
+  flattenCubic(right, tolerance, points, depth + 1);
+};
+
+/**
+ * Flatten absolute path commands into polylines
+ *
+ * Curves are subdivided until they deviate less than `tolerance` from the
+ * resulting line segments, so flat curves need few points and tight ones
+ * get more.
+ * @param {Array<{type: string, values: number[]}>} commands - Commands as
+ *     returned by `parsePathCommands()`
+ * @param {number} tolerance - Maximum deviation in path units
+ * @returns {Array<{points: Array<number[]>, closed: boolean}>} One polyline
+ *     per subpath
+ */
+const flattenPathCommands = (commands, tolerance = 0.1) => {
+  const polylines = [];
+  let current = null;
+  let startX = 0;
+  let startY = 0;
+  for (const { type, values } of commands) {
+    if (type === 'M') {
+      startX = values[0];
+      startY = values[1];
+      current = { points: [[startX, startY]], closed: false };
+      polylines.push(current);
+      continue;
+    }
+    if (type === 'Z') {
+      if (current) {
+        current.closed = true;
+        const [x, y] = current.points[current.points.length - 1];
+        if (current.points.length > 1 && x === startX && y === startY) {
+          current.points.pop();
+        }
+      }
+      current = null;
+      continue;
+    }
+    // Drawing after a closepath starts a new subpath at the same point.
+    if (!current) {
+      current = { points: [[startX, startY]], closed: false };
+      polylines.push(current);
+    }
+    const [x, y] = current.points[current.points.length - 1];
+    if (type === 'L') {
+      current.points.push([values[0], values[1]]);
+    } else if (type === 'C') {
+      flattenCubic([x, y, ...values], tolerance, current.points);
+    }
+  }
+  return polylines;
+};
+
 /**
  * Calculate perpendicular distance from a point to a line segment
  * @param {{x: number, y: number}} point - The point
@@ -241,5 +593,13 @@ const simplifySVGPaths = (svg, tolerance = 1.0) => {
   });
 };
 
-export { parsePathData, pointsToPathData, simplifyPath, simplifySVGPaths };
+export {
+  parsePathData,
+  parsePathCommands,
+  flattenPathCommands,
+  douglasPeucker,
+  pointsToPathData,
+  simplifyPath,
+  simplifySVGPaths,
+};
 
@@ -23,6 +23,7 @@ import {
   showToast,
   COLORS,
   SCALE_ROTATION,
+  POTRACE,
 } from './ui.js';
 import {
   inputImage,
@@ -32,6 +33,7 @@ import {
   dpr,
   considerDPRCheckbox,
   svgOutput,
+  colorRadio,
 } from './domrefs.js';
 import canvasSize from 'canvas-size';
 import { extractSubject } from './subjectextract.js';
@@ -39,6 +41,7 @@ import { applyEdgeDetection } from './edgedetection.js';
 
 let preProcessInputImage;
 let preProcessMainCanvas;
+let unposterizedImageData = null;
 const supportsOffscreenCanvas =
   'OffscreenCanvas' in window && 'CanvasFilter' in window;
 
@@ -88,6 +91,7 @@ if (supportsOffscreenCanvas) {
           }
           canvasMain.width = width;
           canvasMain.height = height;
+          unposterizedImageData = data.original;
           let imageData = data.result;
           // Apply edge detection if enabled
           const edgeDetectionEnabled = filterInputs?.edgeDetectionMode?.value;
@@ -125,6 +129,7 @@ if (supportsOffscreenCanvas) {
             width,
             height,
             dpr,
+            unposterized: needsUnposterizedImageData(),
           },
           [channel.port2],
         );
@@ -163,6 +168,13 @@ if (supportsOffscreenCanvas) {
       canvasMain.width,
       canvasMain.height,
     );
+    unposterizedImageData = needsUnposterizedImageData()
+      ? new ImageData(
+          new Uint8ClampedArray(imgData.data),
+          imgData.width,
+          imgData.height,
+        )
+      : null;
     const redSteps = filterInputs[COLORS.red].value;
     const greenSteps = filterInputs[COLORS.green].value;
     const blueSteps = filterInputs[COLORS.blue].value;
@@ -204,6 +216,21 @@ if (supportsOffscreenCanvas) {
   };
 }
 
+/**
+ * Check whether the image data before posterization is needed, which is only
+ * the case for gradient fitting
+ * @returns {boolean} Whether to keep the image data before posterization
+ */
+const needsUnposterizedImageData = () =>
+  colorRadio.checked &&
+  Number(filterInputs[POTRACE.gradientTolerance]?.value || 0) > 0;
+
+/**
+ * Get the image data of the last preprocessing before posterization
+ * @returns {ImageData|null} Image data, or `null` if gradient fitting is off
+ */
+const getUnposterizedImageData = () => unposterizedImageData;
+
 const getScaledDimensions = () => {
   const scaleFactor = Number(filterInputs[SCALE_ROTATION.scale].value) / 100;
   return {
@@ -268,4 +295,9 @@ const getFilterString = () => {
   return filterString.trim() || 'none';
 };
 
-export { preProcessMainCanvas, preProcessInputImage, supportsOffscreenCanvas };
+export {
+  preProcessMainCanvas,
+  preProcessInputImage,
+  supportsOffscreenCanvas,
+  getUnposterizedImageData,
+};
@@ -29,6 +29,7 @@ const preProcessMainCanvas = (
   rotate,
   width,
   height,
+  unposterized,
 ) => {
   ctxOffscreen.clearRect(0, 0, width, height);
   ctxOffscreen.setTransform(1, 0, 0, 1, width / 2, height / 2);
@@ -39,6 +40,10 @@ const preProcessMainCanvas = (
     -inputImageBitmap.width / 2,
     -inputImageBitmap.height / 2,
   );
+  // Only the CSS filters are applied at this point, not the posterization.
+  const original = unposterized
+    ? ctxOffscreen.getImageData(0, 0, width, height)
+    : null;
   ctxOffscreen.setTransform(1, 0, 0, 1, 0, 0);
   ctxOffscreen.filter = filter;
   ctxOffscreen.drawImage(
@@ -52,7 +57,10 @@ const preProcessMainCanvas = (
     width,
     height,
   );
-  return ctxOffscreen.getImageData(0, 0, width, height);
+  return {
+    result: ctxOffscreen.getImageData(0, 0, width, height),
+    original,
+  };
 };
 
 self.addEventListener('message', (e) => {
@@ -70,20 +78,21 @@ self.addEventListener('message', (e) => {
     width,
     height,
     dpr,
+    unposterized,
   } = e.data;
   ctxOffscreen.scale(dpr, dpr);
   offscreen.width = width;
   offscreen.height = height;
-  const imageData = preProcessMainCanvas(
+  const { result, original } = preProcessMainCanvas(
     inputImageBitmap,
     getFilter(posterize, rgba, cssFilters),
     cssFilters,
     rotate,
     width,
     height,
-    dpr,
+    unposterized,
   );
-  e.ports[0].postMessage({ result: imageData });
+  e.ports[0].postMessage({ result, original });
 });
 
 const getFilter = (posterize, rgba) => {
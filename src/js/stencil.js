@@ -0,0 +1,415 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { parsePathCommands, flattenPathCommands } from './pathsimplify.js';
+import { getPolygons } from './exportmesh.js';
+import { setOverlay } from './overlay.js';
+import {
+  parseTransform,
+  multiplyMatrices,
+  IDENTITY_MATRIX,
+} from './svgpaths.js';
+
+const BRIDGE_OVERLAY = 'bridges';
+const FLATTEN_TOLERANCE = 0.1;
+// Bridges are added in this order, so two bridges hold an island from above
+// and below.
+const BRIDGE_DIRECTIONS = [
+  { axis: 1, sign: -1 },
+  { axis: 1, sign: 1 },
+  { axis: 0, sign: -1 },
+  { axis: 0, sign: 1 },
+];
+// Keeps the bridge edges off the traced vertices, which often lie on whole or
+// half pixels, so no vertex sits exactly on an edge.
+const JITTER = 1e-6;
+
+/**
+ * Calculate the winding number of a ring set around a point
+ * @param {number[]} point - `[x, y]`
+ * @param {Array<Array<number[]>>} rings - Rings
+ * @returns {number} Winding number
+ */
+const getWinding = ([x, y], rings) => {
+  let winding = 0;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [ax, ay] = ring[j];
+      const [bx, by] = ring[i];
+      const side = (bx - ax) * (y - ay) - (x - ax) * (by - ay);
+      if (ay <= y && by > y && side > 0) {
+        winding++;
+      } else if (ay > y && by <= y && side < 0) {
+        winding--;
+      }
+    }
+  }
+  return winding;
+};
+
+/**
+ * Cut a rectangle out of a polygon
+ *
+ * The result is bounded by the polygon edges outside of the rectangle and the
+ * rectangle edges inside of the polygon, reversed, linked back into rings.
+ * @param {Array<Array<number[]>>} rings - Polygon rings, outlines oriented
+ *     counter-clockwise and holes clockwise
+ * @param {{x: number, y: number, width: number, height: number}} rect -
+ *     Rectangle
+ * @returns {Array<Array<number[]>>} Rings of the remaining polygon
+ */
+const subtractRectangle = (rings, { x, y, width, height }) => {
+  const x1 = x + JITTER;
+  const y1 = y + JITTER;
+  const x2 = x + width - JITTER;
+  const y2 = y + height - JITTER;
+  // Clockwise, like a hole.
+  const corners = [
+    [x1, y1],
+    [x1, y2],
+    [x2, y2],
+    [x2, y1],
+  ];
+  const edges = [...rings, corners].flatMap((ring, r) =>
+    ring.map((a, i) => ({
+      a,
+      b: ring[(i + 1) % ring.length],
+      isRect: r === rings.length,
+      splits: [],
+    })),
+  );
+  const rectEdges = edges.filter(({ isRect }) => isRect);
+  for (const edge of edges.filter(({ isRect }) => !isRect)) {
+    const [ax, ay] = edge.a;
+    const [bx, by] = edge.b;
+    for (const rectEdge of rectEdges) {
+      const [cx, cy] = rectEdge.a;
+      const [dx, dy] = rectEdge.b;
+      const denominator = (bx - ax) * (dy - cy) - (by - ay) * (dx - cx);
+      if (!denominator) {
+        continue;
+      }
+      const t = ((cx - ax) * (dy - cy) - (cy - ay) * (dx - cx)) / denominator;
+      const u = ((cx - ax) * (by - ay) - (cy - ay) * (bx - ax)) / denominator;
+      if (t > 0 && t < 1 && u > 0 && u < 1) {
+        // Both edges share the same point object, which links them later.
+        const point = [ax + (bx - ax) * t, ay + (by - ay) * t];
+        edge.splits.push({ t, point });
+        rectEdge.splits.push({ t: u, point });
+      }
+    }
+  }
+  const isInRect = ([px, py]) => px > x1 && px < x2 && py > y1 && py < y2;
+  const fragments = new Map();
+  for (const { a, b, isRect, splits } of edges) {
+    const points = [
+      a,
+      ...splits.sort((s1, s2) => s1.t - s2.t).map(({ point }) => point),
+      b,
+    ];
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const middle = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+      const keep = isRect ? getWinding(middle, rings) !== 0 : !isInRect(middle);
+      if (keep) {
+        fragments.set(from, to);
+      }
+    }
+  }
+  const result = [];
+  for (const start of fragments.keys()) {
+    const ring = [];
+    let point = start;
+    while (fragments.has(point)) {
+      ring.push(point);
+      const next = fragments.get(point);
+      fragments.delete(point);
+      point = next;
+    }
+    if (point === start && ring.length >= 3) {
+      result.push(ring);
+    }
+  }
+  return result;
+};
+
+/**
+ * Find where a line crosses the rings of a polygon
+ * @param {Array<Array<number[]>>} rings - Rings
+ * @param {number} axis - Axis the line runs along, `0` for x, `1` for y
+ * @param {number} position - Position of the line on the other axis
+ * @returns {Array<{value: number, ring: Array<number[]>}>} Crossings
+ */
+const getCrossings = (rings, axis, position) => {
+  const other = 1 - axis;
+  const crossings = [];
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if (a[other] > position !== b[other] > position) {
+        crossings.push({
+          value:
+            a[axis] +
+            ((position - a[other]) * (b[axis] - a[axis])) /
+              (b[other] - a[other]),
+          ring,
+        });
+      }
+    }
+  }
+  return crossings;
+};
+
+/**
+ * Find the rectangle a bridge needs to connect an island to the surrounding
+ * material
+ *
+ * On each edge and the center line of the bridge, the rectangle has to reach
+ * from inside the island's hole past the next edge of the polygon.
+ * @param {Array<Array<number[]>>} polygon - Outline followed by its holes
+ * @param {Array<number[]>} hole - Hole around the island
+ * @param {{axis: number, sign: number}} direction - Bridge direction
+ * @param {number} width - Bridge width
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ *     Rectangle, or `null` if the island can't be bridged in this direction
+ */
+const getBridge = (polygon, hole, { axis, sign }, width) => {
+  const other = 1 - axis;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const point of hole) {
+    min = Math.min(min, point[other]);
+    max = Math.max(max, point[other]);
+  }
+  const center = (min + max) / 2;
+  // Measured along the bridge direction, so the bridge runs towards larger
+  // values.
+  let start = -Infinity;
+  let end = Infinity;
+  for (const position of [center - width / 2, center, center + width / 2]) {
+    const crossings = getCrossings(polygon, axis, position);
+    let edge = -Infinity;
+    for (const { value, ring } of crossings) {
+      if (ring === hole) {
+        edge = Math.max(edge, value * sign);
+      }
+    }
+    if (edge === -Infinity) {
+      continue;
+    }
+    let exit = Infinity;
+    for (const { value } of crossings) {
+      if (value * sign > edge) {
+        exit = Math.min(exit, value * sign);
+      }
+    }
+    if (exit === Infinity) {
+      return null;
+    }
+    start = Math.max(start, edge);
+    end = Math.min(end, exit);
+  }
+  if (start === -Infinity) {
+    return null;
+  }
+  // Overlap the hole and the outside a little, so no sliver remains.
+  const overlap = width / 4;
+  const from = Math.min(start * sign, end * sign) - overlap;
+  const to = Math.max(start * sign, end * sign) + overlap;
+  return axis === 1
+    ? { x: center - width / 2, y: from, width, height: to - from }
+    : { x: from, y: center - width / 2, width: to - from, height: width };
+};
+
+/**
+ * Measure the size of a ring
+ * @param {Array<number[]>} ring - Points
+ * @returns {{width: number, height: number}} Bounding box size
+ */
+const getSize = (ring) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of ring) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  return { width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Apply an affine matrix to the points of rings
+ * @param {Array<Array<number[]>>} rings - Rings
+ * @param {number[]} matrix - Matrix in SVG `[a, b, c, d, e, f]` notation
+ * @returns {Array<Array<number[]>>} Transformed rings
+ */
+const transformRings = (rings, [a, b, c, d, e, f]) =>
+  rings.map((ring) =>
+    ring.map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]),
+  );
+
+/**
+ * Invert an affine matrix
+ * @param {number[]} matrix - Matrix in SVG `[a, b, c, d, e, f]` notation
+ * @returns {number[]|null} Inverse, or `null` if the matrix is singular
+ */
+const invertMatrix = ([a, b, c, d, e, f]) => {
+  const determinant = a * d - b * c;
+  if (!determinant) {
+    return null;
+  }
+  return [
+    d / determinant,
+    -b / determinant,
+    -c / determinant,
+    a / determinant,
+    (c * f - d * e) / determinant,
+    (b * e - a * f) / determinant,
+  ];
+};
+
+/**
+ * Convert rings to SVG path data
+ * @param {Array<Array<number[]>>} rings - Rings
+ * @returns {string} Path data
+ */
+const ringsToPathData = (rings) =>
+  rings
+    .map(
+      (ring) =>
+        `M${ring
+          .map(([x, y]) => `${+x.toFixed(2)} ${+y.toFixed(2)}`)
+          .join('L')}Z`,
+    )
+    .join('');
+
+/**
+ * Add bridges to the islands of a stencil
+ *
+ * Every hole in a traced shape encloses an island that would fall out when
+ * the shape is cut out of a stencil, like the counter of an "O". Each island
+ * gets up to four bridges, above, below, left and right of it, that connect
+ * it to the material around the shape. Islands narrower than the bridges are
+ * left alone.
+ * @param {string} svg - SVG string
+ * @param {Object} options - Bridge options
+ * @param {number} options.count - Bridges per island, 1 to 4
+ * @param {number} options.width - Bridge width in pixels
+ * @returns {{svg: string, bridges: Array<{x: number, y: number, width: number,
+ *     height: number}>}} SVG with bridges, and the bridge rectangles in user
+ *     space
+ */
+const addStencilBridges = (svg, { count = 2, width = 3 } = {}) => {
+  const bridges = [];
+  if (!svg || typeof svg !== 'string' || count <= 0 || width <= 0) {
+    return { svg, bridges };
+  }
+  const directions = BRIDGE_DIRECTIONS.slice(0, count);
+  const bridgePath = (match, pathData, matrix) => {
+    const inverse = invertMatrix(matrix);
+    if (!inverse) {
+      return match;
+    }
+    const rings = transformRings(
+      flattenPathCommands(parsePathCommands(pathData), FLATTEN_TOLERANCE).map(
+        ({ points }) => points,
+      ),
+      matrix,
+    );
+    const fillRule = /fill-rule="evenodd"/.test(match) ? 'evenodd' : 'nonzero';
+    const polygons = getPolygons(rings, fillRule);
+    let changed = false;
+    const result = polygons.flatMap((polygon) => {
+      let parts = polygon;
+      for (const hole of polygon.slice(1)) {
+        const { width: holeWidth, height: holeHeight } = getSize(hole);
+        if (holeWidth <= width || holeHeight <= width) {
+          continue;
+        }
+        for (const direction of directions) {
+          const bridge = getBridge(polygon, hole, direction, width);
+          if (bridge) {
+            parts = subtractRectangle(parts, bridge);
+            bridges.push(bridge);
+            changed = true;
+          }
+        }
+      }
+      return parts;
+    });
+    return changed
+      ? match.replace(
+          pathData,
+          ringsToPathData(transformRings(result, inverse)),
+        )
+      : match;
+  };
+  // Potrace output sits in a scaled and flipped group, so paths are bridged
+  // in user space, where the width is in pixels, and mapped back.
+  const matrices = [IDENTITY_MATRIX];
+  const getMatrix = (attributes) =>
+    multiplyMatrices(
+      matrices[matrices.length - 1],
+      parseTransform(attributes.match(/\stransform="([^"]*)"/)?.[1]),
+    );
+  const elementRegex = /<g\b([^>]*)>|<\/g>|<path\s+[^>]*d="([^"]+)"[^>]*\/?>/gi;
+  const bridged = svg.replace(elementRegex, (match, attributes, pathData) => {
+    if (pathData) {
+      return bridgePath(match, pathData, getMatrix(match));
+    }
+    if (attributes === undefined) {
+      matrices.pop();
+    } else if (!attributes.endsWith('/')) {
+      matrices.push(getMatrix(attributes));
+    }
+    return match;
+  });
+  return { svg: bridged, bridges };
+};
+
+/**
+ * Highlight added bridges over the SVG output
+ * @param {string} svg - SVG string the bridges were added to
+ * @param {Array<{x: number, y: number, width: number, height: number}>}
+ *     bridges - Bridge rectangles, as returned by `addStencilBridges()`
+ */
+const showBridgeOverlay = (svg, bridges) => {
+  const viewBox = svg.match(/viewBox="([^"]+)"/)?.[1].split(/[\s,]+/);
+  if (!viewBox || !bridges.length) {
+    return;
+  }
+  const [x, y, width, height] = viewBox.map(Number);
+  setOverlay(
+    BRIDGE_OVERLAY,
+    bridges
+      .map(
+        (bridge) =>
+          `<rect class="stencil-bridge" x="${bridge.x}" y="${bridge.y}" width="${bridge.width}" height="${bridge.height}"/>`,
+      )
+      .join(''),
+    { x, y, width, height },
+  );
+};
+
+export { addStencilBridges, showBridgeOverlay };
@@ -0,0 +1,497 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { parsePathCommands } from './pathsimplify.js';
+
+// Elements whose content is never painted directly.
+const SKIPPED_ELEMENTS = new Set([
+  'defs',
+  'clipPath',
+  'mask',
+  'style',
+  'title',
+  'desc',
+  'metadata',
+  'symbol',
+]);
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+};
+
+// Presentation attributes that are inherited by child elements.
+const INHERITED_STYLES = [
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'stroke',
+  'stroke-opacity',
+  'stroke-width',
+  'stroke-linecap',
+  'stroke-linejoin',
+];
+
+// Kappa for approximating a quarter circle with a cubic Bézier curve.
+const KAPPA = 0.5522847498;
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiply two affine matrices in SVG `[a, b, c, d, e, f]` notation
+ * @param {number[]} m1 - Outer matrix
+ * @param {number[]} m2 - Inner matrix
+ * @returns {number[]} Product matrix
+ */
+const multiplyMatrices = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+];
+
+/**
+ * Parse an SVG `transform` attribute into a matrix
+ * @param {string} transform - Transform attribute value
+ * @returns {number[]} Matrix
+ */
+const parseTransform = (transform) => {
+  let matrix = IDENTITY_MATRIX;
+  if (!transform) {
+    return matrix;
+  }
+  const regex = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = regex.exec(transform))) {
+    const args = match[2]
+      .trim()
+      .split(/[\s,]+/)
+      .filter((s) => s)
+      .map(parseFloat);
+    let m = IDENTITY_MATRIX;
+    switch (match[1]) {
+      case 'matrix':
+        m = args.length === 6 ? args : IDENTITY_MATRIX;
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const cx = args[1] || 0;
+        const cy = args[2] || 0;
+        m = [
+          cos,
+          sin,
+          -sin,
+          cos,
+          cx - cos * cx + sin * cy,
+          cy - sin * cx - cos * cy,
+        ];
+        break;
+      }
+      case 'skewX':
+        m = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        m = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+    matrix = multiplyMatrices(matrix, m);
+  }
+  return matrix;
+};
+
+/**
+ * Parse a CSS color into RGB components
+ * @param {string} color - Color value
+ * @returns {number[]|null} `[r, g, b]` in the 0–255 range, or `null` for
+ *     `none`, paint servers and unknown values
+ */
+const parseColor = (color) => {
+  if (!color) {
+    return null;
+  }
+  color = color.trim().toLowerCase();
+  if (color === 'currentcolor') {
+    return [0, 0, 0];
+  }
+  if (NAMED_COLORS[color]) {
+    return NAMED_COLORS[color];
+  }
+  let match = color.match(/^#([\da-f]{3,8})$/);
+  if (match) {
+    let hex = match[1];
+    if (hex.length <= 4) {
+      hex = hex.replace(/./g, '$&$&');
+    }
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  }
+  match = color.match(/^rgba?\(([^)]+)\)$/);
+  if (match) {
+    return match[1]
+      .split(/[\s,/]+/)
+      .slice(0, 3)
+      .map((value) =>
+        value.endsWith('%')
+          ? Math.round(parseFloat(value) * 2.55)
+          : Math.round(parseFloat(value)),
+      );
+  }
+  return null;
+};
+
+/**
+ * Read the own presentation attributes and inline styles of an element
+ * @param {Element} element - SVG element
+ * @returns {Object<string, string>} Style properties
+ */
+const getOwnStyles = (element) => {
+  const styles = {};
+  for (const name of [...INHERITED_STYLES, 'opacity', 'display']) {
+    if (element.hasAttribute(name)) {
+      styles[name] = element.getAttribute(name);
+    }
+  }
+  const style = element.getAttribute('style');
+  if (style) {
+    for (const declaration of style.split(';')) {
+      const [name, ...value] = declaration.split(':');
+      if (name && value.length) {
+        styles[name.trim()] = value.join(':').trim();
+      }
+    }
+  }
+  return styles;
+};
+
+/**
+ * Resolve a fill or stroke to a flat color
+ *
+ * A gradient resolves to the mean of its stop colors, so formats without
+ * gradients still paint the region in roughly the right color.
+ * @param {string} paint - Paint value
+ * @param {Document} doc - Document the paint may refer to
+ * @returns {number[]|null} `[r, g, b]` in the 0–255 range, or `null` for
+ *     `none` and unknown values
+ */
+const resolvePaint = (paint, doc) => {
+  const match = paint?.match(/^\s*url\(\s*['"]?#([^'")]+)['"]?\s*\)(.*)$/);
+  if (!match) {
+    return parseColor(paint);
+  }
+  // Gradients without stops inherit those of the gradient they link to.
+  const visited = new Set();
+  let gradient = doc.getElementById(match[1]);
+  let stops = [];
+  while (gradient && !visited.has(gradient)) {
+    visited.add(gradient);
+    stops = [...gradient.children].filter(
+      (child) => child.localName === 'stop',
+    );
+    if (stops.length) {
+      break;
+    }
+    const href =
+      gradient.getAttribute('href') ||
+      gradient.getAttribute('xlink:href') ||
+      '';
+    gradient = href.startsWith('#') ? doc.getElementById(href.slice(1)) : null;
+  }
+  const colors = stops
+    .map((stop) =>
+      parseColor(
+        getOwnStyles(stop)['stop-color'] ??
+          stop.getAttribute('stop-color') ??
+          'black',
+      ),
+    )
+    .filter(Boolean);
+  if (!colors.length) {
+    // The fallback color after the reference, if any.
+    return parseColor(match[2]);
+  }
+  return [0, 1, 2].map((c) =>
+    Math.round(
+      colors.reduce((sum, color) => sum + color[c], 0) / colors.length,
+    ),
+  );
+};
+
+/**
+ * Convert an ellipse to absolute path commands
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} rx - Horizontal radius
+ * @param {number} ry - Vertical radius
+ * @returns {Array<{type: string, values: number[]}>} Commands
+ */
+const ellipseToCommands = (cx, cy, rx, ry) => {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    { type: 'M', values: [cx + rx, cy] },
+    { type: 'C', values: [cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry] },
+    { type: 'C', values: [cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy] },
+    { type: 'C', values: [cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry] },
+    { type: 'C', values: [cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy] },
+    { type: 'Z', values: [] },
+  ];
+};
+
+/**
+ * Convert a rectangle, optionally with rounded corners, to path commands
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} rx - Horizontal corner radius
+ * @param {number} ry - Vertical corner radius
+ * @returns {Array<{type: string, values: number[]}>} Commands
+ */
+const rectToCommands = (x, y, width, height, rx, ry) => {
+  rx = Math.min(rx, width / 2);
+  ry = Math.min(ry, height / 2);
+  if (!rx || !ry) {
+    return [
+      { type: 'M', values: [x, y] },
+      { type: 'L', values: [x + width, y] },
+      { type: 'L', values: [x + width, y + height] },
+      { type: 'L', values: [x, y + height] },
+      { type: 'Z', values: [] },
+    ];
+  }
+  const kx = rx * (1 - KAPPA);
+  const ky = ry * (1 - KAPPA);
+  const right = x + width;
+  const bottom = y + height;
+  return [
+    { type: 'M', values: [x + rx, y] },
+    { type: 'L', values: [right - rx, y] },
+    { type: 'C', values: [right - kx, y, right, y + ky, right, y + ry] },
+    { type: 'L', values: [right, bottom - ry] },
+    {
+      type: 'C',
+      values: [right, bottom - ky, right - kx, bottom, right - rx, bottom],
+    },
+    { type: 'L', values: [x + rx, bottom] },
+    { type: 'C', values: [x + kx, bottom, x, bottom - ky, x, bottom - ry] },
+    { type: 'L', values: [x, y + ry] },
+    { type: 'C', values: [x, y + ky, x + kx, y, x + rx, y] },
+    { type: 'Z', values: [] },
+  ];
+};
+
+/**
+ * Convert a basic shape element to absolute path commands
+ * @param {Element} element - SVG shape element
+ * @returns {Array<{type: string, values: number[]}>} Commands
+ */
+const elementToCommands = (element) => {
+  const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+  switch (element.localName) {
+    case 'path':
+      return parsePathCommands(element.getAttribute('d') || '');
+    case 'rect': {
+      const rx = element.hasAttribute('rx') ? number('rx') : number('ry');
+      const ry = element.hasAttribute('ry') ? number('ry') : rx;
+      return rectToCommands(
+        number('x'),
+        number('y'),
+        number('width'),
+        number('height'),
+        rx,
+        ry,
+      );
+    }
+    case 'circle':
+      return ellipseToCommands(
+        number('cx'),
+        number('cy'),
+        number('r'),
+        number('r'),
+      );
+    case 'ellipse':
+      return ellipseToCommands(
+        number('cx'),
+        number('cy'),
+        number('rx'),
+        number('ry'),
+      );
+    case 'line':
+      return [
+        { type: 'M', values: [number('x1'), number('y1')] },
+        { type: 'L', values: [number('x2'), number('y2')] },
+      ];
+    case 'polyline':
+    case 'polygon': {
+      const values = (element.getAttribute('points') || '')
+        .trim()
+        .split(/[\s,]+/)
+        .filter((s) => s)
+        .map(parseFloat);
+      const commands = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        commands.push({
+          type: i ? 'L' : 'M',
+          values: [values[i], values[i + 1]],
+        });
+      }
+      if (element.localName === 'polygon' && commands.length) {
+        commands.push({ type: 'Z', values: [] });
+      }
+      return commands;
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Apply a matrix to path commands
+ * @param {Array<{type: string, values: number[]}>} commands - Commands
+ * @param {number[]} matrix - Matrix
+ * @returns {Array<{type: string, values: number[]}>} Transformed commands
+ */
+const transformCommands = (commands, [a, b, c, d, e, f]) =>
+  commands.map(({ type, values }) => {
+    const transformed = [];
+    for (let i = 0; i < values.length; i += 2) {
+      const x = values[i];
+      const y = values[i + 1];
+      transformed.push(a * x + c * y + e, b * x + d * y + f);
+    }
+    return { type, values: transformed };
+  });
+
+/**
+ * Collect every painted shape of an SVG as absolute path commands
+ *
+ * Transforms are baked into the coordinates, and inherited fill and stroke
+ * styles are resolved, so callers can write the shapes to other vector
+ * formats without a rendering engine.
+ * @param {string} svg - SVG string
+ * @returns {{viewBox: {x: number, y: number, width: number, height: number},
+ *     shapes: Array<Object>}} View box and shapes
+ */
+const getSVGShapes = (svg) => {
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Invalid SVG');
+  }
+  const root = doc.documentElement;
+  const viewBox = { x: 0, y: 0, width: 0, height: 0 };
+  const viewBoxValues = (root.getAttribute('viewBox') || '')
+    .trim()
+    .split(/[\s,]+/)
+    .map(parseFloat);
+  if (viewBoxValues.length === 4 && viewBoxValues.every(Number.isFinite)) {
+    [viewBox.x, viewBox.y, viewBox.width, viewBox.height] = viewBoxValues;
+  } else {
+    viewBox.width = parseFloat(root.getAttribute('width')) || 0;
+    viewBox.height = parseFloat(root.getAttribute('height')) || 0;
+  }
+
+  const shapes = [];
+  const walk = (element, matrix, inherited, opacity) => {
+    if (SKIPPED_ELEMENTS.has(element.localName)) {
+      return;
+    }
+    const ownStyles = getOwnStyles(element);
+    if (ownStyles.display === 'none') {
+      return;
+    }
+    const styles = { ...inherited };
+    for (const name of INHERITED_STYLES) {
+      if (name in ownStyles) {
+        styles[name] = ownStyles[name];
+      }
+    }
+    if (ownStyles.opacity !== undefined) {
+      opacity *= parseFloat(ownStyles.opacity);
+    }
+    if (element !== root) {
+      matrix = multiplyMatrices(
+        matrix,
+        parseTransform(element.getAttribute('transform')),
+      );
+    }
+
+    const commands = elementToCommands(element);
+    if (commands.length) {
+      const fill = resolvePaint(styles.fill, doc);
+      const stroke = resolvePaint(styles.stroke, doc);
+      const scale = Math.sqrt(
+        Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]),
+      );
+      shapes.push({
+        element,
+        commands: transformCommands(commands, matrix),
+        fill,
+        fillOpacity: parseFloat(styles['fill-opacity'] ?? 1) * opacity,
+        fillRule: styles['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero',
+        stroke,
+        strokeOpacity: parseFloat(styles['stroke-opacity'] ?? 1) * opacity,
+        strokeWidth: parseFloat(styles['stroke-width'] ?? 1) * scale,
+        strokeLinecap: styles['stroke-linecap'] || 'butt',
+        strokeLinejoin: styles['stroke-linejoin'] || 'miter',
+      });
+    }
+    for (const child of element.children) {
+      walk(child, matrix, styles, opacity);
+    }
+  };
+  walk(root, IDENTITY_MATRIX, { fill: 'black', stroke: 'none' }, 1);
+  return { viewBox, shapes };
+};
+
+/**
+ * Serialize absolute path commands as SVG path data
+ * @param {Array<{type: string, values: number[]}>} commands - Commands
+ * @param {number} precision - Decimal places
+ * @returns {string} Path data
+ */
+const commandsToPathData = (commands, precision = 2) =>
+  commands
+    .map(
+      ({ type, values }) =>
+        type + values.map((value) => +value.toFixed(precision)).join(' '),
+    )
+    .join('');
+
+export {
+  getSVGShapes,
+  commandsToPathData,
+  parseTransform,
+  multiplyMatrices,
+  IDENTITY_MATRIX,
+};
@@ -29,24 +29,89 @@ import {
   pathGroupEnabledLabel,
   pathEditorEnabledCheckbox,
   pathEditorEnabledLabel,
+  cuttingModeCheckbox,
+  cuttingModeLabel,
+  weedingBoxCheckbox,
+  weedingBoxLabel,
+  weedLinesCheckbox,
+  weedLinesLabel,
   previewModeSelect,
   colorRadio,
   colorLabel,
   monochromeRadio,
   monochromeLabel,
+  centerlineRadio,
+  centerlineLabel,
+  colorLayeringSelect,
+  colorLayeringLabel,
+  paletteModeSelect,
+  paletteModeLabel,
+  paletteSwatches,
   considerDPRCheckbox,
   considerDPRLabel,
   optimizeCurvesCheckbox,
   optimizeCurvesLabel,
+  iconDarkVariantCheckbox,
+  iconDarkVariantLabel,
+  iconBackgroundInput,
+  iconBackgroundLabel,
+  pageSizeSelect,
+  pageSizeLabel,
+  physicalWidthInput,
+  physicalWidthLabel,
+  physicalUnitsSelect,
+  dxfVersionSelect,
+  dxfVersionLabel,
+  dxfLayersCheckbox,
+  dxfLayersLabel,
+  penUpCommandInput,
+  penUpCommandLabel,
+  penDownCommandInput,
+  penDownCommandLabel,
+  travelOptimizationCheckbox,
+  travelOptimizationLabel,
+  travelPreviewCheckbox,
+  travelPreviewLabel,
+  componentCurrentColorCheckbox,
+  componentCurrentColorLabel,
+  stlAsciiCheckbox,
+  stlAsciiLabel,
+  basePlateCheckbox,
+  basePlateLabel,
+  embroideryOutlineSelect,
+  embroideryOutlineLabel,
+  stitchPreviewCheckbox,
+  stitchPreviewLabel,
+  tilePreviewCheckbox,
+  tilePreviewLabel,
+  animationFillCheckbox,
+  animationFillLabel,
+  batchOutputSelect,
+  batchOutputLabel,
+  spriteCurrentColorCheckbox,
+  spriteCurrentColorLabel,
+  separationModeSelect,
+  separationModeLabel,
+  trapDirectionSelect,
+  trapDirectionLabel,
+  animationOrderSelect,
+  animationOrderLabel,
+  animationTypeSelect,
+  animationTypeLabel,
   showAdvancedControlsCheckbox,
   showAdvancedControlsLabel,
   inputImage,
   resetAllButton,
   fileOpenButton,
+  batchOpenButton,
   saveSVGButton,
+  exportButton,
+  exportFormatSelect,
   shareSVGButton,
   pasteButton,
   copyButton,
+  copyCodeButton,
+  playAnimationButton,
   installButton,
   documentElement,
   debugCheckbox,
@@ -66,6 +131,13 @@ import { debounce, IS_MAC } from './util.js';
 import { startProcessing } from './orchestrate.js';
 import { i18n } from './i18n.js';
 import { FILE_HANDLE } from './filesystem.js';
+import {
+  updateTravelPreview,
+  updateStitchPreview,
+  updateTilePreview,
+  getAnimationOptions,
+  CODE_FORMATS,
+} from './export.js';
 import { get, set, del } from 'idb-keyval';
 import './clipboard.js';
 import './filesystem.js';
@@ -83,12 +155,14 @@ import shareIconMac from '/shareiconmac.svg?raw';
 import shareIcon from '/shareicon.svg?raw';
 import optionsIcon from '/optionsicon.svg?raw';
 import installIcon from '/installicon.svg?raw';
+import playIcon from '/playicon.svg?raw';
 
 const MONOCHROME_SETTINGS = 'monochromeSettings';
 const COLOR_SETTINGS = 'colorSettings';
 
 const COLOR = 'color';
 const MONOCHROME = 'monochrome';
+const CENTERLINE = 'centerline';
 
 const PERCENT = '%';
 const DEGREES = 'deg';
@@ -96,6 +170,11 @@ const STEPS = 'steps';
 const PIXELS = 'pixels';
 const NONE = '';
 const SEGMENTS = 'segments';
+const BRIDGES = 'bridges';
+const MILLIMETERS = 'mm';
+const MILLIMETERS_PER_MINUTE = 'mmPerMinute';
+const SECONDS = 'seconds';
+const COLOR_COUNT = 'colors';
 
 const FILTERS = {
   brightness: 'brightness',
@@ -124,9 +203,30 @@ const POTRACE = {
   pathSimplify: 'pathSimplify',
   pathSmooth: 'pathSmooth',
   removeSmallRegions: 'removeSmallRegions',
+  stencilBridges: 'stencilBridges',
+  bridgeWidth: 'bridgeWidth',
   pathOutline: 'pathOutline',
+  kerfWidth: 'kerfWidth',
   pathGroup: 'pathGroup',
   colorQuantization: 'colorQuantization',
+  paletteSize: 'paletteSize',
+  gradientTolerance: 'gradientTolerance',
+  primitiveTolerance: 'primitiveTolerance',
+};
+
+const EXPORT = {
+  pageMargin: 'pageMargin',
+  flattenTolerance: 'flattenTolerance',
+  feedRate: 'feedRate',
+  extrusionHeight: 'extrusionHeight',
+  colorHeightOffset: 'colorHeightOffset',
+  baseHeight: 'baseHeight',
+  fillSpacing: 'fillSpacing',
+  fillAngle: 'fillAngle',
+  trapWidth: 'trapWidth',
+  tileOverlap: 'tileOverlap',
+  animationDuration: 'animationDuration',
+  animationStagger: 'animationStagger',
 };
 
 const filters = {
@@ -162,8 +262,94 @@ const potraceOptions = {
   [POTRACE.pathSimplify]: { unit: PIXELS, initial: 0, min: 0, max: 10 },
   [POTRACE.pathSmooth]: { unit: PERCENT, initial: 0, min: 0, max: 100 },
   [POTRACE.removeSmallRegions]: { unit: PIXELS, initial: 0, min: 0, max: 100 },
+  [POTRACE.stencilBridges]: { unit: BRIDGES, initial: 0, min: 0, max: 4 },
+  [POTRACE.bridgeWidth]: { unit: PIXELS, initial: 3, min: 1, max: 20 },
   [POTRACE.pathOutline]: { unit: PIXELS, initial: 0, min: 0, max: 20 },
+  [POTRACE.kerfWidth]: {
+    unit: MILLIMETERS,
+    initial: 0,
+    min: 0,
+    max: 1,
+    step: 0.01,
+  },
   [POTRACE.colorQuantization]: { unit: NONE, initial: 0, min: 0, max: 256 },
+  [POTRACE.paletteSize]: { unit: COLOR_COUNT, initial: 16, min: 2, max: 64 },
+  [POTRACE.gradientTolerance]: {
+    unit: NONE,
+    initial: 0,
+    min: 0,
+    max: 20,
+    step: 0.5,
+  },
+  [POTRACE.primitiveTolerance]: {
+    unit: PERCENT,
+    initial: 0,
+    min: 0,
+    max: 10,
+    step: 0.5,
+  },
+};
+
+const exportOptions = {
+  [EXPORT.pageMargin]: { unit: MILLIMETERS, initial: 10, min: 0, max: 50 },
+  [EXPORT.flattenTolerance]: { unit: NONE, initial: 0.1, min: 0.01, max: 2 },
+  [EXPORT.feedRate]: {
+    unit: MILLIMETERS_PER_MINUTE,
+    initial: 1500,
+    min: 100,
+    max: 10000,
+  },
+  [EXPORT.extrusionHeight]: {
+    unit: MILLIMETERS,
+    initial: 3,
+    min: 0.2,
+    max: 20,
+    step: 0.1,
+  },
+  [EXPORT.colorHeightOffset]: {
+    unit: MILLIMETERS,
+    initial: 0.6,
+    min: 0,
+    max: 5,
+    step: 0.1,
+  },
+  [EXPORT.baseHeight]: {
+    unit: MILLIMETERS,
+    initial: 1.2,
+    min: 0.2,
+    max: 10,
+    step: 0.1,
+  },
+  [EXPORT.fillSpacing]: {
+    unit: MILLIMETERS,
+    initial: 0.4,
+    min: 0.2,
+    max: 2,
+    step: 0.05,
+  },
+  [EXPORT.fillAngle]: { unit: DEGREES, initial: 45, min: 0, max: 180 },
+  [EXPORT.trapWidth]: {
+    unit: PIXELS,
+    initial: 0,
+    min: 0,
+    max: 10,
+    step: 0.5,
+  },
+  [EXPORT.tileOverlap]: { unit: MILLIMETERS, initial: 10, min: 0, max: 50 },
+  [EXPORT.animationDuration]: {
+    unit: SECONDS,
+    initial: 2,
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+  },
+  [EXPORT.animationStagger]: {
+    unit: SECONDS,
+    initial: 0.1,
+    min: 0,
+    max: 2,
+    step: 0.05,
+  },
 };
 
 const detailsArray = [
@@ -171,6 +357,7 @@ const detailsArray = [
   { name: 'colorChannels', icon: paletteIcon },
   { name: 'imageSizeAndRotation', icon: scaleIcon },
   { name: 'imagePreprocessing', icon: filterIcon },
+  { name: 'exportOptions', icon: saveIcon },
 ];
 
 const entriesArray = [
@@ -178,6 +365,7 @@ const entriesArray = [
   Object.entries(posterizeComponents),
   Object.entries(scaleAndRotation),
   Object.entries(filters),
+  Object.entries(exportOptions),
 ];
 
 const filterInputs = {};
@@ -225,7 +413,7 @@ const advancedControls = [
 ];
 
 const createControls = async (filter, props, details) => {
-  const { unit, min, max, initial } = props;
+  const { unit, min, max, initial, step } = props;
   const div = document.createElement('div');
   div.classList.add('preprocess-input');
   if (advancedControls.includes(filter)) {
@@ -254,7 +442,9 @@ const createControls = async (filter, props, details) => {
   if (unit) {
     input.dataset.unit = unit;
   }
-  if (unit === NONE) {
+  if (step) {
+    input.step = step;
+  } else if (unit === NONE) {
     input.step = 0.01;
   }
   input.min = min;
@@ -281,6 +471,18 @@ const createControls = async (filter, props, details) => {
         await startProcessing();
       }, 250),
     );
+  } else if (Object.keys(EXPORT).includes(filter)) {
+    // Export options only apply when exporting, so don't reprocess, but
+    // refresh the previews that depend on them.
+    input.addEventListener(
+      'change',
+      debounce(async () => {
+        await storeSettings(input);
+        await updateTravelPreview();
+        await updateStitchPreview();
+        await updateTilePreview();
+      }, 250),
+    );
   } else {
     input.addEventListener(
       'change',
@@ -339,6 +541,22 @@ pathGroupEnabledCheckbox.addEventListener('change', async () => {
   await startProcessing();
 });
 
+cuttingModeCheckbox.addEventListener('change', async () => {
+  await storeSettings(cuttingModeCheckbox);
+  updateExportOptionsVisibility();
+  await startProcessing();
+});
+
+weedingBoxCheckbox.addEventListener('change', async () => {
+  await storeSettings(weedingBoxCheckbox);
+  await startProcessing();
+});
+
+weedLinesCheckbox.addEventListener('change', async () => {
+  await storeSettings(weedLinesCheckbox);
+  await startProcessing();
+});
+
 pathEditorEnabledCheckbox.addEventListener('change', async () => {
   await storeSettings(pathEditorEnabledCheckbox);
   // Path editor is enabled/disabled after SVG is generated
@@ -367,6 +585,225 @@ previewModeSelect.addEventListener('change', async () => {
   await startProcessing();
 });
 
+/**
+ * Get the export options that only apply to some formats or batch outputs
+ * @returns {Array<[HTMLElement, Function]>} Option containers and a function
+ *     that tells whether the option applies to a format
+ */
+const getFormatSpecificOptions = () => {
+  const formats =
+    (...names) =>
+    (format) =>
+      names.includes(format);
+  const plotter = formats('gcode', 'hpgl');
+  const mesh = formats('stl', '3mf');
+  const embroidery = formats('dst', 'pes');
+  const separations = formats('separations-svg', 'separations-pdf');
+  const poster = formats('poster-pdf', 'poster-svg');
+  const animation = formats('draw-animation');
+  const flattened = formats('dxf', 'gcode', 'hpgl', 'stl', '3mf', 'dst', 'pes');
+  // Physical sizes also apply to the cut paths of the cutting mode.
+  const physical = (format) =>
+    cuttingModeCheckbox.checked ||
+    flattened(format) ||
+    separations(format) ||
+    poster(format);
+  // Previews that are switched on stay visible, so they can be switched off.
+  const preview = (checkbox, applies) => (format) =>
+    checkbox.checked || applies(format);
+  const slider = (name) => filterInputs[name]?.closest('.preprocess-input');
+  return [
+    [iconDarkVariantCheckbox.parentNode, formats('iconset')],
+    [iconBackgroundInput.parentNode, formats('iconset')],
+    [pageSizeSelect.parentNode, formats('pdf', 'poster-pdf', 'poster-svg')],
+    [slider(EXPORT.pageMargin), formats('pdf', 'poster-pdf', 'poster-svg')],
+    [physicalWidthInput.parentNode, physical],
+    [dxfVersionSelect.parentNode, formats('dxf')],
+    [dxfLayersCheckbox.parentNode, formats('dxf')],
+    [slider(EXPORT.flattenTolerance), flattened],
+    [slider(EXPORT.feedRate), plotter],
+    [penUpCommandInput.parentNode, plotter],
+    [penDownCommandInput.parentNode, plotter],
+    [travelOptimizationCheckbox.parentNode, plotter],
+    [travelPreviewCheckbox.parentNode, preview(travelPreviewCheckbox, plotter)],
+    [
+      componentCurrentColorCheckbox.parentNode,
+      (format) => CODE_FORMATS.includes(format),
+    ],
+    [stlAsciiCheckbox.parentNode, formats('stl')],
+    [basePlateCheckbox.parentNode, mesh],
+    [slider(EXPORT.extrusionHeight), mesh],
+    [slider(EXPORT.colorHeightOffset), mesh],
+    [slider(EXPORT.baseHeight), mesh],
+    [embroideryOutlineSelect.parentNode, embroidery],
+    [slider(EXPORT.fillSpacing), embroidery],
+    [slider(EXPORT.fillAngle), embroidery],
+    [
+      stitchPreviewCheckbox.parentNode,
+      preview(stitchPreviewCheckbox, embroidery),
+    ],
+    [tilePreviewCheckbox.parentNode, preview(tilePreviewCheckbox, poster)],
+    [slider(EXPORT.tileOverlap), poster],
+    [
+      spriteCurrentColorCheckbox.parentNode,
+      () => batchOutputSelect.value === 'sprite',
+    ],
+    [separationModeSelect.parentNode, separations],
+    [slider(EXPORT.trapWidth), separations],
+    [trapDirectionSelect.parentNode, separations],
+    [animationFillCheckbox.parentNode, animation],
+    [animationOrderSelect.parentNode, animation],
+    [animationTypeSelect.parentNode, animation],
+    [slider(EXPORT.animationDuration), animation],
+    [slider(EXPORT.animationStagger), animation],
+  ];
+};
+
+/**
+ * Show only the export options that apply to the selected format
+ */
+const updateExportOptionsVisibility = () => {
+  for (const [container, applies] of getFormatSpecificOptions()) {
+    // Sliders are missing until their controls are created.
+    if (container) {
+      container.hidden = !applies(exportFormatSelect.value);
+    }
+  }
+};
+
+const exportFormatSelectOnChange = () => {
+  copyCodeButton.style.display = CODE_FORMATS.includes(exportFormatSelect.value)
+    ? 'flex'
+    : 'none';
+  playAnimationButton.hidden = exportFormatSelect.value !== 'draw-animation';
+  updateExportOptionsVisibility();
+};
+
+exportFormatSelect.addEventListener('change', async () => {
+  exportFormatSelectOnChange();
+  await storeSettings(exportFormatSelect);
+  await updateStitchPreview();
+  await updateTilePreview();
+});
+
+iconDarkVariantCheckbox.addEventListener('change', async () => {
+  await storeSettings(iconDarkVariantCheckbox);
+});
+
+iconBackgroundInput.addEventListener('change', async () => {
+  await storeSettings(iconBackgroundInput);
+});
+
+pageSizeSelect.addEventListener('change', async () => {
+  await storeSettings(pageSizeSelect);
+  await updateTilePreview();
+});
+
+physicalWidthInput.addEventListener('change', async () => {
+  await storeSettings(physicalWidthInput);
+  // Cut paths are sized in millimeters.
+  if (cuttingModeCheckbox.checked) {
+    await startProcessing();
+  }
+  await updateTilePreview();
+});
+
+physicalUnitsSelect.addEventListener('change', async () => {
+  await storeSettings(physicalUnitsSelect);
+  // Cut paths are sized in millimeters.
+  if (cuttingModeCheckbox.checked) {
+    await startProcessing();
+  }
+  await updateTilePreview();
+});
+
+dxfVersionSelect.addEventListener('change', async () => {
+  await storeSettings(dxfVersionSelect);
+});
+
+dxfLayersCheckbox.addEventListener('change', async () => {
+  await storeSettings(dxfLayersCheckbox);
+});
+
+penUpCommandInput.addEventListener('change', async () => {
+  await storeSettings(penUpCommandInput);
+});
+
+penDownCommandInput.addEventListener('change', async () => {
+  await storeSettings(penDownCommandInput);
+});
+
+travelOptimizationCheckbox.addEventListener('change', async () => {
+  await storeSettings(travelOptimizationCheckbox);
+  await updateTravelPreview();
+});
+
+travelPreviewCheckbox.addEventListener('change', async () => {
+  await storeSettings(travelPreviewCheckbox);
+  await updateTravelPreview();
+});
+
+componentCurrentColorCheckbox.addEventListener('change', async () => {
+  await storeSettings(componentCurrentColorCheckbox);
+});
+
+stlAsciiCheckbox.addEventListener('change', async () => {
+  await storeSettings(stlAsciiCheckbox);
+});
+
+basePlateCheckbox.addEventListener('change', async () => {
+  await storeSettings(basePlateCheckbox);
+});
+
+embroideryOutlineSelect.addEventListener('change', async () => {
+  await storeSettings(embroideryOutlineSelect);
+  await updateStitchPreview();
+});
+
+stitchPreviewCheckbox.addEventListener('change', async () => {
+  await storeSettings(stitchPreviewCheckbox);
+  await updateStitchPreview();
+});
+
+tilePreviewCheckbox.addEventListener('change', async () => {
+  await storeSettings(tilePreviewCheckbox);
+  await updateTilePreview();
+});
+
+animationFillCheckbox.addEventListener('change', async () => {
+  await storeSettings(animationFillCheckbox);
+});
+
+batchOutputSelect.addEventListener('change', async () => {
+  await storeSettings(batchOutputSelect);
+  updateExportOptionsVisibility();
+});
+
+spriteCurrentColorCheckbox.addEventListener('change', async () => {
+  await storeSettings(spriteCurrentColorCheckbox);
+});
+
+separationModeSelect.addEventListener('change', async () => {
+  await storeSettings(separationModeSelect);
+});
+
+trapDirectionSelect.addEventListener('change', async () => {
+  await storeSettings(trapDirectionSelect);
+});
+
+animationOrderSelect.addEventListener('change', async () => {
+  await storeSettings(animationOrderSelect);
+});
+
+animationTypeSelect.addEventListener('change', async () => {
+  await storeSettings(animationTypeSelect);
+});
+
+playAnimationButton.addEventListener('click', async () => {
+  const { previewDrawAnimation } = await import('./exportanimation.js');
+  previewDrawAnimation(svgOutput.innerHTML, getAnimationOptions());
+});
+
 const restoreState = async () => {
   const settings = await getSettings();
 
@@ -386,6 +823,15 @@ const restoreState = async () => {
   pathEditorEnabledCheckbox.checked =
     settings[pathEditorEnabledCheckbox.id] ?? pathEditorEnabledCheckbox.defaultChecked;
 
+  cuttingModeCheckbox.checked =
+    settings[cuttingModeCheckbox.id] ?? cuttingModeCheckbox.defaultChecked;
+
+  weedingBoxCheckbox.checked =
+    settings[weedingBoxCheckbox.id] ?? weedingBoxCheckbox.defaultChecked;
+
+  weedLinesCheckbox.checked =
+    settings[weedLinesCheckbox.id] ?? weedLinesCheckbox.defaultChecked;
+
   considerDPRCheckbox.checked =
     settings[considerDPRCheckbox.id] ?? considerDPRCheckbox.defaultChecked;
 
@@ -399,6 +845,91 @@ const restoreState = async () => {
     showAdvancedControlsCheckbox.defaultChecked;
   showAdvancedControlsCheckboxOnChange();
 
+  exportFormatSelect.value =
+    settings[exportFormatSelect.id] ?? exportFormatSelect.value;
+  exportFormatSelectOnChange();
+
+  iconDarkVariantCheckbox.checked =
+    settings[iconDarkVariantCheckbox.id] ??
+    iconDarkVariantCheckbox.defaultChecked;
+
+  iconBackgroundInput.value =
+    settings[iconBackgroundInput.id] ?? iconBackgroundInput.defaultValue;
+
+  pageSizeSelect.value = settings[pageSizeSelect.id] ?? pageSizeSelect.value;
+
+  physicalWidthInput.value =
+    settings[physicalWidthInput.id] ?? physicalWidthInput.defaultValue;
+
+  physicalUnitsSelect.value =
+    settings[physicalUnitsSelect.id] ?? physicalUnitsSelect.value;
+
+  dxfVersionSelect.value =
+    settings[dxfVersionSelect.id] ?? dxfVersionSelect.value;
+
+  dxfLayersCheckbox.checked =
+    settings[dxfLayersCheckbox.id] ?? dxfLayersCheckbox.defaultChecked;
+
+  penUpCommandInput.value =
+    settings[penUpCommandInput.id] ?? penUpCommandInput.defaultValue;
+
+  penDownCommandInput.value =
+    settings[penDownCommandInput.id] ?? penDownCommandInput.defaultValue;
+
+  travelOptimizationCheckbox.checked =
+    settings[travelOptimizationCheckbox.id] ??
+    travelOptimizationCheckbox.defaultChecked;
+
+  travelPreviewCheckbox.checked =
+    settings[travelPreviewCheckbox.id] ?? travelPreviewCheckbox.defaultChecked;
+
+  componentCurrentColorCheckbox.checked =
+    settings[componentCurrentColorCheckbox.id] ??
+    componentCurrentColorCheckbox.defaultChecked;
+
+  stlAsciiCheckbox.checked =
+    settings[stlAsciiCheckbox.id] ?? stlAsciiCheckbox.defaultChecked;
+
+  basePlateCheckbox.checked =
+    settings[basePlateCheckbox.id] ?? basePlateCheckbox.defaultChecked;
+
+  embroideryOutlineSelect.value =
+    settings[embroideryOutlineSelect.id] ?? embroideryOutlineSelect.value;
+
+  stitchPreviewCheckbox.checked =
+    settings[stitchPreviewCheckbox.id] ?? stitchPreviewCheckbox.defaultChecked;
+
+  tilePreviewCheckbox.checked =
+    settings[tilePreviewCheckbox.id] ?? tilePreviewCheckbox.defaultChecked;
+
+  animationFillCheckbox.checked =
+    settings[animationFillCheckbox.id] ?? animationFillCheckbox.defaultChecked;
+
+  batchOutputSelect.value =
+    settings[batchOutputSelect.id] ?? batchOutputSelect.value;
+
+  spriteCurrentColorCheckbox.checked =
+    settings[spriteCurrentColorCheckbox.id] ??
+    spriteCurrentColorCheckbox.defaultChecked;
+
+  separationModeSelect.value =
+    settings[separationModeSelect.id] ?? separationModeSelect.value;
+
+  trapDirectionSelect.value =
+    settings[trapDirectionSelect.id] ?? trapDirectionSelect.value;
+
+  colorLayeringSelect.value =
+    settings[colorLayeringSelect.id] ?? colorLayeringSelect.value;
+
+  paletteModeSelect.value =
+    settings[paletteModeSelect.id] ?? paletteModeSelect.value;
+
+  animationOrderSelect.value =
+    settings[animationOrderSelect.id] ?? animationOrderSelect.value;
+
+  animationTypeSelect.value =
+    settings[animationTypeSelect.id] ?? animationTypeSelect.value;
+
   entriesArray.forEach((entries) => {
     for (const [filter, props] of entries) {
       const value = settings[filterInputs[filter].id] || props.initial;
@@ -406,11 +937,14 @@ const restoreState = async () => {
       filterSpans[filter].textContent = updateLabel(props.unit, value);
     }
   });
+  // The preview and cutting mode checkboxes affect which options show.
+  updateExportOptionsVisibility();
 };
 
 colorRadio.addEventListener('change', async () => {
   await set(colorRadio.id, colorRadio.checked);
   await set(monochromeRadio.id, monochromeRadio.checked);
+  await set(centerlineRadio.id, centerlineRadio.checked);
   await restoreState();
   await startProcessing();
 });
@@ -418,6 +952,15 @@ colorRadio.addEventListener('change', async () => {
 monochromeRadio.addEventListener('change', async () => {
   await set(colorRadio.id, colorRadio.checked);
   await set(monochromeRadio.id, monochromeRadio.checked);
+  await set(centerlineRadio.id, centerlineRadio.checked);
+  await restoreState();
+  await startProcessing();
+});
+
+centerlineRadio.addEventListener('change', async () => {
+  await set(colorRadio.id, colorRadio.checked);
+  await set(monochromeRadio.id, monochromeRadio.checked);
+  await set(centerlineRadio.id, centerlineRadio.checked);
   await restoreState();
   await startProcessing();
 });
@@ -431,6 +974,16 @@ const optimizeCurvesCheckboxOnChange = () => {
   filterInputs.opttolerance.disabled = !optimizeCurvesCheckbox.checked;
 };
 
+colorLayeringSelect.addEventListener('change', async () => {
+  await storeSettings(colorLayeringSelect);
+  await startProcessing();
+});
+
+paletteModeSelect.addEventListener('change', async () => {
+  await storeSettings(paletteModeSelect);
+  await startProcessing();
+});
+
 optimizeCurvesCheckbox.addEventListener('change', async () => {
   optimizeCurvesCheckboxOnChange();
   await storeSettings(optimizeCurvesCheckbox);
@@ -473,12 +1026,22 @@ const initUI = async () => {
     // The user probably blocks cookies.
     monochromeRadio.checked = monochromeRadio.defaultChecked;
   }
+  try {
+    centerlineRadio.checked =
+      (await get(centerlineRadio.id)) ?? centerlineRadio.defaultChecked;
+  } catch (err) {
+    // The user probably blocks cookies.
+    centerlineRadio.checked = centerlineRadio.defaultChecked;
+  }
   if (colorRadio.checked) {
     svgOutput.classList.add(COLOR);
   }
   if (monochromeRadio.checked) {
     svgOutput.classList.add(MONOCHROME);
   }
+  if (centerlineRadio.checked) {
+    svgOutput.classList.add(CENTERLINE);
+  }
 
   const createControlsPromises = [];
   entriesArray.forEach(async (entries, i) => {
@@ -493,8 +1056,38 @@ const initUI = async () => {
     } else if (name === 'svgOptions') {
       allDetails['svgOptions'].append(colorRadio.parentNode);
       allDetails['svgOptions'].append(monochromeRadio.parentNode);
+      allDetails['svgOptions'].append(centerlineRadio.parentNode);
+      allDetails['svgOptions'].append(colorLayeringSelect.parentNode);
+      allDetails['svgOptions'].append(paletteModeSelect.parentNode);
+      allDetails['svgOptions'].append(paletteSwatches);
     } else if (name === 'imageSizeAndRotation') {
       allDetails['imageSizeAndRotation'].append(considerDPRCheckbox.parentNode);
+    } else if (name === 'exportOptions') {
+      allDetails['exportOptions'].append(iconDarkVariantCheckbox.parentNode);
+      allDetails['exportOptions'].append(iconBackgroundInput.parentNode);
+      allDetails['exportOptions'].append(pageSizeSelect.parentNode);
+      allDetails['exportOptions'].append(physicalWidthInput.parentNode);
+      allDetails['exportOptions'].append(dxfVersionSelect.parentNode);
+      allDetails['exportOptions'].append(dxfLayersCheckbox.parentNode);
+      allDetails['exportOptions'].append(penUpCommandInput.parentNode);
+      allDetails['exportOptions'].append(penDownCommandInput.parentNode);
+      allDetails['exportOptions'].append(travelOptimizationCheckbox.parentNode);
+      allDetails['exportOptions'].append(travelPreviewCheckbox.parentNode);
+      allDetails['exportOptions'].append(
+        componentCurrentColorCheckbox.parentNode,
+      );
+      allDetails['exportOptions'].append(stlAsciiCheckbox.parentNode);
+      allDetails['exportOptions'].append(basePlateCheckbox.parentNode);
+      allDetails['exportOptions'].append(embroideryOutlineSelect.parentNode);
+      allDetails['exportOptions'].append(stitchPreviewCheckbox.parentNode);
+      allDetails['exportOptions'].append(tilePreviewCheckbox.parentNode);
+      allDetails['exportOptions'].append(animationFillCheckbox.parentNode);
+      allDetails['exportOptions'].append(batchOutputSelect.parentNode);
+      allDetails['exportOptions'].append(spriteCurrentColorCheckbox.parentNode);
+      allDetails['exportOptions'].append(separationModeSelect.parentNode);
+      allDetails['exportOptions'].append(trapDirectionSelect.parentNode);
+      allDetails['exportOptions'].append(animationOrderSelect.parentNode);
+      allDetails['exportOptions'].append(animationTypeSelect.parentNode);
     }
     for (const [filter, props] of entries) {
       createControlsPromises.push(createControls(filter, props, details));
@@ -531,7 +1124,9 @@ const initUI = async () => {
     const settings = await getSettings();
     if (
       inputImage.src !== new URL('/favicon.png', location.href).toString() ||
-      Object.keys(settings).length > 1
+      Object.keys(settings).length > 1 ||
+      // There is no pre-traced centerline version of the logo.
+      centerlineRadio.checked
     ) {
       setTimeout(async () => {
         resetPanAndZoom();
@@ -595,11 +1190,85 @@ const changeLanguage = () => {
   pathMergeEnabledLabel.textContent = i18n.t('pathMergeEnabled');
   pathGroupEnabledLabel.textContent = i18n.t('pathGroupEnabled');
   pathEditorEnabledLabel.textContent = i18n.t('pathEditorEnabled');
+  cuttingModeLabel.textContent = i18n.t('cuttingMode');
+  weedingBoxLabel.textContent = i18n.t('weedingBox');
+  weedLinesLabel.textContent = i18n.t('weedLines');
   colorLabel.textContent = i18n.t('colorSVG');
   monochromeLabel.textContent = i18n.t('monochromeSVG');
+  centerlineLabel.textContent = i18n.t('centerlineSVG');
+  colorLayeringLabel.textContent = i18n.t('colorLayering');
+  colorLayeringSelect.querySelector('[value="separate"]').textContent =
+    i18n.t('colorLayeringSeparate');
+  colorLayeringSelect.querySelector('[value="luminance"]').textContent =
+    i18n.t('colorLayeringLuminance');
+  colorLayeringSelect.querySelector('[value="area"]').textContent =
+    i18n.t('colorLayeringArea');
+  paletteModeLabel.textContent = i18n.t('paletteMode');
+  paletteModeSelect.querySelector('[value="off"]').textContent =
+    i18n.t('paletteModeOff');
+  paletteModeSelect.querySelector('[value="kmeans"]').textContent =
+    i18n.t('paletteModeKMeans');
+  paletteModeSelect.querySelector('[value="median-cut"]').textContent =
+    i18n.t('paletteModeMedianCut');
   considerDPRLabel.textContent = i18n.t('considerDPR');
   optimizeCurvesLabel.textContent = i18n.t('opticurve');
   showAdvancedControlsLabel.textContent = i18n.t('showAdvancedControls');
+  iconDarkVariantLabel.textContent = i18n.t('iconDarkVariant');
+  iconBackgroundLabel.textContent = i18n.t('iconBackground');
+  pageSizeLabel.textContent = i18n.t('pageSize');
+  pageSizeSelect.querySelector('[value="fit"]').textContent =
+    i18n.t('pageSizeFit');
+  physicalWidthLabel.textContent = i18n.t('physicalWidth');
+  physicalUnitsSelect.querySelector('[value="mm"]').textContent = i18n.t('mm');
+  physicalUnitsSelect.querySelector('[value="inch"]').textContent =
+    i18n.t('inch');
+  dxfVersionLabel.textContent = i18n.t('dxfVersion');
+  dxfLayersLabel.textContent = i18n.t('dxfLayersByColor');
+  penUpCommandLabel.textContent = i18n.t('penUpCommand');
+  penDownCommandLabel.textContent = i18n.t('penDownCommand');
+  travelOptimizationLabel.textContent = i18n.t('travelOptimization');
+  travelPreviewLabel.textContent = i18n.t('travelPreview');
+  componentCurrentColorLabel.textContent = i18n.t('componentCurrentColor');
+  stlAsciiLabel.textContent = i18n.t('stlAscii');
+  basePlateLabel.textContent = i18n.t('basePlate');
+  embroideryOutlineLabel.textContent = i18n.t('embroideryOutline');
+  embroideryOutlineSelect.querySelector('[value="none"]').textContent =
+    i18n.t('embroideryOutlineNone');
+  embroideryOutlineSelect.querySelector('[value="running"]').textContent =
+    i18n.t('embroideryOutlineRunning');
+  embroideryOutlineSelect.querySelector('[value="satin"]').textContent =
+    i18n.t('embroideryOutlineSatin');
+  batchOutputLabel.textContent = i18n.t('batchOutput');
+  batchOutputSelect.querySelector('[value="svg"]').textContent =
+    i18n.t('batchOutputSVG');
+  batchOutputSelect.querySelector('[value="sprite"]').textContent =
+    i18n.t('batchOutputSprite');
+  batchOutputSelect.querySelector('[value="font"]').textContent =
+    i18n.t('batchOutputFont');
+  spriteCurrentColorLabel.textContent = i18n.t('spriteCurrentColor');
+  separationModeLabel.textContent = i18n.t('separationMode');
+  separationModeSelect.querySelector('[value="knockout"]').textContent =
+    i18n.t('separationKnockout');
+  separationModeSelect.querySelector('[value="overprint"]').textContent =
+    i18n.t('separationOverprint');
+  trapDirectionLabel.textContent = i18n.t('trapDirection');
+  trapDirectionSelect.querySelector('[value="spread"]').textContent =
+    i18n.t('trapSpread');
+  trapDirectionSelect.querySelector('[value="choke"]').textContent =
+    i18n.t('trapChoke');
+  animationOrderLabel.textContent = i18n.t('animationOrder');
+  animationOrderSelect.querySelector('[value="position"]').textContent =
+    i18n.t('animationOrderPosition');
+  animationOrderSelect.querySelector('[value="color"]').textContent =
+    i18n.t('animationOrderColor');
+  animationTypeLabel.textContent = i18n.t('animationType');
+  animationTypeSelect.querySelector('[value="css"]').textContent =
+    i18n.t('animationTypeCSS');
+  animationTypeSelect.querySelector('[value="smil"]').textContent =
+    i18n.t('animationTypeSMIL');
+  stitchPreviewLabel.textContent = i18n.t('stitchPreview');
+  tilePreviewLabel.textContent = i18n.t('tilePreview');
+  animationFillLabel.textContent = i18n.t('animationFill');
 
   fileOpenButton.innerHTML = '';
   fileOpenButton.append(createIcon(openIcon));
@@ -607,12 +1276,25 @@ const changeLanguage = () => {
   fileOpenButtonLabel.textContent = i18n.t('openImage');
   fileOpenButton.append(fileOpenButtonLabel);
 
+  batchOpenButton.innerHTML = '';
+  batchOpenButton.append(createIcon(openIcon));
+  const batchOpenButtonLabel = document.createElement('span');
+  batchOpenButtonLabel.textContent = i18n.t('openBatch');
+  batchOpenButton.append(batchOpenButtonLabel);
+
   saveSVGButton.innerHTML = '';
   saveSVGButton.append(createIcon(saveIcon));
   const saveSVGButtonLabel = document.createElement('span');
   saveSVGButtonLabel.textContent = i18n.t('saveSVG');
   saveSVGButton.append(saveSVGButtonLabel);
 
+  exportButton.innerHTML = '';
+  exportButton.append(createIcon(saveIcon));
+  const exportButtonLabel = document.createElement('span');
+  exportButtonLabel.textContent = i18n.t('export');
+  exportButton.append(exportButtonLabel);
+  exportFormatSelect.title = i18n.t('exportFormat');
+
   shareSVGButton.innerHTML = '';
   shareSVGButton.append(createIcon(IS_MAC ? shareIconMac : shareIcon));
   const shareSVGButtonLabel = document.createElement('span');
@@ -625,6 +1307,18 @@ const changeLanguage = () => {
   copyButtonLabel.textContent = i18n.t('copySVG');
   copyButton.append(copyButtonLabel);
 
+  copyCodeButton.innerHTML = '';
+  copyCodeButton.append(createIcon(copyIcon));
+  const copyCodeButtonLabel = document.createElement('span');
+  copyCodeButtonLabel.textContent = i18n.t('copyCode');
+  copyCodeButton.append(copyCodeButtonLabel);
+
+  playAnimationButton.innerHTML = '';
+  playAnimationButton.append(createIcon(playIcon));
+  const playAnimationButtonLabel = document.createElement('span');
+  playAnimationButtonLabel.textContent = i18n.t('playAnimation');
+  playAnimationButton.append(playAnimationButtonLabel);
+
   pasteButton.innerHTML = '';
   pasteButton.append(createIcon(pasteIcon));
   const pasteButtonLabel = document.createElement('span');
@@ -697,6 +1391,40 @@ resetAllButton.addEventListener('click', async () => {
   opttolerance.disabled = !optimizeCurvesCheckbox.defaultChecked;
   posterizeCheckbox.checked = posterizeCheckbox.defaultChecked;
   considerDPRCheckbox.checked = considerDPRCheckbox.defaultChecked;
+  cuttingModeCheckbox.checked = cuttingModeCheckbox.defaultChecked;
+  weedingBoxCheckbox.checked = weedingBoxCheckbox.defaultChecked;
+  weedLinesCheckbox.checked = weedLinesCheckbox.defaultChecked;
+  iconDarkVariantCheckbox.checked = iconDarkVariantCheckbox.defaultChecked;
+  iconBackgroundInput.value = iconBackgroundInput.defaultValue;
+  pageSizeSelect.value = 'fit';
+  physicalWidthInput.value = physicalWidthInput.defaultValue;
+  physicalUnitsSelect.value = 'mm';
+  dxfVersionSelect.value = 'R2000';
+  dxfLayersCheckbox.checked = dxfLayersCheckbox.defaultChecked;
+  penUpCommandInput.value = penUpCommandInput.defaultValue;
+  penDownCommandInput.value = penDownCommandInput.defaultValue;
+  travelOptimizationCheckbox.checked =
+    travelOptimizationCheckbox.defaultChecked;
+  travelPreviewCheckbox.checked = travelPreviewCheckbox.defaultChecked;
+  componentCurrentColorCheckbox.checked =
+    componentCurrentColorCheckbox.defaultChecked;
+  stlAsciiCheckbox.checked = stlAsciiCheckbox.defaultChecked;
+  basePlateCheckbox.checked = basePlateCheckbox.defaultChecked;
+  embroideryOutlineSelect.value = 'running';
+  stitchPreviewCheckbox.checked = stitchPreviewCheckbox.defaultChecked;
+  tilePreviewCheckbox.checked = tilePreviewCheckbox.defaultChecked;
+  animationFillCheckbox.checked = animationFillCheckbox.defaultChecked;
+  batchOutputSelect.value = 'svg';
+  spriteCurrentColorCheckbox.checked =
+    spriteCurrentColorCheckbox.defaultChecked;
+  separationModeSelect.value = 'knockout';
+  trapDirectionSelect.value = 'spread';
+  colorLayeringSelect.value = 'separate';
+  paletteModeSelect.value = 'off';
+  animationOrderSelect.value = 'position';
+  animationTypeSelect.value = 'css';
+  exportFormatSelect.value = 'png';
+  exportFormatSelectOnChange();
 
   await resetSettings();
   resetPanAndZoom();
@@ -772,7 +1500,15 @@ const getSettings = async () => {
 const storeSettings = async (input) => {
   try {
     const settings = await getSettings();
-    settings[input.id] = input.type === 'range' ? input.value : input.checked;
+    settings[input.id] = [
+      'range',
+      'select-one',
+      'color',
+      'number',
+      'text',
+    ].includes(input.type)
+      ? input.value
+      : input.checked;
     await set(
       colorRadio.checked ? COLOR_SETTINGS : MONOCHROME_SETTINGS,
       settings,
@@ -791,6 +1527,8 @@ export {
   COLORS,
   SCALE_ROTATION,
   POTRACE,
+  EXPORT,
   MONOCHROME,
+  CENTERLINE,
   COLOR,
 };
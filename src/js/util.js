@@ -29,7 +29,32 @@ const debounce = (func, wait) => {
   };
 };
 
+/**
+ * Convert a file name to a PascalCase identifier
+ * @param {string} baseName - File name without extension
+ * @returns {string} Identifier
+ */
+const toPascalCase = (baseName) => {
+  const name = baseName
+    .split(/[^a-zA-Z0-9]+/)
+    .filter((part) => part)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[A-Za-z]/.test(name) ? name : `Icon${name}`;
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (text) =>
+  text.replace(
+    /[&<>"]/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char],
+  );
+
 const IS_MAC = /Mac|iPhone/.test(navigator.platform);
 const IS_SAFARI = /Version\/.* Safari\//.test(navigator.userAgent);
 
-export { debounce, IS_MAC, IS_SAFARI };
+export { debounce, toPascalCase, escapeHTML, IS_MAC, IS_SAFARI };
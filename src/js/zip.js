@@ -0,0 +1,142 @@
+/**
+ * SVGcode—Convert raster images to SVG vector graphics
+ * Copyright (C) 2021 Google LLC
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Calculate the CRC-32 checksum of bytes
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert file contents to bytes
+ * @param {string|Blob|Uint8Array} data - File contents
+ * @returns {Promise<Uint8Array>} Bytes
+ */
+const toBytes = async (data) => {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof Blob) {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  return data;
+};
+
+/**
+ * Encode a date in MS-DOS format
+ * @param {Date} date - Date
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+const toDOSDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Create an uncompressed ZIP archive
+ * @param {Array<{name: string, data: string|Blob|Uint8Array}>} files - Files
+ * @returns {Promise<Blob>} ZIP blob
+ */
+const createZip = async (files) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDOSDateTime(new Date());
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = await toBytes(file.data);
+    const crc = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true);
+    localHeader.setUint16(4, 20, true);
+    // Bit 11 marks UTF-8 encoded file names.
+    localHeader.setUint16(6, 0x0800, true);
+    localHeader.setUint16(8, 0, true);
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, date, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true);
+    parts.push(localHeader, name, data);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true);
+    centralHeader.setUint16(4, 20, true);
+    centralHeader.setUint16(6, 20, true);
+    centralHeader.setUint16(8, 0x0800, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, date, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, name.length, true);
+    centralHeader.setUint32(42, offset, true);
+    centralDirectory.push(centralHeader, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralDirectorySize = centralDirectory.reduce(
+    (size, part) => size + part.byteLength,
+    0,
+  );
+  const endOfCentralDirectory = new DataView(new ArrayBuffer(22));
+  endOfCentralDirectory.setUint32(0, 0x06054b50, true);
+  endOfCentralDirectory.setUint16(8, files.length, true);
+  endOfCentralDirectory.setUint16(10, files.length, true);
+  endOfCentralDirectory.setUint32(12, centralDirectorySize, true);
+  endOfCentralDirectory.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, endOfCentralDirectory], {
+    type: 'application/zip',
+  });
+};
+
+export { createZip };